@@ -0,0 +1,5 @@
+#!/usr/bin/env node
+// Entry point for MCP clients that launch a command: runs the builder with
+// MCP on stdin/stdout (the web UI is still served on PORT).
+process.argv.push('--stdio');
+require('../server');
@@ -0,0 +1,125 @@
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+
+const MAX_BYTES = 10 * 1024 * 1024; // start a new file past this size
+const MAX_FILES = 10; // rotated files kept besides the current one
+const DEFAULT_LIMIT = 100;
+const MAX_LIMIT = 1000;
+const SECRET_KEY = /password|secret|token/i;
+
+// Append-only log of everything that tried to change data: one JSON object
+// per line in `dir/audit.log`. Past `maxBytes` the file is renamed to
+// `audit-<time>.log` and a new one is started; the oldest rotated files are
+// deleted beyond `maxFiles`. Entries are never rewritten, and secrets in
+// request parameters are replaced before they are written.
+class AuditLog {
+  constructor(dir, { maxBytes = MAX_BYTES, maxFiles = MAX_FILES } = {}) {
+    this.dir = dir;
+    this.filePath = path.join(dir, 'audit.log');
+    this.maxBytes = maxBytes;
+    this.maxFiles = maxFiles;
+    this._size = 0;
+    this._writing = Promise.resolve();
+  }
+
+  async load() {
+    await fs.promises.mkdir(this.dir, { recursive: true });
+    this._size = await fs.promises.stat(this.filePath).then(s => s.size, () => 0);
+  }
+
+  // `entry`: { via, action, user, key, ip, session, project, params, status, error, duration }
+  record(entry) {
+    const { params, status, ...rest } = entry;
+    const line = JSON.stringify({
+      id: crypto.randomUUID(), at: new Date().toISOString(), ...rest,
+      params: summarize(params), status, outcome: outcomeOf(status),
+    }) + '\n';
+    // Appends are chained so lines keep their order and rotation never races a write
+    this._writing = this._writing
+      .then(async () => {
+        const bytes = Buffer.byteLength(line);
+        if (this._size > 0 && this._size + bytes > this.maxBytes) await this._rotate();
+        await fs.promises.appendFile(this.filePath, line);
+        this._size += bytes;
+      })
+      .catch(e => console.error('Failed to write the audit log:', e.message));
+  }
+
+  // Matching entries, newest first. `since` and `until` are times; `user`
+  // matches a user id or name, `action` any part of the action.
+  async query({ since, until, user, project, action, via, outcome, limit } = {}) {
+    since = since ? validTime(since, 'since') : null;
+    until = until ? validTime(until, 'until') : null;
+    limit = Math.min(Math.max(parseInt(limit, 10) || DEFAULT_LIMIT, 1), MAX_LIMIT);
+    const lowerUser = user && String(user).toLowerCase();
+    const matches = e =>
+      (!until || e.at <= until) &&
+      (!user || (e.user && (e.user.id === user || e.user.name.toLowerCase() === lowerUser))) &&
+      (!project || e.project === project) &&
+      (!action || String(e.action).includes(action)) &&
+      (!via || e.via === via) &&
+      (!outcome || e.outcome === outcome);
+
+    await this._writing;
+    const results = [];
+    for (const file of [this.filePath, ...(await this._rotatedFiles()).reverse()]) {
+      const lines = (await fs.promises.readFile(file, 'utf-8').catch(() => '')).split('\n');
+      for (let i = lines.length - 1; i >= 0; i--) {
+        if (!lines[i]) continue;
+        let entry;
+        try { entry = JSON.parse(lines[i]); } catch { continue; }
+        if (since && entry.at < since) return results; // everything further back is older still
+        if (!matches(entry)) continue;
+        results.push(entry);
+        if (results.length >= limit) return results;
+      }
+    }
+    return results;
+  }
+
+  async _rotate() {
+    const stamp = new Date().toISOString().replace(/[:.]/g, '-');
+    await fs.promises.rename(this.filePath, path.join(this.dir, `audit-${stamp}.log`));
+    this._size = 0;
+    const rotated = await this._rotatedFiles();
+    for (const file of rotated.slice(0, Math.max(0, rotated.length - this.maxFiles))) {
+      await fs.promises.unlink(file).catch(() => {});
+    }
+  }
+
+  // Oldest first; the names sort by the time they were rotated
+  async _rotatedFiles() {
+    const files = await fs.promises.readdir(this.dir).catch(() => []);
+    return files.filter(f => /^audit-.+\.log$/.test(f)).sort().map(f => path.join(this.dir, f));
+  }
+}
+
+function outcomeOf(status) {
+  if (status < 400) return 'ok';
+  return status === 401 || status === 403 ? 'denied' : 'error';
+}
+
+function validTime(value, name) {
+  const time = new Date(value);
+  if (Number.isNaN(time.getTime())) throw new Error(`${name} is not a valid time`);
+  return time.toISOString();
+}
+
+// Request parameters as logged: secrets replaced, and long texts and lists
+// (imports can be megabytes) cut short
+function summarize(value, depth = 0) {
+  if (typeof value === 'string') return value.length > 200 ? value.slice(0, 200) + '…' : value;
+  if (!value || typeof value !== 'object') return value;
+  if (depth >= 4) return Array.isArray(value) ? `[${value.length} items]` : '{…}';
+  if (Array.isArray(value)) {
+    const items = value.slice(0, 10).map(v => summarize(v, depth + 1));
+    if (value.length > 10) items.push(`…${value.length - 10} more`);
+    return items;
+  }
+  const out = {};
+  for (const [key, v] of Object.entries(value)) out[key] = SECRET_KEY.test(key) ? '[redacted]' : summarize(v, depth + 1);
+  return out;
+}
+
+module.exports = { AuditLog };
@@ -0,0 +1,363 @@
+const crypto = require('crypto');
+const { readJSON, jsonFileWriter, TOUCH_SAVE_INTERVAL } = require('./files');
+const { splitBranch } = require('./storage/names');
+
+const ROLES = ['none', 'viewer', 'editor', 'admin'];
+const LOGIN_TTL = 30 * 24 * 60 * 60 * 1000; // browser sign-ins last 30 days
+const USER_NAME = /^[A-Za-z0-9][A-Za-z0-9._@-]{0,39}$/;
+const TOKEN_PREFIXES = { api: 'dsb_', login: 'dsl_', share: 'dss_' };
+
+// Users and the tokens they authenticate with, kept in a JSON file. There are
+// two kinds of tokens: API keys, created by users for scripts and MCP clients
+// (optionally with a lower role than their owner), and the login tokens the
+// browser gets when signing in with a password. Only hashes of tokens and
+// passwords are stored; a token is shown once, when it is created.
+//
+// Until the first user exists, authentication is off and the server is open
+// as before; `enabled()` tells which mode it is in.
+//
+// A user's role applies to every project unless the project has an access
+// list: it can give single users another role there, and a restricted project
+// is hidden from everyone not on the list (admins always get in). Share links
+// are a third kind of token, not tied to a user, that can read one project.
+class AuthRegistry {
+  constructor(filePath) {
+    this.filePath = filePath;
+    this._users = new Map(); // id → { id, name, role, password: { salt, hash }, createdAt }
+    this._keys = new Map(); // hash → { id, userId, type, name, role, project, prefix, createdAt, createdBy, lastUsed, expiresAt }
+    this._access = new Map(); // project → { restricted, users: { userId: role } }
+    this._save = jsonFileWriter(filePath, () => ({
+      users: [...this._users.values()], keys: [...this._keys.values()], projects: Object.fromEntries(this._access),
+    }), 'users');
+  }
+
+  async load() {
+    const { users = [], keys = [], projects = {} } = await readJSON(this.filePath, {});
+    for (const u of users) this._users.set(u.id, u);
+    for (const [name, access] of Object.entries(projects)) this._access.set(name, access);
+    for (const k of keys) {
+      if (!this._expired(k)) this._keys.set(k.hash, k);
+    }
+  }
+
+  enabled() {
+    return this._users.size > 0;
+  }
+
+  // ---- USERS ----
+
+  listUsers() {
+    return [...this._users.values()].map(u => this.describeUser(u));
+  }
+
+  getUser(id) {
+    const user = this._users.get(id);
+    if (!user) throw new Error('User not found');
+    return user;
+  }
+
+  createUser({ name, password, role = 'editor' } = {}) {
+    name = String(name || '').trim();
+    if (!USER_NAME.test(name)) throw new Error('User name must start with a letter or digit and contain only letters, digits, ".", "_", "@" and "-"');
+    if (this._findByName(name)) throw new Error(`User "${name}" already exists`);
+    const user = { id: crypto.randomUUID(), name, role: validRole(role), password: null, createdAt: new Date().toISOString() };
+    if (password) user.password = hashPassword(password);
+    this._users.set(user.id, user);
+    this._save();
+    return this.describeUser(user);
+  }
+
+  updateUser(id, { role, password } = {}) {
+    const user = this.getUser(id);
+    if (role !== undefined) {
+      role = validRole(role);
+      if (user.role === 'admin' && role !== 'admin') this._keepAnAdmin(user);
+      user.role = role;
+    }
+    if (password !== undefined) user.password = password ? hashPassword(password) : null;
+    this._save();
+    return this.describeUser(user);
+  }
+
+  changePassword(id, current, password) {
+    const user = this.getUser(id);
+    if (user.password && !verifyPassword(String(current || ''), user.password)) {
+      throw withStatus(new Error('Current password is wrong'), 403);
+    }
+    user.password = hashPassword(password);
+    this._save();
+    return this.describeUser(user);
+  }
+
+  deleteUser(id) {
+    const user = this.getUser(id);
+    if (user.role === 'admin') this._keepAnAdmin(user);
+    this._users.delete(id);
+    for (const [hash, key] of this._keys) {
+      if (key.userId === id) this._keys.delete(hash);
+    }
+    for (const access of this._access.values()) delete access.users[id];
+    this._save();
+    return { deleted: id };
+  }
+
+  describeUser(user) {
+    return { id: user.id, name: user.name, role: user.role, hasPassword: !!user.password, createdAt: user.createdAt };
+  }
+
+  // ---- TOKENS ----
+
+  // Password sign-in; returns a login token for the browser
+  login(name, password) {
+    const user = this._findByName(String(name || '').trim());
+    if (!user || !user.password || !verifyPassword(String(password || ''), user.password)) {
+      throw withStatus(new Error('Wrong user name or password'), 401);
+    }
+    const expiresAt = new Date(Date.now() + LOGIN_TTL).toISOString();
+    const { token, key } = this._issue({ type: 'login', userId: user.id, name: 'Browser sign-in', expiresAt });
+    return { token, key: this.describeKey(key), user: this.describeUser(user) };
+  }
+
+  createKey(userId, { name, role } = {}) {
+    const user = this.getUser(userId);
+    role = role ? validRole(role) : user.role;
+    if (!hasRole(user.role, role)) throw new Error(`A key can't have more rights than its owner (${user.role})`);
+    const { token, key } = this._issue({ type: 'api', userId: user.id, name: String(name || '').trim() || 'API key', role });
+    return { token, key: this.describeKey(key), user: this.describeUser(user) };
+  }
+
+  // API keys of one user, or of everyone without `userId`
+  listKeys(userId) {
+    return [...this._keys.values()]
+      .filter(k => k.type === 'api' && (!userId || k.userId === userId))
+      .map(k => this.describeKey(k));
+  }
+
+  // Revoke by key id; `userId` limits it to that user's keys
+  revokeKey(id, userId) {
+    for (const [hash, key] of this._keys) {
+      if (key.id === id && (!userId || key.userId === userId)) {
+        this._keys.delete(hash);
+        this._save();
+        return { deleted: id };
+      }
+    }
+    throw new Error('API key not found');
+  }
+
+  // Sign-out ends a login token; API keys are only revoked explicitly
+  logout(token) {
+    const hash = hashToken(String(token || ''));
+    if (this._keys.get(hash)?.type === 'login' && this._keys.delete(hash)) this._save();
+  }
+
+  // The user and role a token grants, or null. A share link authenticates as
+  // a principal with no role of its own and `share: { project, role }`.
+  authenticate(token) {
+    if (!token) return null;
+    const key = this._keys.get(hashToken(String(token)));
+    if (!key || this._expired(key)) return null;
+    const user = this._users.get(key.userId);
+    if (!user && key.type !== 'share') return null;
+    const now = Date.now();
+    const stale = now - new Date(key.lastUsed || 0).getTime() > TOUCH_SAVE_INTERVAL;
+    key.lastUsed = new Date(now).toISOString();
+    if (stale) this._save();
+    if (key.type === 'share') {
+      return { id: key.id, name: key.name, role: 'none', keyId: key.id, share: { project: key.project, role: key.role } };
+    }
+    // A key never grants more than its owner currently has
+    const role = key.role && hasRole(user.role, key.role) ? key.role : user.role;
+    return { id: user.id, name: user.name, role, keyId: key.id, keyRole: key.role };
+  }
+
+  describeKey(key) {
+    const owner = this._users.get(key.userId);
+    return {
+      id: key.id, name: key.name, prefix: key.prefix, role: key.role, userId: key.userId, user: owner ? owner.name : null,
+      createdAt: key.createdAt, lastUsed: key.lastUsed, expiresAt: key.expiresAt,
+    };
+  }
+
+  _issue({ type, userId = null, name, role = null, project, createdBy, expiresAt = null }) {
+    const token = TOKEN_PREFIXES[type] + crypto.randomBytes(24).toString('hex');
+    const key = {
+      id: crypto.randomUUID(), userId, type, name, role, prefix: token.slice(0, 10),
+      hash: hashToken(token), createdAt: new Date().toISOString(), lastUsed: null, expiresAt,
+    };
+    if (type === 'share') Object.assign(key, { project, createdBy });
+    this._keys.set(key.hash, key);
+    this._save();
+    return { token, key };
+  }
+
+  // ---- PROJECT ACCESS ----
+
+  // The role `user` (as returned by authenticate) has on `project`. Branches
+  // go by the access list of their project, and a share link for a project
+  // opens its branches too.
+  projectRole(user, project) {
+    const owner = project && splitBranch(project).project;
+    if (user.share) return [project, owner].includes(user.share.project) ? user.share.role : 'none';
+    if (user.role === 'admin') return 'admin';
+    const access = this._access.get(owner);
+    const role = access?.users[user.id] ?? (access?.restricted ? 'none' : user.role);
+    // A key with a lower role than its owner stays below it everywhere
+    return user.keyRole && !hasRole(user.keyRole, role) ? user.keyRole : role;
+  }
+
+  getAccess(project) {
+    const access = this._access.get(project) || { restricted: false, users: {} };
+    return {
+      project,
+      restricted: !!access.restricted,
+      users: Object.entries(access.users).map(([id, role]) => ({ id, name: this._users.get(id)?.name || null, role })),
+    };
+  }
+
+  // `users` replaces the whole list: [{ id or name, role }]; 'none' keeps a
+  // user out of a project that isn't restricted
+  setAccess(project, { restricted, users } = {}) {
+    if (splitBranch(project).branch) throw new Error('Branches use the access list of their project');
+    const access = this._access.get(project) || { restricted: false, users: {} };
+    if (restricted !== undefined) access.restricted = !!restricted;
+    if (users !== undefined) {
+      if (!Array.isArray(users)) throw new Error('users must be an array of { id, role }');
+      access.users = {};
+      for (const entry of users) {
+        const user = entry?.id ? this.getUser(entry.id) : this._findByName(String(entry?.name || ''));
+        if (!user) throw new Error(`User "${entry?.name}" not found`);
+        access.users[user.id] = validRole(entry.role);
+      }
+    }
+    if (access.restricted || Object.keys(access.users).length) this._access.set(project, access);
+    else this._access.delete(project);
+    this._save();
+    return this.getAccess(project);
+  }
+
+  // ---- SHARE LINKS ----
+
+  // Read-only token for one project; `expiresAt` is optional
+  // Share links are read-only: there are no comments yet for a comment-only link to allow
+  createShare(project, { name, expiresAt, role = 'viewer' } = {}, createdBy = null) {
+    if (role !== 'viewer') throw new Error('Share links can only have the role "viewer"; comment-only links are not supported');
+    if (expiresAt && Number.isNaN(new Date(expiresAt).getTime())) throw new Error('expiresAt is not a valid date');
+    const { token, key } = this._issue({
+      type: 'share', name: String(name || '').trim() || 'Share link', role, project,
+      createdBy: createdBy ? { id: createdBy.id, name: createdBy.name } : null,
+      expiresAt: expiresAt ? new Date(expiresAt).toISOString() : null,
+    });
+    return { token, share: this.describeShare(key) };
+  }
+
+  listShares(project) {
+    return [...this._keys.values()]
+      .filter(k => k.type === 'share' && k.project === project && !this._expired(k))
+      .map(k => this.describeShare(k));
+  }
+
+  revokeShare(project, id) {
+    for (const [hash, key] of this._keys) {
+      if (key.type === 'share' && key.project === project && key.id === id) {
+        this._keys.delete(hash);
+        this._save();
+        return { deleted: id };
+      }
+    }
+    throw new Error('Share link not found');
+  }
+
+  describeShare(key) {
+    return {
+      id: key.id, name: key.name, prefix: key.prefix, role: key.role, project: key.project,
+      createdBy: key.createdBy, createdAt: key.createdAt, lastUsed: key.lastUsed, expiresAt: key.expiresAt,
+    };
+  }
+
+  // A deleted project takes its access list and share links with it
+  removeProject(project) {
+    let changed = this._access.delete(project);
+    for (const [hash, key] of this._keys) {
+      if (key.type === 'share' && key.project === project) changed = this._keys.delete(hash);
+    }
+    if (changed) this._save();
+  }
+
+  // A renamed project keeps its access list and share links
+  renameProject(project, newName) {
+    let changed = false;
+    if (this._access.has(project)) {
+      this._access.set(newName, this._access.get(project));
+      changed = this._access.delete(project);
+    }
+    for (const key of this._keys.values()) {
+      if (key.type === 'share' && key.project === project) {
+        key.project = newName;
+        changed = true;
+      }
+    }
+    if (changed) this._save();
+  }
+
+  // A clone starts with the access list of its original, so cloning never
+  // shows a restricted project to more people
+  copyAccess(project, newName) {
+    const access = this._access.get(project);
+    if (!access) return;
+    this._access.set(newName, { restricted: access.restricted, users: { ...access.users } });
+    this._save();
+  }
+
+  _findByName(name) {
+    const lower = name.toLowerCase();
+    return [...this._users.values()].find(u => u.name.toLowerCase() === lower) || null;
+  }
+
+  _keepAnAdmin(user) {
+    if (![...this._users.values()].some(u => u.role === 'admin' && u.id !== user.id)) {
+      throw new Error('There must be at least one admin');
+    }
+  }
+
+  _expired(key) {
+    return !!key.expiresAt && new Date(key.expiresAt).getTime() < Date.now();
+  }
+}
+
+// Whether `role` includes the rights of `needed` (admin > editor > viewer > none)
+function hasRole(role, needed) {
+  return ROLES.indexOf(role) >= ROLES.indexOf(needed);
+}
+
+// Projects a batch reads besides its own: the sources of its merges
+function batchSources(operations) {
+  return Array.isArray(operations) ? [...new Set(operations.filter(o => o?.op === 'mergeProjects').map(o => o.source))] : [];
+}
+
+function validRole(role) {
+  if (!ROLES.includes(role)) throw new Error(`Role must be one of: ${ROLES.join(', ')}`);
+  return role;
+}
+
+function hashToken(token) {
+  return crypto.createHash('sha256').update(token).digest('hex');
+}
+
+function hashPassword(password) {
+  if (String(password).length < 8) throw new Error('Password must be at least 8 characters');
+  const salt = crypto.randomBytes(16).toString('hex');
+  return { salt, hash: crypto.scryptSync(String(password), salt, 64).toString('hex') };
+}
+
+function verifyPassword(password, { salt, hash }) {
+  const actual = crypto.scryptSync(password, salt, 64);
+  return crypto.timingSafeEqual(actual, Buffer.from(hash, 'hex'));
+}
+
+function withStatus(err, status) {
+  err.status = status;
+  return err;
+}
+
+module.exports = { AuthRegistry, ROLES, hasRole, batchSources };
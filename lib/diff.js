@@ -0,0 +1,82 @@
+// Structured differences between two project states.
+//
+// Every entry has a `type` (added | deleted | modified | moved | renamed) and a
+// `kind` (category | chunk). Chunk entries carry `uid`, `id` and `category`;
+// `modified` entries list field-level { field, old, new } changes, where
+// standard metadata appears as `metadata.<key>` and custom fields as `custom.<key>`.
+
+const CHUNK_FIELDS = ['id', 'text'];
+
+function chunkIndex(state) {
+  const map = new Map();
+  for (const cat of state.categories || []) {
+    for (const ch of cat.chunks) map.set(ch._uid, { ch, cat });
+  }
+  return map;
+}
+
+function chunkChanges(prev, curr) {
+  const changes = [];
+  for (const field of CHUNK_FIELDS) {
+    if ((prev[field] ?? '') !== (curr[field] ?? '')) changes.push({ field, old: prev[field] ?? '', new: curr[field] ?? '' });
+  }
+
+  const metaKeys = new Set([...Object.keys(prev.metadata || {}), ...Object.keys(curr.metadata || {})]);
+  for (const k of metaKeys) {
+    const pv = (prev.metadata || {})[k];
+    const cv = (curr.metadata || {})[k];
+    if ((pv ?? '') !== (cv ?? '')) changes.push({ field: `metadata.${k}`, old: pv ?? null, new: cv ?? null });
+  }
+
+  const prevCf = new Map((prev.customFields || []).map(f => [f.key, f.value]));
+  const currCf = new Map((curr.customFields || []).map(f => [f.key, f.value]));
+  for (const k of new Set([...prevCf.keys(), ...currCf.keys()])) {
+    if (!k) continue;
+    const pv = prevCf.has(k) ? prevCf.get(k) : null;
+    const cv = currCf.has(k) ? currCf.get(k) : null;
+    if (pv !== cv) changes.push({ field: `custom.${k}`, old: pv, new: cv });
+  }
+  return changes;
+}
+
+function diffProjects(prev, curr) {
+  prev = prev || { categories: [] };
+  const changes = [];
+
+  const prevCats = new Map((prev.categories || []).map(c => [c.id, c]));
+  const currCats = new Map((curr.categories || []).map(c => [c.id, c]));
+
+  for (const [id, cat] of prevCats) {
+    if (!currCats.has(id)) changes.push({ type: 'deleted', kind: 'category', id, name: cat.name, chunks: cat.chunks.length });
+  }
+  for (const [id, cat] of currCats) {
+    const before = prevCats.get(id);
+    if (!before) changes.push({ type: 'added', kind: 'category', id, name: cat.name, chunks: cat.chunks.length });
+    else if (before.name !== cat.name) changes.push({ type: 'renamed', kind: 'category', id, old: before.name, new: cat.name });
+  }
+
+  const prevChunks = chunkIndex(prev);
+  const currChunks = chunkIndex(curr);
+
+  for (const [uid, { ch, cat }] of prevChunks) {
+    if (!currChunks.has(uid)) changes.push({ type: 'deleted', kind: 'chunk', uid, id: ch.id, category: cat.name, chunk: ch });
+  }
+  for (const [uid, { ch, cat }] of currChunks) {
+    const before = prevChunks.get(uid);
+    if (!before) {
+      changes.push({ type: 'added', kind: 'chunk', uid, id: ch.id, category: cat.name, chunk: ch });
+      continue;
+    }
+    if (before.cat.id !== cat.id) {
+      changes.push({ type: 'moved', kind: 'chunk', uid, id: ch.id, old: before.cat.name, new: cat.name, category: cat.name });
+    }
+    const fields = chunkChanges(before.ch, ch);
+    if (fields.length) changes.push({ type: 'modified', kind: 'chunk', uid, id: ch.id, category: cat.name, changes: fields });
+  }
+
+  const counts = { added: 0, deleted: 0, modified: 0, moved: 0, renamed: 0 };
+  for (const c of changes) counts[c.type]++;
+  return { counts, changes };
+}
+
+module.exports = { diffProjects, chunkChanges };
@@ -0,0 +1,106 @@
+// Typed change events describing one mutation, for live clients that patch
+// their copy of the project in place instead of refetching it.
+//
+// Clients apply the events in order:
+//   category:deleted   { categoryId }
+//   category:added     { index, category }            — with its chunks
+//   category:renamed   { categoryId, name }
+//   category:toggled   { categoryId, expanded }
+//   categories:reordered { order: [categoryId] }
+//   chunk:deleted      { categoryId, uid }
+//   chunk:moved        { fromCategoryId, categoryId, index, chunk }
+//   chunk:added        { categoryId, index, chunk }
+//   chunk:updated      { categoryId, chunk }
+//   chunks:reordered   { categoryId, order: [uid] }
+// The reorder events are only sent when the others don't already produce the
+// final order.
+
+const { locate } = require('./patch');
+
+const MAX_EVENTS = 500; // beyond this, clients are told to reload instead
+
+function sameOrder(a, b) {
+  return a.length === b.length && a.every((x, i) => x === b[i]);
+}
+
+// Insert `items` ({ id, index }) into `list` in ascending index order, the
+// same way a client applying the events one by one would.
+function insertAll(list, items) {
+  for (const { id, index } of [...items].sort((a, b) => a.index - b.index)) {
+    list.splice(Math.min(index, list.length), 0, id);
+  }
+  return list;
+}
+
+function changeEvents(prev, curr) {
+  const events = [];
+  const prevCats = new Map(prev.categories.map(c => [c.id, c]));
+  const currCats = new Map(curr.categories.map(c => [c.id, c]));
+
+  for (const id of prevCats.keys()) {
+    if (!currCats.has(id)) events.push({ type: 'category:deleted', categoryId: id });
+  }
+  const addedCats = [];
+  curr.categories.forEach((cat, index) => {
+    if (prevCats.has(cat.id)) return;
+    addedCats.push({ id: cat.id, index });
+    events.push({ type: 'category:added', index, category: cat });
+  });
+  for (const cat of curr.categories) {
+    const before = prevCats.get(cat.id);
+    if (!before) continue;
+    if (before.name !== cat.name) events.push({ type: 'category:renamed', categoryId: cat.id, name: cat.name });
+    if (!!before.expanded !== !!cat.expanded) events.push({ type: 'category:toggled', categoryId: cat.id, expanded: !!cat.expanded });
+  }
+  const catOrder = insertAll(prev.categories.map(c => c.id).filter(id => currCats.has(id)), addedCats);
+  if (!sameOrder(catOrder, curr.categories.map(c => c.id))) {
+    events.push({ type: 'categories:reordered', order: curr.categories.map(c => c.id) });
+  }
+
+  // Chunk events only for categories that existed before; new ones arrived whole
+  const before = locate(prev);
+  const after = locate(curr);
+  const order = new Map(prev.categories.filter(c => currCats.has(c.id)).map(c => [c.id, c.chunks.map(ch => ch._uid)]));
+
+  const deletions = [];
+  const moves = [];
+  const additions = [];
+  const updates = [];
+  for (const [uid, b] of before) {
+    const a = after.get(uid);
+    // Gone, or moved into a category that arrives whole with category:added
+    if ((!a || !order.has(a.cat.id)) && order.has(b.cat.id)) {
+      deletions.push({ type: 'chunk:deleted', categoryId: b.cat.id, uid });
+    }
+  }
+  for (const [uid, a] of after) {
+    if (!order.has(a.cat.id)) continue;
+    const b = before.get(uid);
+    if (b && order.has(b.cat.id) && b.cat.id !== a.cat.id) {
+      moves.push({ type: 'chunk:moved', fromCategoryId: b.cat.id, categoryId: a.cat.id, index: a.index, chunk: a.ch });
+    } else if (!b || b.cat.id !== a.cat.id) {
+      additions.push({ type: 'chunk:added', categoryId: a.cat.id, index: a.index, chunk: a.ch });
+    } else if (JSON.stringify(b.ch) !== JSON.stringify(a.ch)) {
+      updates.push({ type: 'chunk:updated', categoryId: a.cat.id, chunk: a.ch });
+    }
+  }
+  events.push(...deletions, ...moves, ...additions, ...updates);
+
+  // Replay the chunk events exactly as a client would, then compare with the real order
+  for (const ev of [...deletions, ...moves, ...additions]) {
+    const uid = ev.uid || ev.chunk._uid;
+    const from = ev.fromCategoryId || (ev.type === 'chunk:deleted' && ev.categoryId);
+    if (from) order.set(from, order.get(from).filter(u => u !== uid));
+    if (ev.type === 'chunk:deleted') continue;
+    const list = order.get(ev.categoryId);
+    list.splice(Math.min(ev.index, list.length), 0, uid);
+  }
+  for (const [catId, uids] of order) {
+    const actual = currCats.get(catId).chunks.map(ch => ch._uid);
+    if (!sameOrder(uids, actual)) events.push({ type: 'chunks:reordered', categoryId: catId, order: actual });
+  }
+
+  return events.length > MAX_EVENTS ? [{ type: 'data:changed' }] : events;
+}
+
+module.exports = { changeEvents };
@@ -0,0 +1,55 @@
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+
+// Write a file so readers only ever see the old or the new content:
+// write a sibling temp file, flush it, then rename it over the target.
+async function writeFileAtomic(fp, content) {
+  const tmp = path.join(path.dirname(fp), `.${path.basename(fp)}.${process.pid}.${crypto.randomBytes(4).toString('hex')}.tmp`);
+  const handle = await fs.promises.open(tmp, 'w');
+  try {
+    await handle.writeFile(content, 'utf-8');
+    await handle.sync();
+  } finally {
+    await handle.close();
+  }
+  try {
+    await fs.promises.rename(tmp, fp);
+  } catch (e) {
+    await fs.promises.unlink(tmp).catch(() => {});
+    throw e;
+  }
+}
+
+async function readJSON(fp, fallback) {
+  try {
+    return JSON.parse(await fs.promises.readFile(fp, 'utf-8'));
+  } catch (e) {
+    if (e.code === 'ENOENT' && fallback !== undefined) return fallback;
+    throw e;
+  }
+}
+
+function writeJSONAtomic(fp, data) {
+  return writeFileAtomic(fp, JSON.stringify(data, null, 2));
+}
+
+// Registries that record when an entry was last used persist that at most this often per entry
+const TOUCH_SAVE_INTERVAL = 60 * 1000;
+
+// Returns a save() for a registry kept in one JSON file: each call writes
+// `snapshot()` to `fp`. Writes are chained so the file always ends up with the
+// latest state; failures are logged, as callers don't wait for them.
+function jsonFileWriter(fp, snapshot, what) {
+  let writing = Promise.resolve();
+  return () => {
+    writing = writing
+      .then(async () => {
+        await fs.promises.mkdir(path.dirname(fp), { recursive: true });
+        await writeJSONAtomic(fp, snapshot());
+      })
+      .catch(e => console.error(`Failed to save ${what}:`, e.message));
+  };
+}
+
+module.exports = { writeFileAtomic, readJSON, writeJSONAtomic, jsonFileWriter, TOUCH_SAVE_INTERVAL };
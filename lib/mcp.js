@@ -0,0 +1,313 @@
+const { McpServer } = require('@modelcontextprotocol/sdk/server/mcp.js');
+const { z } = require('zod');
+const { hasRole } = require('./auth');
+
+// Model Context Protocol tools mapped onto Store methods, served over
+// streamable HTTP at /mcp and over stdio with `server.js --stdio`.
+// Agents address chunks by their ID; tools that change data return the new
+// project revision, and every change is broadcast to browsers by the store.
+// Tools need the editor role unless they say otherwise, on the project they
+// are called for.
+
+const project = z.string().describe('Project name');
+const chunkInput = z.object({
+  id: z.string().describe('Unique chunk ID, e.g. "zombie_overview"'),
+  text: z.string().describe('Chunk text (keep it under ~2000 characters)'),
+  metadata: z.record(z.string(), z.string()).optional()
+    .describe('page_title, source and license, plus any custom fields'),
+});
+const mergeStrategy = z.enum(['skip', 'overwrite', 'keep-newer', 'rename-with-suffix', 'merge-metadata'])
+  .describe('How to settle a chunk whose ID the target already uses');
+
+function text(result) {
+  return { content: [{ type: 'text', text: JSON.stringify(result, null, 2) }] };
+}
+
+// Category id and uid of the chunk with the given ID, as the chunk endpoints need them
+async function locateChunk(store, name, chunkId) {
+  const data = await store.getProject(name);
+  for (const cat of data.categories) {
+    const ch = cat.chunks.find(c => c.id === chunkId);
+    if (ch) return { catId: cat.id, uid: ch._uid };
+  }
+  throw new Error(`Chunk "${chunkId}" not found`);
+}
+
+const TOOLS = {
+  // ---- PROJECTS ----
+  list_projects: {
+    role: 'none',
+    description: 'List all projects with their category and chunk counts',
+    schema: {},
+    run: async (store, p, opts, roleIn) => (await store.listProjects()).filter(({ name }) => roleIn(name) !== 'none'),
+  },
+  get_project: {
+    role: 'viewer',
+    description: 'Full project: categories with all their chunks',
+    schema: { project },
+    run: (store, p) => store.getProject(p.project),
+  },
+  create_project: {
+    description: 'Create an empty project',
+    schema: { name: z.string() },
+    run: (store, p, opts) => store.createProject(p.name, opts),
+  },
+  delete_project: {
+    role: 'admin',
+    description: 'Move a project and its history to the trash; returns the `trashId` to restore it with',
+    schema: { project },
+    run: (store, p, opts) => store.deleteProject(p.project, opts),
+  },
+  restore_project: {
+    role: 'admin',
+    description: 'Restore a deleted project from the trash, under its old name or `name`',
+    schema: { trash_id: z.string(), name: z.string().optional() },
+    run: (store, p, opts) => store.restoreProject(p.trash_id, p.name, opts),
+  },
+  rename_project: {
+    role: 'admin',
+    description: 'Rename a project; its history, tags, webhooks and share links move with it',
+    schema: { project, new_name: z.string() },
+    run: (store, p, opts) => store.renameProject(p.project, p.new_name, opts),
+  },
+  clone_project: {
+    description: 'Copy a project with its history and tags under a new name, e.g. to experiment on',
+    schema: { project, name: z.string().describe('Name of the copy') },
+    run: (store, p, opts) => store.cloneProject(p.project, p.name, opts),
+  },
+  get_stats: {
+    role: 'viewer',
+    description: 'Chunk counts and text length statistics for a project',
+    schema: { project },
+    run: (store, p) => store.getStats(p.project),
+  },
+
+  // ---- CATEGORIES ----
+  list_categories: {
+    role: 'viewer',
+    description: 'List the categories of a project',
+    schema: { project },
+    run: (store, p) => store.listCategories(p.project),
+  },
+  create_category: {
+    description: 'Add a category',
+    schema: { project, name: z.string() },
+    run: (store, p, opts) => store.createCategory(p.project, p.name, opts),
+  },
+  rename_category: {
+    description: 'Rename a category',
+    schema: { project, category: z.string(), new_name: z.string() },
+    run: (store, p, opts) => store.renameCategory(p.project, p.category, p.new_name, opts),
+  },
+  delete_category: {
+    description: 'Delete a category and all its chunks',
+    schema: { project, category: z.string() },
+    run: (store, p, opts) => store.deleteCategory(p.project, p.category, opts),
+  },
+
+  // ---- CHUNKS ----
+  get_chunk: {
+    role: 'viewer',
+    description: 'Get one chunk by its ID',
+    schema: { project, chunk_id: z.string() },
+    run: (store, p) => store.getChunk(p.project, p.chunk_id),
+  },
+  add_chunk: {
+    description: 'Add a chunk to a category',
+    schema: { project, category: z.string(), chunk: chunkInput },
+    run: (store, p, opts) => store.addChunk(p.project, p.category, p.chunk, opts),
+  },
+  bulk_add_chunks: {
+    description: 'Add many chunks to a category in one commit',
+    schema: { project, category: z.string(), chunks: z.array(chunkInput) },
+    run: (store, p, opts) => store.bulkAddChunks(p.project, p.category, p.chunks, opts),
+  },
+  update_chunk: {
+    description: 'Change the ID, text or metadata of a chunk. Omitted fields are left as they are.',
+    schema: {
+      project,
+      chunk_id: z.string(),
+      new_id: z.string().optional(),
+      text: z.string().optional(),
+      metadata: z.object({ page_title: z.string(), source: z.string(), license: z.string() }).partial().optional(),
+      custom_fields: z.record(z.string(), z.string()).optional().describe('Replaces all custom fields'),
+    },
+    run: async (store, p, opts) => {
+      const { catId, uid } = await locateChunk(store, p.project, p.chunk_id);
+      const updates = { id: p.new_id, text: p.text, metadata: p.metadata };
+      if (p.custom_fields) updates.customFields = Object.entries(p.custom_fields).map(([key, value]) => ({ key, value }));
+      return store.updateChunk(p.project, catId, uid, updates, opts);
+    },
+  },
+  delete_chunk: {
+    description: 'Delete a chunk',
+    schema: { project, chunk_id: z.string() },
+    run: async (store, p, opts) => {
+      const { catId, uid } = await locateChunk(store, p.project, p.chunk_id);
+      return store.deleteChunk(p.project, catId, uid, opts);
+    },
+  },
+  duplicate_chunk: {
+    description: 'Copy a chunk to the end of its category, with a new ID',
+    schema: { project, chunk_id: z.string() },
+    run: async (store, p, opts) => {
+      const { catId, uid } = await locateChunk(store, p.project, p.chunk_id);
+      return store.duplicateChunk(p.project, catId, uid, opts);
+    },
+  },
+  move_chunk: {
+    description: 'Move a chunk to another category',
+    schema: { project, chunk_id: z.string(), target_category: z.string() },
+    run: (store, p, opts) => store.moveChunk(p.project, p.chunk_id, p.target_category, opts),
+  },
+  search_chunks: {
+    role: 'viewer',
+    description: 'Find chunks whose ID or text contains the query',
+    schema: { project, query: z.string() },
+    run: (store, p) => store.searchChunks(p.project, p.query),
+  },
+
+  // ---- IMPORT / EXPORT ----
+  export_project: {
+    role: 'viewer',
+    description: 'Export the dataset as a flat JSON array, optionally as it was at a tag or commit',
+    schema: { project, ref: z.string().optional().describe('Tag name or commit id') },
+    run: (store, p) => store.exportProject(p.project, p.ref),
+  },
+  export_category: {
+    role: 'viewer',
+    description: 'Export one category as a flat JSON array',
+    schema: { project, category: z.string() },
+    run: (store, p) => store.exportCategory(p.project, p.category),
+  },
+  import_json: {
+    description: 'Import chunks in export format into a category (the project is created if needed)',
+    schema: { project, data: z.array(chunkInput), category: z.string().optional() },
+    run: (store, p, opts) => store.importJSON(p.project, p.data, p.category, opts),
+  },
+  bulk_update_metadata: {
+    description: 'Set one metadata field on every chunk, or every chunk of a category',
+    schema: { project, field: z.string(), value: z.string(), category: z.string().optional() },
+    run: (store, p, opts) => store.bulkUpdateMetadata(p.project, p.field, p.value, p.category, opts),
+  },
+  merge_projects: {
+    description: 'Copy all categories and chunks of one project into another. Chunks whose ID the target already uses are settled by `strategy` (default skip), or per chunk ID by `resolve`; `dry_run` returns the per-chunk plan without changing anything',
+    schema: {
+      project: project.describe('Source project'),
+      target: z.string().describe('Target project'),
+      strategy: mergeStrategy.optional(),
+      resolve: z.record(z.string(), mergeStrategy).optional().describe('Strategy per conflicting chunk ID'),
+      dry_run: z.boolean().optional(),
+    },
+    run: (store, p, opts) => store.mergeProjects(p.project, p.target, { strategy: p.strategy, resolve: p.resolve, dryRun: !!p.dry_run }, opts),
+  },
+
+  // ---- HISTORY ----
+  get_history: {
+    role: 'viewer',
+    description: 'Commit history of a project, newest first',
+    schema: { project, limit: z.number().int().positive().optional() },
+    run: async (store, p) => {
+      const commits = await store.getHistory(p.project);
+      return p.limit ? commits.slice(0, p.limit) : commits;
+    },
+  },
+  diff: {
+    role: 'viewer',
+    description: 'What changed between two refs (tag, commit id or "HEAD"); without `from`, what the `to` commit changed',
+    schema: { project, from: z.string().optional(), to: z.string().optional() },
+    run: (store, p) => store.diff(p.project, p.from, p.to),
+  },
+  rollback: {
+    description: 'Restore the whole project to the state after a commit',
+    schema: { project, commit_id: z.string() },
+    run: (store, p, opts) => store.rollback(p.project, p.commit_id, opts),
+  },
+  revert: {
+    description: 'Undo a single commit, keeping everything changed since',
+    schema: { project, commit_id: z.string(), skip_conflicts: z.boolean().optional() },
+    run: (store, p, opts) => store.revert(p.project, p.commit_id, { ...opts, skipConflicts: !!p.skip_conflicts }),
+  },
+  list_branches: {
+    role: 'viewer',
+    description: 'Branches of a project. Every tool works on a branch when given `<project>@<branch>` as the project',
+    schema: { project },
+    run: (store, p) => store.listBranches(p.project),
+  },
+  create_branch: {
+    description: 'Start a branch of the project from a tag or commit (default: the current state), with its own history',
+    schema: { project, name: z.string(), from: z.string().optional().describe('Tag name or commit id') },
+    run: (store, p, opts) => store.createBranch(p.project, p.name, p.from, opts),
+  },
+  delete_branch: {
+    description: 'Delete a branch and its history for good',
+    schema: { project, branch: z.string() },
+    run: (store, p, opts) => store.deleteBranch(p.project, p.branch, opts),
+  },
+  merge_branch: {
+    description: 'Three-way merge of a branch back into the project. Fails listing the conflicts unless `resolve` settles each one by its `key`; `dry_run` only reports what would change',
+    schema: {
+      project,
+      branch: z.string(),
+      resolve: z.record(z.string(), z.enum(['main', 'branch'])).optional(),
+      dry_run: z.boolean().optional(),
+    },
+    run: (store, p, opts) => store.mergeBranch(p.project, p.branch, { resolve: p.resolve, dryRun: !!p.dry_run }, opts),
+  },
+  get_changes: {
+    role: 'viewer',
+    description: 'Chunks added, changed or deleted since a revision; pass the returned `cursor` as `since` next time',
+    schema: { project, since: z.number().int().nonnegative().optional() },
+    run: (store, p) => store.changesSince(p.project, p.since),
+  },
+};
+
+// Why `user` may not call the tool, or null. Tools without a project (listing
+// and creating projects) go by the user's own role, which must also allow
+// creating the copy for clone_project. A merge only reads its source project.
+function accessError(name, tool, p, user, roleIn) {
+  const role = name === 'merge_projects' ? 'viewer' : tool.role || 'editor';
+  if (!tool.schema.project) return hasRole(user.role, role) ? null : `${name} needs the ${role} role`;
+  if (name === 'clone_project' && !hasRole(user.role, 'editor')) return `${name} needs the editor role`;
+  if (!hasRole(roleIn(p.project), role)) return `${name} needs the ${role} role on project "${p.project}"`;
+  if (name === 'merge_projects' && !hasRole(roleIn(p.target), 'editor')) return `${name} needs the editor role on project "${p.target}"`;
+  return null;
+}
+
+// `source` attributes the changes; `project` (e.g. the project a session is
+// bound to) is used when a tool call leaves it out. `user` is the caller when
+// authentication is on and `roleIn(project)` their role on a project: tools
+// beyond it fail, and commits record the user as the author. `audit(entry)`
+// is called after every call of a tool that changes data.
+function createMcpServer(store, { source = 'mcp', project: defaultProject, user = null, roleIn = () => 'admin', audit } = {}) {
+  const server = new McpServer({ name: 'dataset-builder', version: require('../package.json').version });
+  const author = user ? { id: user.id, name: user.name } : null;
+  for (const [name, tool] of Object.entries(TOOLS)) {
+    const schema = { ...tool.schema };
+    if (schema.project && defaultProject) schema.project = schema.project.optional();
+    const changesData = !['none', 'viewer'].includes(tool.role);
+    server.registerTool(name, { description: tool.description, inputSchema: schema }, async params => {
+      const started = Date.now();
+      const p = { project: defaultProject, ...params };
+      let status = 200;
+      let error;
+      try {
+        const denied = user && accessError(name, tool, p, user, roleIn);
+        if (denied) {
+          status = 403;
+          throw new Error(denied);
+        }
+        return text(await tool.run(store, p, { source, author }, roleIn));
+      } catch (e) {
+        if (status === 200) status = e.status || 400;
+        error = e.message;
+        return { isError: true, content: [{ type: 'text', text: e.message }] };
+      } finally {
+        if (audit && changesData) audit({ action: name, project: p.project || null, params, status, error, duration: Date.now() - started });
+      }
+    });
+  }
+  return server;
+}
+
+module.exports = { createMcpServer };
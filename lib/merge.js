@@ -0,0 +1,166 @@
+// Three-way merge of a branch back into its project.
+//
+// `base` is the last state the two have in common (where the branch was
+// created, or last merged), `ours` the project as it is now and `theirs` the
+// branch. Every category and chunk the branch changed since `base` is applied
+// to a copy of `ours` — unless the project changed it too, differently, in
+// which case it is reported as a conflict and left as the project has it.
+// `resolve` settles conflicts by key (chunk uid or category id): 'main' keeps
+// the project's version, 'branch' takes the branch's.
+
+const { clone, content, locate } = require('./patch');
+
+function chunkView(entry) {
+  if (!entry) return null;
+  const { _rev, ...chunk } = entry.ch;
+  return { category: entry.cat.name, chunk };
+}
+
+// Returns { state, merged, conflicts }: the merged state with every unresolved
+// conflict left as in `ours`, and how many changes were taken from the branch.
+// Conflicts are { kind, key, reason, choices, main, branch } plus `uid` and
+// `id` for chunks or `name` for categories; `choices` lists the resolutions
+// that can settle them.
+function mergeStates(base, ours, theirs, resolve = {}) {
+  const result = clone(ours);
+  const conflicts = [];
+  const category = id => result.categories.find(c => c.id === id);
+  const sameName = (name, exceptId) => result.categories.find(c => c.id !== exceptId && c.name.toLowerCase() === name.toLowerCase());
+  // The resolution for a conflict, or null (and the conflict reported) when it has none yet
+  const settle = (conflict, choices = ['main', 'branch']) => {
+    const choice = resolve[conflict.key];
+    if (choices.includes(choice)) return choice;
+    conflicts.push({ ...conflict, choices });
+    return null;
+  };
+  let merged = 0;
+
+  const baseCats = new Map(base.categories.map(c => [c.id, c]));
+  const ourCats = new Map(ours.categories.map(c => [c.id, c]));
+  const theirCats = new Map(theirs.categories.map((c, index) => [c.id, { cat: c, index }]));
+  const catIds = new Map(theirs.categories.map(c => [c.id, c.id])); // branch category → category in the result
+
+  // Categories added on the branch; one named like a category of the project is merged into it
+  theirs.categories.forEach((cat, index) => {
+    if (baseCats.has(cat.id) || ourCats.has(cat.id)) return;
+    const existing = result.categories.find(c => c.name.toLowerCase() === cat.name.toLowerCase() && !(baseCats.has(c.id) && !theirCats.has(c.id)));
+    if (existing) {
+      catIds.set(cat.id, existing.id);
+      return;
+    }
+    const { chunks, ...skeleton } = cat;
+    result.categories.splice(Math.min(index, result.categories.length), 0, { ...clone(skeleton), chunks: [] });
+    merged++;
+  });
+
+  // Decide chunk by chunk first; IDs and category deletions depend on the whole picture
+  const prev = locate(base);
+  const next = locate(theirs);
+  const curr = locate(ours);
+  const at = (entry, mapped) => entry && `${mapped ? catIds.get(entry.cat.id) : entry.cat.id}\n${content(entry.ch)}`;
+  const taken = new Map(); // uid → branch entry to put in the result
+  const dropped = new Set(); // uids to delete
+  const restore = new Set(); // categories deleted in the project that the branch still needs
+
+  for (const uid of new Set([...prev.keys(), ...next.keys()])) {
+    const b = prev.get(uid);
+    const t = next.get(uid);
+    const o = curr.get(uid);
+    const theirsAt = at(t, true);
+    if (at(b, false) === theirsAt || at(o, false) === theirsAt) continue; // untouched on the branch, or the same change on both sides
+
+    const conflict = reason => ({ kind: 'chunk', key: uid, uid, id: (t || o || b).ch.id, reason, main: chunkView(o), branch: chunkView(t) });
+    if (at(o, false) !== at(b, false)) {
+      const reason = !o ? 'Deleted in the project' : !t ? 'Changed in the project, deleted on the branch' : 'Changed in both';
+      if (settle(conflict(reason)) !== 'branch') continue;
+    }
+    if (!t) {
+      if (o) dropped.add(uid);
+      continue;
+    }
+    const catId = catIds.get(t.cat.id);
+    if (!category(catId)) {
+      if (settle(conflict(`Category '${t.cat.name}' was deleted in the project`)) !== 'branch') continue;
+      restore.add(t.cat.id);
+    }
+    taken.set(uid, t);
+  }
+
+  // A chunk ID the branch brings in must not be used by another chunk of the result
+  const idOwners = new Map();
+  for (const [uid, { ch }] of curr) {
+    if (!dropped.has(uid) && !taken.has(uid) && ch.id) idOwners.set(ch.id, uid);
+  }
+  for (const [uid, t] of taken) {
+    if (!t.ch.id) continue;
+    const owner = idOwners.get(t.ch.id);
+    if (owner && owner !== uid) {
+      const o = curr.get(uid);
+      settle({ kind: 'chunk', key: uid, uid, id: t.ch.id, reason: `Chunk ID '${t.ch.id}' is used by another chunk in the project`, main: chunkView(o), branch: chunkView(t) }, ['main']);
+      taken.delete(uid);
+      if (o?.ch.id) idOwners.set(o.ch.id, uid);
+      continue;
+    }
+    idOwners.set(t.ch.id, uid);
+  }
+
+  // Categories deleted on the branch go once the branch's chunks have left them
+  const removeCats = new Set();
+  for (const [id, cat] of baseCats) {
+    if (theirCats.has(id) || !category(id)) continue;
+    const leftovers = category(id).chunks.filter(ch => !dropped.has(ch._uid) && !(taken.has(ch._uid) && catIds.get(taken.get(ch._uid).cat.id) !== id));
+    if (leftovers.length) {
+      const conflict = { kind: 'category', key: id, name: cat.name, reason: `Still holds ${leftovers.length} chunk(s) added or kept in the project`, main: category(id).name, branch: null };
+      if (settle(conflict) !== 'branch') continue;
+    }
+    removeCats.add(id);
+  }
+
+  // Renames on the branch
+  const renames = new Map();
+  for (const [id, { cat }] of theirCats) {
+    const b = baseCats.get(id);
+    const o = category(id);
+    if (!b || b.name === cat.name || !o || o.name === cat.name) continue;
+    const conflict = reason => ({ kind: 'category', key: id, name: cat.name, reason, main: o.name, branch: cat.name });
+    if (o.name !== b.name && settle(conflict(`Renamed to '${o.name}' in the project and '${cat.name}' on the branch`)) !== 'branch') continue;
+    if (sameName(cat.name, id)) {
+      settle(conflict(`A category named '${cat.name}' already exists in the project`), ['main']);
+      continue;
+    }
+    renames.set(id, cat.name);
+  }
+
+  // Apply
+  for (const id of restore) {
+    const { cat, index } = theirCats.get(id);
+    const { chunks, ...skeleton } = cat;
+    result.categories.splice(Math.min(index, result.categories.length), 0, { ...clone(skeleton), chunks: [] });
+    merged++;
+  }
+  // Chunks taken from the branch are replaced where they are, or removed here and inserted below
+  const staysPut = uid => curr.get(uid)?.cat.id === catIds.get(taken.get(uid).cat.id);
+  for (const cat of result.categories) {
+    cat.chunks = cat.chunks.filter(ch => !dropped.has(ch._uid) && (!taken.has(ch._uid) || staysPut(ch._uid)));
+  }
+  merged += dropped.size;
+  for (const [uid, t] of [...taken].sort((x, y) => x[1].index - y[1].index)) {
+    const target = category(catIds.get(t.cat.id));
+    const idx = target.chunks.findIndex(ch => ch._uid === uid);
+    if (idx !== -1) target.chunks[idx] = clone(t.ch);
+    else target.chunks.splice(Math.min(t.index, target.chunks.length), 0, clone(t.ch));
+    merged++;
+  }
+  if (removeCats.size) {
+    result.categories = result.categories.filter(c => !removeCats.has(c.id));
+    merged += removeCats.size;
+  }
+  for (const [id, name] of renames) {
+    category(id).name = name;
+    merged++;
+  }
+
+  return { state: result, merged, conflicts };
+}
+
+module.exports = { mergeStates };
@@ -0,0 +1,122 @@
+// Project-level patches used by the history engine.
+//
+// A patch describes how to get from one project state to the next at chunk
+// granularity, so a commit only stores what actually changed:
+//   project     — top-level fields (name, createdAt, ...) when any of them changed
+//   categories  — the category list without chunks, when names/order/flags changed
+//   order       — per category id: the new chunk uid order, or { append: [...] }
+//   chunks      — per chunk uid: the full new chunk, or null when it was removed
+
+function clone(obj) {
+  return JSON.parse(JSON.stringify(obj));
+}
+
+// Chunk content without the revision stamp, for "did anything change" checks
+function content(ch) {
+  const { _rev, ...rest } = ch;
+  return JSON.stringify(rest);
+}
+
+// Map of chunk uid -> { ch, cat, index }
+function locate(state) {
+  const map = new Map();
+  for (const cat of state.categories) {
+    cat.chunks.forEach((ch, index) => map.set(ch._uid, { ch, cat, index }));
+  }
+  return map;
+}
+
+function topLevel(state) {
+  const { categories, ...rest } = state;
+  return rest;
+}
+
+function skeleton(state) {
+  return state.categories.map(({ chunks, ...cat }) => cat);
+}
+
+function chunkMap(state) {
+  const map = new Map();
+  for (const cat of state.categories) {
+    for (const ch of cat.chunks) map.set(ch._uid, ch);
+  }
+  return map;
+}
+
+function createPatch(prev, curr) {
+  const patch = {};
+
+  if (JSON.stringify(topLevel(prev)) !== JSON.stringify(topLevel(curr))) {
+    patch.project = clone(topLevel(curr));
+  }
+
+  const currSkeleton = skeleton(curr);
+  if (JSON.stringify(skeleton(prev)) !== JSON.stringify(currSkeleton)) {
+    patch.categories = clone(currSkeleton);
+  }
+
+  const prevOrder = new Map(prev.categories.map(c => [c.id, c.chunks.map(ch => ch._uid)]));
+  const order = {};
+  for (const cat of curr.categories) {
+    const uids = cat.chunks.map(ch => ch._uid);
+    const before = prevOrder.get(cat.id);
+    if (before && before.length === uids.length && before.every((u, i) => u === uids[i])) continue;
+    if (before && before.length < uids.length && before.every((u, i) => u === uids[i])) {
+      order[cat.id] = { append: uids.slice(before.length) };
+    } else {
+      order[cat.id] = uids;
+    }
+  }
+  if (Object.keys(order).length) patch.order = order;
+
+  const prevChunks = chunkMap(prev);
+  const currChunks = chunkMap(curr);
+  const chunks = {};
+  for (const [uid, ch] of currChunks) {
+    const old = prevChunks.get(uid);
+    if (!old || JSON.stringify(old) !== JSON.stringify(ch)) chunks[uid] = clone(ch);
+  }
+  for (const uid of prevChunks.keys()) {
+    if (!currChunks.has(uid)) chunks[uid] = null;
+  }
+  if (Object.keys(chunks).length) patch.chunks = chunks;
+
+  return Object.keys(patch).length ? patch : null;
+}
+
+// Returns a new state; `state` itself is left untouched.
+function applyPatch(state, patch) {
+  return applyPatches(state, [patch]);
+}
+
+// Applies patches oldest first and copies the result once at the end, so
+// replaying a long run of commits doesn't copy the whole project per commit.
+function applyPatches(state, patches) {
+  for (const patch of patches) {
+    if (patch) state = step(state, patch);
+  }
+  return clone(state);
+}
+
+// The next state shares unchanged chunks with `state`; callers clone it
+function step(state, patch) {
+  const chunks = chunkMap(state);
+  for (const [uid, ch] of Object.entries(patch.chunks || {})) {
+    if (ch === null) chunks.delete(uid);
+    else chunks.set(uid, ch);
+  }
+
+  const prevOrder = new Map(state.categories.map(c => [c.id, c.chunks.map(ch => ch._uid)]));
+  const cats = patch.categories || skeleton(state);
+  const categories = cats.map(cat => {
+    const change = patch.order && patch.order[cat.id];
+    let uids = prevOrder.get(cat.id) || [];
+    if (Array.isArray(change)) uids = change;
+    else if (change) uids = [...uids, ...change.append];
+    return { ...cat, chunks: uids.filter(uid => chunks.has(uid)).map(uid => chunks.get(uid)) };
+  });
+
+  return { ...(patch.project || topLevel(state)), categories };
+}
+
+module.exports = { createPatch, applyPatch, applyPatches, clone, content, locate };
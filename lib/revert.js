@@ -0,0 +1,116 @@
+// Undo a single commit on top of the current project state.
+//
+// `before` and `after` are the project states around the commit being
+// reverted. Every category and chunk the commit touched is put back the way
+// it was in `before` — unless a later commit touched it as well, in which
+// case it is reported as a conflict instead of being overwritten.
+
+const { clone, content, locate } = require('./patch');
+
+// Returns { reverted, conflicts }. `current` is only modified when there are
+// no conflicts, or when `skipConflicts` is set (conflicting entries are then
+// left untouched).
+function revertCommit(current, before, after, { skipConflicts = false } = {}) {
+  const conflicts = [];
+  const steps = [];
+
+  const beforeCats = new Map(before.categories.map((cat, index) => [cat.id, { cat, index }]));
+  const afterCats = new Map(after.categories.map(cat => [cat.id, cat]));
+  const currCats = new Map(current.categories.map(cat => [cat.id, cat]));
+  const available = new Set(currCats.keys());
+  const catConflict = (cat, reason) => conflicts.push({ kind: 'category', id: cat.id, name: cat.name, reason });
+
+  // Categories the commit deleted come back first, so their chunks have somewhere to go
+  for (const [id, { cat, index }] of beforeCats) {
+    if (afterCats.has(id) || currCats.has(id)) continue;
+    if (current.categories.some(c => c.name === cat.name)) {
+      catConflict(cat, `A category named '${cat.name}' exists again`);
+      continue;
+    }
+    available.add(id);
+    steps.push(() => {
+      const { chunks, ...skeleton } = cat;
+      current.categories.splice(Math.min(index, current.categories.length), 0, { ...clone(skeleton), chunks: [] });
+    });
+  }
+
+  for (const [id, { cat }] of beforeCats) {
+    const renamed = afterCats.get(id);
+    if (!renamed || renamed.name === cat.name) continue;
+    const curr = currCats.get(id);
+    if (!curr) catConflict(cat, 'Deleted by a later commit');
+    else if (curr.name !== renamed.name) catConflict(cat, `Renamed again later (now '${curr.name}')`);
+    else if (current.categories.some(c => c.id !== id && c.name === cat.name)) catConflict(cat, `Name '${cat.name}' is taken`);
+    else steps.push(() => { curr.name = cat.name; });
+  }
+
+  const prev = locate(before);
+  const next = locate(after);
+  const curr = locate(current);
+  const leaving = new Set();
+
+  for (const uid of new Set([...prev.keys(), ...next.keys()])) {
+    const b = prev.get(uid);
+    const a = next.get(uid);
+    const c = curr.get(uid);
+    if (b && a && b.cat.id === a.cat.id && content(b.ch) === content(a.ch)) continue;
+
+    const conflict = reason => conflicts.push({ kind: 'chunk', uid, id: (a || b).ch.id, reason });
+    const untouched = a ? c && c.cat.id === a.cat.id && content(c.ch) === content(a.ch) : !c;
+    if (!untouched) {
+      conflict(c ? 'Changed by a later commit' : 'Deleted by a later commit');
+      continue;
+    }
+
+    if (!b) {
+      leaving.add(uid);
+      steps.push(() => {
+        const cat = current.categories.find(x => x.id === c.cat.id);
+        cat.chunks = cat.chunks.filter(ch => ch._uid !== uid);
+      });
+      continue;
+    }
+
+    if (!available.has(b.cat.id)) {
+      conflict(`Category '${b.cat.name}' no longer exists`);
+      continue;
+    }
+    if (b.ch.id && [...curr.values()].some(o => o.ch._uid !== uid && o.ch.id === b.ch.id)) {
+      conflict(`Chunk ID '${b.ch.id}' is used by another chunk`);
+      continue;
+    }
+
+    if (c && c.cat.id !== b.cat.id) leaving.add(uid);
+    steps.push(() => {
+      const restored = clone(b.ch);
+      if (c && c.cat.id === b.cat.id) {
+        const cat = current.categories.find(x => x.id === b.cat.id);
+        cat.chunks = cat.chunks.map(ch => (ch._uid === uid ? restored : ch));
+        return;
+      }
+      if (c) {
+        const from = current.categories.find(x => x.id === c.cat.id);
+        from.chunks = from.chunks.filter(ch => ch._uid !== uid);
+      }
+      const target = current.categories.find(x => x.id === b.cat.id);
+      target.chunks.splice(Math.min(b.index, target.chunks.length), 0, restored);
+    });
+  }
+
+  // Categories the commit added go last, once the chunks it put there are gone
+  for (const [id, cat] of afterCats) {
+    if (beforeCats.has(id) || !currCats.has(id)) continue;
+    const leftovers = currCats.get(id).chunks.filter(ch => !leaving.has(ch._uid));
+    if (leftovers.length) {
+      catConflict(cat, `Still holds ${leftovers.length} chunk(s) added or kept later`);
+      continue;
+    }
+    steps.push(() => { current.categories = current.categories.filter(c => c.id !== id); });
+  }
+
+  if (conflicts.length && !skipConflicts) return { reverted: 0, conflicts };
+  for (const step of steps) step();
+  return { reverted: steps.length, conflicts };
+}
+
+module.exports = { revertCommit };
@@ -0,0 +1,130 @@
+const { hasRole, batchSources } = require('./auth');
+
+// Store operations callable over the /ws socket: { id, method, params } is
+// answered with { id, result } or { id, error: { message, status, ... } }.
+// Parameter names follow the REST endpoints (and Store.batch); `project` is
+// the project name and defaults to the project the session is bound to.
+const METHODS = {
+  methods: () => Object.keys(METHODS),
+
+  listProjects: store => store.listProjects(),
+  getProject: (store, p) => store.getProject(p.project),
+  createProject: (store, p, opts) => store.createProject(p.name, opts),
+  deleteProject: (store, p, opts) => store.deleteProject(p.project, opts),
+  renameProject: (store, p, opts) => store.renameProject(p.project, p.name, opts),
+  cloneProject: (store, p, opts) => store.cloneProject(p.project, p.name, opts),
+  listTrash: store => store.listTrash(),
+  restoreProject: (store, p, opts) => store.restoreProject(p.trashId, p.name, opts),
+  purgeTrash: (store, p) => store.purgeTrash(p.trashId),
+  getStats: (store, p) => store.getStats(p.project),
+
+  listCategories: (store, p) => store.listCategories(p.project),
+  createCategory: (store, p, opts) => store.createCategory(p.project, p.name, opts),
+  renameCategory: (store, p, opts) => store.renameCategory(p.project, p.category, p.newName, opts),
+  deleteCategory: (store, p, opts) => store.deleteCategory(p.project, p.category, opts),
+  toggleCategory: (store, p) => store.toggleCategory(p.project, p.catId),
+
+  getChunk: (store, p) => store.getChunk(p.project, p.chunkId),
+  addChunk: (store, p, opts) => store.addChunk(p.project, p.category, p.chunk || {}, opts),
+  addBlankChunk: (store, p, opts) => store.addBlankChunk(p.project, p.catId, opts),
+  bulkAddChunks: (store, p, opts) => store.bulkAddChunks(p.project, p.category, p.chunks || [], opts),
+  updateChunk: (store, p, opts) => store.updateChunk(p.project, p.catId, p.uid, p.updates || {}, opts),
+  deleteChunk: (store, p, opts) => store.deleteChunk(p.project, p.catId, p.uid, opts),
+  duplicateChunk: (store, p, opts) => store.duplicateChunk(p.project, p.catId, p.uid, opts),
+  moveChunk: (store, p, opts) => store.moveChunk(p.project, p.chunkId, p.targetCategory, opts),
+  searchChunks: (store, p) => store.searchChunks(p.project, p.q || ''),
+
+  exportProject: (store, p) => store.exportProject(p.project, p.ref),
+  exportCategory: (store, p) => store.exportCategory(p.project, p.category),
+  importJSON: (store, p, opts) => store.importJSON(p.project, p.data, p.category, opts),
+  bulkUpdateMetadata: (store, p, opts) => store.bulkUpdateMetadata(p.project, p.field, p.value, p.category, opts),
+  mergeProjects: (store, p, opts) => store.mergeProjects(p.project, p.target, { strategy: p.strategy, resolve: p.resolve, dryRun: !!p.dryRun }, opts),
+  batch: (store, p, opts) => store.batch(p.project, p.operations, opts),
+
+  getHistory: (store, p) => store.getHistory(p.project),
+  getCommit: (store, p) => store.getCommit(p.project, p.commitId),
+  diff: (store, p) => store.diff(p.project, p.from, p.to),
+  rollback: (store, p, opts) => store.rollback(p.project, p.commitId, opts),
+  revert: (store, p, opts) => store.revert(p.project, p.commitId, { ...opts, skipConflicts: !!p.skipConflicts }),
+  getChunkHistory: (store, p) => store.getChunkHistory(p.project, p.uid),
+  restoreChunk: (store, p, opts) => store.restoreChunk(p.project, p.uid, p.commitId, opts),
+  getChanges: (store, p) => store.changesSince(p.project, p.since),
+
+  listBranches: (store, p) => store.listBranches(p.project),
+  createBranch: (store, p, opts) => store.createBranch(p.project, p.name, p.from, opts),
+  deleteBranch: (store, p, opts) => store.deleteBranch(p.project, p.branch, opts),
+  mergeBranch: (store, p, opts) => store.mergeBranch(p.project, p.branch, { resolve: p.resolve, dryRun: !!p.dryRun }, opts),
+
+  listTags: (store, p) => store.listTags(p.project),
+  createTag: (store, p, opts) => store.createTag(p.project, p.name, p.commitId, p.notes, opts),
+  deleteTag: (store, p, opts) => store.deleteTag(p.project, p.tag, opts),
+};
+
+// Methods a viewer may call; the rest need an editor, and these an admin
+const READ_ONLY = new Set([
+  'methods', 'listProjects', 'listTrash', 'getProject', 'getStats', 'listCategories', 'getChunk', 'searchChunks',
+  'exportProject', 'exportCategory', 'getHistory', 'getCommit', 'diff', 'getChunkHistory', 'getChanges', 'listTags',
+  'listBranches',
+]);
+const ADMIN_ONLY = new Set(['deleteProject', 'renameProject']);
+// Methods not about one project: the caller's own role counts
+const UNSCOPED = {
+  methods: 'none', listProjects: 'none', createProject: 'editor', listTrash: 'admin', restoreProject: 'admin', purgeTrash: 'admin',
+};
+
+function requiredRole(method) {
+  if (ADMIN_ONLY.has(method)) return 'admin';
+  if (method === 'mergeProjects') return 'viewer'; // only reads `project`, the source; the target is checked below
+  return READ_ONLY.has(method) ? 'viewer' : 'editor';
+}
+
+// Why `user` may not make the call, or null. Merges also need editor on
+// their target and viewer on every source; clones create a project, so the
+// caller's own role must allow that too.
+function accessError(method, params, user, roleIn) {
+  if (Object.hasOwn(UNSCOPED, method)) {
+    return hasRole(user.role, UNSCOPED[method]) ? null : `"${method}" needs the ${UNSCOPED[method]} role`;
+  }
+  if (method === 'cloneProject' && !hasRole(user.role, 'editor')) return `"${method}" needs the editor role`;
+  const checks = [[params.project, requiredRole(method)]];
+  if (method === 'mergeProjects') checks.push([params.target, 'editor']);
+  if (method === 'batch') checks.push(...batchSources(params.operations).map(source => [source, 'viewer']));
+  const [name, role] = checks.find(([name, role]) => !hasRole(roleIn(name), role)) || [];
+  return name === undefined ? null : `"${method}" needs the ${role} role on project "${name}"`;
+}
+
+// `source` attributes the changes ('mcp' or 'browser'); `project` is the
+// session's bound project, if any. `user` is who the socket authenticated
+// as, or null while authentication is off, and `roleIn(project)` their role
+// on a project. `audit(entry)` is called for every call of a method that
+// changes data, whatever its outcome.
+async function handleRpc(store, msg, { source, project, user, roleIn, audit }) {
+  const reply = { id: msg.id };
+  if (!Object.hasOwn(METHODS, msg.method)) {
+    reply.error = { message: `Unknown method "${msg.method}"`, status: 404 };
+    return reply;
+  }
+  const started = Date.now();
+  const params = { project, ...msg.params };
+  const denied = user && accessError(msg.method, params, user, roleIn);
+  if (denied) {
+    reply.error = { message: denied, status: 403 };
+  } else {
+    try {
+      const author = user ? { id: user.id, name: user.name } : null;
+      reply.result = await METHODS[msg.method](store, params, { source, author, baseRevision: params.baseRevision });
+      if (user && msg.method === 'listProjects') reply.result = reply.result.filter(p => roleIn(p.name) !== 'none');
+    } catch (e) {
+      reply.error = { message: e.message, status: e.status || 400, ...e.details };
+    }
+  }
+  if (audit && !READ_ONLY.has(msg.method)) {
+    audit({
+      action: msg.method, project: params.project || null, params: msg.params,
+      status: reply.error ? reply.error.status : 200, error: reply.error?.message, duration: Date.now() - started,
+    });
+  }
+  return reply;
+}
+
+module.exports = { handleRpc };
@@ -0,0 +1,117 @@
+const { readJSON, jsonFileWriter, TOUCH_SAVE_INTERVAL } = require('./files');
+
+const CODE_CHARS = 'ABCDEFGHJKLMNPQRSTUVWXYZ23456789';
+
+// Session codes link a browser with MCP clients. Their metadata — when they
+// were created and last used, and the project they're bound to — is kept in
+// a JSON file so a code keeps working across page reloads and server
+// restarts. A session expires `ttl` ms after it was last used.
+class SessionRegistry {
+  constructor(filePath, { ttl }) {
+    this.filePath = filePath;
+    this.ttl = ttl;
+    this._sessions = new Map(); // code → { code, project, createdAt, lastSeen }
+    this._save = jsonFileWriter(filePath, () => ({ sessions: [...this._sessions.values()] }), 'sessions');
+  }
+
+  async load() {
+    const { sessions = [] } = await readJSON(this.filePath, {});
+    for (const s of sessions) {
+      if (!this._expired(s)) this._sessions.set(s.code, s);
+    }
+  }
+
+  create(project = null) {
+    const now = Date.now();
+    const session = { code: this._generateCode(), project, createdAt: now, lastSeen: now };
+    this._sessions.set(session.code, session);
+    this._save();
+    return session;
+  }
+
+  // The session for `code`, or null if it doesn't exist or has expired
+  get(code) {
+    const session = this._sessions.get(code);
+    return session && !this._expired(session) ? session : null;
+  }
+
+  touch(code) {
+    const session = this.get(code);
+    if (!session) return null;
+    const now = Date.now();
+    const stale = now - session.lastSeen > TOUCH_SAVE_INTERVAL;
+    session.lastSeen = now;
+    if (stale) this._save();
+    return session;
+  }
+
+  bind(code, project) {
+    const session = this.get(code);
+    if (!session) throw new Error('Session not found');
+    session.project = project || null;
+    session.lastSeen = Date.now();
+    this._save();
+    return session;
+  }
+
+  // Sessions bound to a project that no longer exists fall back to unbound
+  unbindProject(project) {
+    let changed = false;
+    for (const session of this._sessions.values()) {
+      if (session.project === project) {
+        session.project = null;
+        changed = true;
+      }
+    }
+    if (changed) this._save();
+  }
+
+  renameProject(project, newName) {
+    let changed = false;
+    for (const session of this._sessions.values()) {
+      if (session.project === project) {
+        session.project = newName;
+        changed = true;
+      }
+    }
+    if (changed) this._save();
+  }
+
+  remove(code) {
+    if (this._sessions.delete(code)) this._save();
+  }
+
+  // Drop expired sessions, except those `isActive` says still have clients
+  prune(isActive) {
+    let removed = 0;
+    for (const [code, session] of this._sessions) {
+      if (this._expired(session) && !isActive(code)) {
+        this._sessions.delete(code);
+        removed++;
+      }
+    }
+    if (removed) this._save();
+  }
+
+  describe(session) {
+    return {
+      code: session.code,
+      project: session.project,
+      createdAt: new Date(session.createdAt).toISOString(),
+      lastSeen: new Date(session.lastSeen).toISOString(),
+      expiresAt: new Date(session.lastSeen + this.ttl).toISOString(),
+    };
+  }
+
+  _expired(session) {
+    return Date.now() - session.lastSeen > this.ttl;
+  }
+
+  _generateCode() {
+    let code = '';
+    for (let i = 0; i < 6; i++) code += CODE_CHARS[Math.floor(Math.random() * CODE_CHARS.length)];
+    return this._sessions.has(code) ? this._generateCode() : code;
+  }
+}
+
+module.exports = { SessionRegistry };
@@ -0,0 +1,27 @@
+const path = require('path');
+const { JsonStorage } = require('./json');
+
+// Storage backends share one interface:
+//   listProjects() · hasProject(name) · loadProject(name) · saveProject(name, data, changes?) · removeProject(name)
+//   renameProject(name, newName) · copyProject(name, newName)
+//   loadHistory(name) · appendCommit(name, commit) · updateCommit(name, commit) · deleteCommits(name, ids)
+//   loadTags(name) · saveTag(name, tag) · deleteTag(name, tagName)
+//   trashProject(name, entry) · listTrash() · restoreProject(id, name) · purgeTrash(id)
+// All methods return promises; commits are returned newest first. `changes`
+// is the patch from the project as loaded to `data` (see lib/patch.js), so a
+// backend can write only what changed. Project names starting with '.' or holding a path separator
+// are refused (see names.js).
+function createStorage(dataDir, kind = process.env.STORAGE || 'json') {
+  switch (kind) {
+    case 'json':
+      return new JsonStorage(dataDir);
+    case 'sqlite': {
+      const { SqliteStorage } = require('./sqlite');
+      return new SqliteStorage(process.env.SQLITE_PATH || path.join(dataDir, 'dataset-builder.db'));
+    }
+    default:
+      throw new Error(`Unknown storage backend "${kind}" (expected "json" or "sqlite")`);
+  }
+}
+
+module.exports = { createStorage };
@@ -0,0 +1,223 @@
+const fs = require('fs');
+const path = require('path');
+const { readJSON, writeJSONAtomic, writeFileAtomic } = require('../files');
+const { checkProjectName } = require('./names');
+
+// One `<name>.json` file per project plus a `<name>.history.json` sidecar
+// holding its commits and tags as an append-only log. Deleted projects are moved to
+// `.trash/<id>/` with both files and a `trash.json` describing them.
+class JsonStorage {
+  constructor(dataDir) {
+    this.dataDir = dataDir;
+  }
+
+  _ensureDir() {
+    if (!fs.existsSync(this.dataDir)) {
+      fs.mkdirSync(this.dataDir, { recursive: true });
+    }
+  }
+
+  _filePath(name) {
+    return path.join(this.dataDir, `${checkProjectName(name)}.json`);
+  }
+
+  _historyFilePath(name) {
+    return path.join(this.dataDir, `${checkProjectName(name)}.history.json`);
+  }
+
+  _trashDir(id) {
+    return path.join(this.dataDir, '.trash', id);
+  }
+
+  // ---- PROJECTS ----
+
+  async listProjects() {
+    this._ensureDir();
+    const files = await fs.promises.readdir(this.dataDir);
+    return files
+      .filter(f => f.endsWith('.json') && !f.endsWith('.history.json') && !f.startsWith('.'))
+      .map(f => f.replace(/\.json$/, ''));
+  }
+
+  async hasProject(name) {
+    return fs.existsSync(this._filePath(name));
+  }
+
+  async loadProject(name) {
+    const fp = this._filePath(name);
+    if (!fs.existsSync(fp)) throw new Error(`Project "${name}" not found`);
+    return readJSON(fp);
+  }
+
+  saveProject(name, data) {
+    this._ensureDir();
+    return writeJSONAtomic(this._filePath(name), data);
+  }
+
+  async removeProject(name) {
+    await fs.promises.unlink(this._filePath(name));
+    await fs.promises.unlink(this._historyFilePath(name)).catch(() => {});
+  }
+
+  // The history moves first and the project file last, so a failure never
+  // leaves a project that has lost its history; the history is moved back
+  async renameProject(name, newName) {
+    const history = this._historyFilePath(name);
+    const hasHistory = fs.existsSync(history);
+    if (hasHistory) await fs.promises.rename(history, this._historyFilePath(newName));
+    try {
+      await fs.promises.rename(this._filePath(name), this._filePath(newName));
+    } catch (e) {
+      if (hasHistory) await fs.promises.rename(this._historyFilePath(newName), history).catch(() => {});
+      throw e;
+    }
+  }
+
+  // Same order as renameProject; each copy is written atomically
+  async copyProject(name, newName) {
+    const history = this._historyFilePath(name);
+    if (fs.existsSync(history)) {
+      await writeFileAtomic(this._historyFilePath(newName), await fs.promises.readFile(history, 'utf-8'));
+    }
+    try {
+      await writeFileAtomic(this._filePath(newName), await fs.promises.readFile(this._filePath(name), 'utf-8'));
+    } catch (e) {
+      await fs.promises.unlink(this._historyFilePath(newName)).catch(() => {});
+      throw e;
+    }
+  }
+
+  // ---- TRASH ----
+
+  async trashProject(name, entry) {
+    const dir = this._trashDir(entry.id);
+    await fs.promises.mkdir(dir, { recursive: true });
+    await writeJSONAtomic(path.join(dir, 'trash.json'), entry);
+    await fs.promises.rename(this._filePath(name), path.join(dir, 'project.json'));
+    await fs.promises.rename(this._historyFilePath(name), path.join(dir, 'project.history.json')).catch(() => {});
+  }
+
+  async listTrash() {
+    const ids = await fs.promises.readdir(path.join(this.dataDir, '.trash')).catch(() => []);
+    const entries = await Promise.all(ids.map(id => readJSON(path.join(this._trashDir(id), 'trash.json')).catch(() => null)));
+    return entries.filter(Boolean);
+  }
+
+  async restoreProject(id, name) {
+    const dir = this._trashDir(id);
+    await fs.promises.rename(path.join(dir, 'project.json'), this._filePath(name));
+    await fs.promises.rename(path.join(dir, 'project.history.json'), this._historyFilePath(name)).catch(() => {});
+    await fs.promises.rm(dir, { recursive: true, force: true });
+  }
+
+  async purgeTrash(id) {
+    await fs.promises.rm(this._trashDir(id), { recursive: true, force: true });
+  }
+
+  // ---- HISTORY ----
+
+  // The history file is a log with one JSON entry per line, oldest first:
+  // { commit }, { update: commit }, { tag } or { untag: name }.
+  // Commits and tags are appended; only pruning rewrites the file, compacted
+  // to plain { commit } and { tag } lines. Older single-object files
+  // ({ project, commits, tags }) are read as-is and converted on the next write.
+  async loadHistory(name) {
+    let text;
+    try {
+      text = await fs.promises.readFile(this._historyFilePath(name), 'utf-8');
+    } catch (e) {
+      if (e.code === 'ENOENT') return { project: name, commits: [], tags: [] };
+      throw e;
+    }
+    if (text.startsWith('{\n')) return { tags: [], ...JSON.parse(text), project: name };
+    const entries = [];
+    for (const line of text.split('\n')) {
+      if (!line) continue;
+      // A write cut short leaves a partial line, which later appends start after
+      try {
+        entries.push(JSON.parse(line));
+      } catch { /* skip it */ }
+    }
+    return this._replayHistory(name, entries);
+  }
+
+  _replayHistory(name, entries) {
+    let commits = [];
+    let tags = [];
+    for (const entry of entries) {
+      if (entry.commit) commits.push(entry.commit);
+      else if (entry.update) commits = commits.map(c => c.id === entry.update.id ? entry.update : c);
+      else if (entry.tag) tags = [...tags.filter(t => t.name !== entry.tag.name), entry.tag];
+      else if (entry.untag) tags = tags.filter(t => t.name !== entry.untag);
+    }
+    return { project: name, commits: commits.reverse(), tags };
+  }
+
+  _writeHistory(name, history) {
+    this._ensureDir();
+    const lines = [
+      ...history.commits.slice().reverse().map(commit => JSON.stringify({ commit })),
+      ...(history.tags || []).map(tag => JSON.stringify({ tag })),
+    ];
+    return writeFileAtomic(this._historyFilePath(name), lines.join('\n'));
+  }
+
+  // Older single-object files are rewritten as a log before the first append.
+  // Each entry starts on a new line, so it never joins a partial one.
+  async _appendHistory(name, entry) {
+    this._ensureDir();
+    const fp = this._historyFilePath(name);
+    if (await this._isLegacyHistory(fp)) await this._writeHistory(name, await this.loadHistory(name));
+    await fs.promises.appendFile(fp, '\n' + JSON.stringify(entry), 'utf-8');
+  }
+
+  async _isLegacyHistory(fp) {
+    let handle;
+    try {
+      handle = await fs.promises.open(fp, 'r');
+    } catch (e) {
+      if (e.code === 'ENOENT') return false;
+      throw e;
+    }
+    try {
+      const buf = Buffer.alloc(2);
+      const { bytesRead } = await handle.read(buf, 0, 2, 0);
+      return buf.toString('utf-8', 0, bytesRead) === '{\n';
+    } finally {
+      await handle.close();
+    }
+  }
+
+  appendCommit(name, commit) {
+    return this._appendHistory(name, { commit });
+  }
+
+  async updateCommit(name, commit) {
+    const { commits } = await this.loadHistory(name);
+    if (!commits.some(c => c.id === commit.id)) throw new Error('Commit not found');
+    await this._appendHistory(name, { update: commit });
+  }
+
+  async deleteCommits(name, ids) {
+    const drop = new Set(ids);
+    const history = await this.loadHistory(name);
+    history.commits = history.commits.filter(c => !drop.has(c.id));
+    await this._writeHistory(name, history);
+  }
+
+  // ---- TAGS ----
+
+  async loadTags(name) {
+    return (await this.loadHistory(name)).tags;
+  }
+
+  saveTag(name, tag) {
+    return this._appendHistory(name, { tag });
+  }
+
+  deleteTag(name, tagName) {
+    return this._appendHistory(name, { untag: tagName });
+  }
+}
+
+module.exports = { JsonStorage };
@@ -0,0 +1,23 @@
+const BRANCH_SEPARATOR = '@'; // never part of a project name, see safeProjectName in store.js
+
+// Project names are file names (JsonStorage) or keys next to them: a name
+// starting with '.' could reach the trash, the audit log or temp files, and a
+// path separator anything on disk, so storage refuses both.
+function checkProjectName(name) {
+  if (typeof name !== 'string' || !name || name.startsWith('.') || /[/\\\0]/.test(name)) {
+    throw new Error(`Invalid project name "${name}"`);
+  }
+  return name;
+}
+
+function branchKey(project, branch) {
+  return `${project}${BRANCH_SEPARATOR}${branch}`;
+}
+
+// Project and branch (null for the project itself) of a project name
+function splitBranch(name) {
+  const at = String(name).indexOf(BRANCH_SEPARATOR);
+  return at === -1 ? { project: name, branch: null } : { project: name.slice(0, at), branch: name.slice(at + 1) };
+}
+
+module.exports = { checkProjectName, branchKey, splitBranch };
@@ -0,0 +1,360 @@
+const fs = require('fs');
+const path = require('path');
+const { checkProjectName } = require('./names');
+
+const SCHEMA = `
+  CREATE TABLE IF NOT EXISTS projects (
+    name        TEXT PRIMARY KEY,
+    created_at  TEXT,
+    extra       TEXT NOT NULL DEFAULT '{}'
+  );
+  CREATE TABLE IF NOT EXISTS categories (
+    project     TEXT NOT NULL REFERENCES projects(name) ON DELETE CASCADE ON UPDATE CASCADE,
+    id          TEXT NOT NULL,
+    position    INTEGER NOT NULL,
+    name        TEXT NOT NULL,
+    expanded    INTEGER NOT NULL DEFAULT 1,
+    extra       TEXT NOT NULL DEFAULT '{}',
+    PRIMARY KEY (project, id)
+  );
+  CREATE TABLE IF NOT EXISTS chunks (
+    project       TEXT NOT NULL REFERENCES projects(name) ON DELETE CASCADE ON UPDATE CASCADE,
+    uid           TEXT NOT NULL,
+    category_id   TEXT NOT NULL,
+    position      INTEGER NOT NULL,
+    id            TEXT NOT NULL DEFAULT '',
+    text          TEXT NOT NULL DEFAULT '',
+    metadata      TEXT NOT NULL DEFAULT '{}',
+    custom_fields TEXT NOT NULL DEFAULT '[]',
+    extra         TEXT NOT NULL DEFAULT '{}',
+    PRIMARY KEY (project, uid)
+  );
+  CREATE INDEX IF NOT EXISTS chunks_by_category ON chunks (project, category_id, position);
+  CREATE TABLE IF NOT EXISTS commits (
+    project     TEXT NOT NULL,
+    seq         INTEGER NOT NULL,
+    id          TEXT NOT NULL,
+    timestamp   TEXT NOT NULL,
+    source      TEXT,
+    action      TEXT,
+    data        TEXT NOT NULL,
+    PRIMARY KEY (project, id)
+  );
+  CREATE INDEX IF NOT EXISTS commits_by_seq ON commits (project, seq);
+  CREATE TABLE IF NOT EXISTS tags (
+    project     TEXT NOT NULL,
+    name        TEXT NOT NULL,
+    commit_id   TEXT NOT NULL,
+    notes       TEXT NOT NULL DEFAULT '',
+    created_at  TEXT NOT NULL,
+    source      TEXT,
+    PRIMARY KEY (project, name)
+  );
+  CREATE TABLE IF NOT EXISTS trash (
+    id          TEXT PRIMARY KEY,
+    entry       TEXT NOT NULL,
+    project     TEXT NOT NULL,
+    commits     TEXT NOT NULL,
+    tags        TEXT NOT NULL
+  );
+`;
+
+function loadDriver() {
+  try {
+    return require('better-sqlite3');
+  } catch {
+    throw new Error('SQLite storage requires the "better-sqlite3" package (npm install better-sqlite3)');
+  }
+}
+
+// Split `obj` into the listed columns and a JSON blob of everything else, so
+// fields added to projects/categories/chunks later survive a round trip.
+function splitExtra(obj, known) {
+  const extra = {};
+  for (const [k, v] of Object.entries(obj)) {
+    if (!known.includes(k)) extra[k] = v;
+  }
+  return JSON.stringify(extra);
+}
+
+function categoryRow(project, cat, position) {
+  return {
+    project, id: cat.id, position, name: cat.name, expanded: cat.expanded ? 1 : 0,
+    extra: splitExtra(cat, ['id', 'name', 'expanded', 'chunks']),
+  };
+}
+
+function chunkRow(project, categoryId, position, ch) {
+  return {
+    project, uid: ch._uid, category_id: categoryId, position,
+    id: ch.id || '', text: ch.text || '',
+    metadata: JSON.stringify(ch.metadata || {}), custom_fields: JSON.stringify(ch.customFields || []),
+    extra: splitExtra(ch, ['_uid', 'id', 'text', 'metadata', 'customFields']),
+  };
+}
+
+// Projects, categories, chunks, commits and tags as rows in a single database
+// file. A deleted project is kept in `trash` as JSON until it is restored or purged.
+class SqliteStorage {
+  constructor(dbPath) {
+    const Database = loadDriver();
+    fs.mkdirSync(path.dirname(dbPath), { recursive: true });
+    this.db = new Database(dbPath);
+    this.db.pragma('journal_mode = WAL');
+    this.db.pragma('foreign_keys = ON');
+    this.db.exec(SCHEMA);
+    this._prepare();
+  }
+
+  _prepare() {
+    const db = this.db;
+    this.q = {
+      listProjects: db.prepare('SELECT name FROM projects ORDER BY name'),
+      getProject: db.prepare('SELECT * FROM projects WHERE name = ?'),
+      upsertProject: db.prepare(`INSERT INTO projects (name, created_at, extra) VALUES (@name, @created_at, @extra)
+        ON CONFLICT(name) DO UPDATE SET created_at = excluded.created_at, extra = excluded.extra`),
+      deleteProject: db.prepare('DELETE FROM projects WHERE name = ?'),
+      renameProject: db.prepare('UPDATE projects SET name = @newName WHERE name = @name'),
+      renameCommits: db.prepare('UPDATE commits SET project = @newName WHERE project = @name'),
+      renameTags: db.prepare('UPDATE tags SET project = @newName WHERE project = @name'),
+      getCategories: db.prepare('SELECT * FROM categories WHERE project = ? ORDER BY position'),
+      deleteCategories: db.prepare('DELETE FROM categories WHERE project = ?'),
+      insertCategory: db.prepare(`INSERT INTO categories (project, id, position, name, expanded, extra)
+        VALUES (@project, @id, @position, @name, @expanded, @extra)`),
+      upsertCategory: db.prepare(`INSERT INTO categories (project, id, position, name, expanded, extra)
+        VALUES (@project, @id, @position, @name, @expanded, @extra)
+        ON CONFLICT(project, id) DO UPDATE SET position = excluded.position, name = excluded.name,
+          expanded = excluded.expanded, extra = excluded.extra`),
+      deleteCategory: db.prepare('DELETE FROM categories WHERE project = ? AND id = ?'),
+      getChunks: db.prepare('SELECT * FROM chunks WHERE project = ? ORDER BY category_id, position'),
+      deleteChunks: db.prepare('DELETE FROM chunks WHERE project = ?'),
+      insertChunk: db.prepare(`INSERT INTO chunks (project, uid, category_id, position, id, text, metadata, custom_fields, extra)
+        VALUES (@project, @uid, @category_id, @position, @id, @text, @metadata, @custom_fields, @extra)`),
+      upsertChunk: db.prepare(`INSERT INTO chunks (project, uid, category_id, position, id, text, metadata, custom_fields, extra)
+        VALUES (@project, @uid, @category_id, @position, @id, @text, @metadata, @custom_fields, @extra)
+        ON CONFLICT(project, uid) DO UPDATE SET category_id = excluded.category_id, position = excluded.position, id = excluded.id,
+          text = excluded.text, metadata = excluded.metadata, custom_fields = excluded.custom_fields, extra = excluded.extra`),
+      placeChunk: db.prepare('UPDATE chunks SET category_id = @category_id, position = @position WHERE project = @project AND uid = @uid'),
+      deleteChunk: db.prepare('DELETE FROM chunks WHERE project = ? AND uid = ?'),
+      getCommits: db.prepare('SELECT data FROM commits WHERE project = ? ORDER BY seq DESC'),
+      maxSeq: db.prepare('SELECT COALESCE(MAX(seq), 0) AS seq FROM commits WHERE project = ?'),
+      insertCommit: db.prepare(`INSERT INTO commits (project, seq, id, timestamp, source, action, data)
+        VALUES (@project, @seq, @id, @timestamp, @source, @action, @data)`),
+      updateCommit: db.prepare('UPDATE commits SET data = @data WHERE project = @project AND id = @id'),
+      deleteCommit: db.prepare('DELETE FROM commits WHERE project = ? AND id = ?'),
+      deleteAllCommits: db.prepare('DELETE FROM commits WHERE project = ?'),
+      getTags: db.prepare('SELECT * FROM tags WHERE project = ? ORDER BY created_at'),
+      upsertTag: db.prepare(`INSERT INTO tags (project, name, commit_id, notes, created_at, source)
+        VALUES (@project, @name, @commit_id, @notes, @created_at, @source)
+        ON CONFLICT(project, name) DO UPDATE SET commit_id = excluded.commit_id, notes = excluded.notes,
+          created_at = excluded.created_at, source = excluded.source`),
+      deleteTag: db.prepare('DELETE FROM tags WHERE project = ? AND name = ?'),
+      deleteAllTags: db.prepare('DELETE FROM tags WHERE project = ?'),
+      insertTrash: db.prepare('INSERT INTO trash (id, entry, project, commits, tags) VALUES (@id, @entry, @project, @commits, @tags)'),
+      listTrash: db.prepare('SELECT entry FROM trash'),
+      getTrash: db.prepare('SELECT * FROM trash WHERE id = ?'),
+      deleteTrash: db.prepare('DELETE FROM trash WHERE id = ?'),
+    };
+  }
+
+  // ---- PROJECTS ----
+
+  async listProjects() {
+    return this.q.listProjects.all().map(r => r.name);
+  }
+
+  async hasProject(name) {
+    return !!this.q.getProject.get(name);
+  }
+
+  async loadProject(name) {
+    const row = this.q.getProject.get(checkProjectName(name));
+    if (!row) throw new Error(`Project "${name}" not found`);
+    const categories = this.q.getCategories.all(name).map(c => ({
+      id: c.id, name: c.name, expanded: !!c.expanded, ...JSON.parse(c.extra), chunks: [],
+    }));
+    const byId = new Map(categories.map(c => [c.id, c]));
+    for (const r of this.q.getChunks.all(name)) {
+      const cat = byId.get(r.category_id);
+      if (!cat) continue;
+      cat.chunks.push({
+        _uid: r.uid, id: r.id, text: r.text,
+        metadata: JSON.parse(r.metadata), customFields: JSON.parse(r.custom_fields),
+        ...JSON.parse(r.extra),
+      });
+    }
+    return { name: row.name, createdAt: row.created_at, ...JSON.parse(row.extra), categories };
+  }
+
+  // With `changes` — the patch (see lib/patch.js) from the project as it was
+  // loaded to `data` — only the rows it touches are written; without it every
+  // row is rewritten.
+  async saveProject(name, data, changes) {
+    checkProjectName(name);
+    this.db.transaction(() => (changes ? this._updateProject(name, data, changes) : this._writeProject(name, data)))();
+  }
+
+  _writeProject(name, data) {
+    this._writeProjectRow(name, data);
+    this.q.deleteChunks.run(name);
+    this.q.deleteCategories.run(name);
+    data.categories.forEach((cat, ci) => {
+      this.q.insertCategory.run(categoryRow(name, cat, ci));
+      cat.chunks.forEach((ch, i) => this.q.insertChunk.run(chunkRow(name, cat.id, i, ch)));
+    });
+  }
+
+  _updateProject(name, data, changes) {
+    this._writeProjectRow(name, data);
+    if (changes.categories) {
+      const kept = new Set(data.categories.map(c => c.id));
+      for (const { id } of this.q.getCategories.all(name)) {
+        if (!kept.has(id)) this.q.deleteCategory.run(name, id);
+      }
+      data.categories.forEach((cat, ci) => this.q.upsertCategory.run(categoryRow(name, cat, ci)));
+    }
+
+    const chunks = changes.chunks || {};
+    const placed = new Set(Object.values(changes.order || {}).flatMap(order => (Array.isArray(order) ? order : order.append)));
+    data.categories.forEach(cat => cat.chunks.forEach((ch, i) => {
+      if (chunks[ch._uid]) this.q.upsertChunk.run(chunkRow(name, cat.id, i, ch));
+      else if (placed.has(ch._uid)) this.q.placeChunk.run({ project: name, uid: ch._uid, category_id: cat.id, position: i });
+    }));
+    for (const [uid, ch] of Object.entries(chunks)) {
+      if (ch === null) this.q.deleteChunk.run(name, uid);
+    }
+  }
+
+  _writeProjectRow(name, data) {
+    this.q.upsertProject.run({ name, created_at: data.createdAt || null, extra: splitExtra(data, ['name', 'createdAt', 'categories']) });
+  }
+
+  // Categories and chunks follow the project row through ON UPDATE CASCADE
+  async renameProject(name, newName) {
+    checkProjectName(newName);
+    this.db.transaction(() => {
+      this.q.renameProject.run({ name, newName });
+      this.q.renameCommits.run({ name, newName });
+      this.q.renameTags.run({ name, newName });
+    })();
+  }
+
+  async copyProject(name, newName) {
+    checkProjectName(newName);
+    const project = await this.loadProject(name);
+    const { commits } = await this.loadHistory(name);
+    const tags = await this.loadTags(name);
+    this.db.transaction(() => {
+      this._writeProject(newName, { ...project, name: newName });
+      this._insertHistory(newName, commits, tags);
+    })();
+  }
+
+  async removeProject(name) {
+    this.db.transaction(() => this._deleteRows(name))();
+  }
+
+  _deleteRows(name) {
+    this.q.deleteChunks.run(name);
+    this.q.deleteCategories.run(name);
+    this.q.deleteAllCommits.run(name);
+    this.q.deleteAllTags.run(name);
+    this.q.deleteProject.run(name);
+  }
+
+  // ---- TRASH ----
+
+  async trashProject(name, entry) {
+    const project = await this.loadProject(name);
+    const { commits } = await this.loadHistory(name);
+    const tags = await this.loadTags(name);
+    this.db.transaction(() => {
+      this.q.insertTrash.run({
+        id: entry.id, entry: JSON.stringify(entry), project: JSON.stringify(project),
+        commits: JSON.stringify(commits), tags: JSON.stringify(tags),
+      });
+      this._deleteRows(name);
+    })();
+  }
+
+  async listTrash() {
+    return this.q.listTrash.all().map(r => JSON.parse(r.entry));
+  }
+
+  async restoreProject(id, name) {
+    checkProjectName(name);
+    const row = this.q.getTrash.get(id);
+    if (!row) throw new Error('Not in the trash');
+    this.db.transaction(() => {
+      this._writeProject(name, { ...JSON.parse(row.project), name });
+      this._insertHistory(name, JSON.parse(row.commits), JSON.parse(row.tags));
+      this.q.deleteTrash.run(id);
+    })();
+  }
+
+  // Commits come newest first; sequence numbers count up from the oldest
+  _insertHistory(name, commits, tags) {
+    commits.slice().reverse().forEach((commit, i) => this.q.insertCommit.run({
+      project: name, seq: i + 1, id: commit.id, timestamp: commit.timestamp,
+      source: commit.source || null, action: commit.action || null, data: JSON.stringify(commit),
+    }));
+    for (const tag of tags) {
+      this.q.upsertTag.run({
+        project: name, name: tag.name, commit_id: tag.commitId, notes: tag.notes || '',
+        created_at: tag.createdAt, source: tag.source || null,
+      });
+    }
+  }
+
+  async purgeTrash(id) {
+    this.q.deleteTrash.run(id);
+  }
+
+  // ---- HISTORY ----
+
+  async loadHistory(name) {
+    return { project: name, commits: this.q.getCommits.all(name).map(r => JSON.parse(r.data)) };
+  }
+
+  async appendCommit(name, commit) {
+    this.db.transaction(() => {
+      const { seq } = this.q.maxSeq.get(name);
+      this.q.insertCommit.run({
+        project: name, seq: seq + 1, id: commit.id, timestamp: commit.timestamp,
+        source: commit.source || null, action: commit.action || null, data: JSON.stringify(commit),
+      });
+    })();
+  }
+
+  async updateCommit(name, commit) {
+    const info = this.q.updateCommit.run({ project: name, id: commit.id, data: JSON.stringify(commit) });
+    if (!info.changes) throw new Error('Commit not found');
+  }
+
+  async deleteCommits(name, ids) {
+    this.db.transaction(() => {
+      for (const id of ids) this.q.deleteCommit.run(name, id);
+    })();
+  }
+
+  // ---- TAGS ----
+
+  async loadTags(name) {
+    return this.q.getTags.all(name).map(t => ({
+      name: t.name, commitId: t.commit_id, notes: t.notes, createdAt: t.created_at, source: t.source,
+    }));
+  }
+
+  async saveTag(name, tag) {
+    this.q.upsertTag.run({
+      project: name, name: tag.name, commit_id: tag.commitId, notes: tag.notes || '',
+      created_at: tag.createdAt, source: tag.source || null,
+    });
+  }
+
+  async deleteTag(name, tagName) {
+    this.q.deleteTag.run(name, tagName);
+  }
+}
+
+module.exports = { SqliteStorage };
@@ -1,42 +1,84 @@
-const fs = require('fs');
 const path = require('path');
 const crypto = require('crypto');
+const { EventEmitter } = require('events');
+const { JsonStorage } = require('./storage/json');
+const { createPatch, applyPatches } = require('./patch');
+const { diffProjects, chunkChanges } = require('./diff');
+const { revertCommit } = require('./revert');
+const { mergeStates } = require('./merge');
+const { changeEvents } = require('./events');
+const { branchKey, splitBranch } = require('./storage/names');
 
 const DEFAULT_LICENSE = 'CC BY-NC-SA 3.0';
 const STANDARD_META = ['page_title', 'source', 'license'];
-const MAX_HISTORY = 50;
-
-class Store {
-  constructor(dataDir) {
-    this.dataDir = dataDir || path.join(__dirname, '..', 'data');
-    this._ensureDir();
-  }
-
-  _ensureDir() {
-    if (!fs.existsSync(this.dataDir)) {
-      fs.mkdirSync(this.dataDir, { recursive: true });
-    }
+const MAX_HISTORY = 5000;
+// A full snapshot every N commits, patches in between: a full history holds
+// about ten snapshots, a fifth of the 50 full copies history used to keep
+const CHECKPOINT_INTERVAL = 500;
+// Pruning rewrites the JSON history file, so it waits until this many commits are due
+const PRUNE_BATCH = 100;
+const HEAD_CACHE_SIZE = 20; // projects whose last committed state is kept in memory
+const TAG_NAME = /^[A-Za-z0-9][A-Za-z0-9._-]*$/;
+const BRANCH_NAME = TAG_NAME;
+const MERGE_STRATEGIES = ['skip', 'overwrite', 'keep-newer', 'rename-with-suffix', 'merge-metadata'];
+
+// Operations accepted by Store.batch, keyed by `op`. Each entry uses the same
+// parameter names as the matching REST endpoint. toggleCategory is left out:
+// it is view state and never makes a revision (see toggleCategory).
+const BATCH_OPERATIONS = {
+  createCategory: (store, data, p, opts) => store._applyCreateCategory(data, p.name, opts),
+  renameCategory: (store, data, p, opts) => store._applyRenameCategory(data, p.category, p.newName, opts),
+  deleteCategory: (store, data, p, opts) => store._applyDeleteCategory(data, p.category, opts),
+  addChunk: (store, data, p, opts) => store._applyAddChunk(data, p.category, p.chunk || {}, opts),
+  addBlankChunk: (store, data, p, opts) => store._applyAddBlankChunk(data, p.catId, opts),
+  bulkAddChunks: (store, data, p, opts) => store._applyBulkAddChunks(data, p.category, p.chunks || [], opts),
+  updateChunk: (store, data, p, opts) => store._applyUpdateChunk(data, p.catId, p.uid, p.updates || {}, opts),
+  deleteChunk: (store, data, p, opts) => store._applyDeleteChunk(data, p.catId, p.uid, opts),
+  duplicateChunk: (store, data, p, opts) => store._applyDuplicateChunk(data, p.catId, p.uid, opts),
+  moveChunk: (store, data, p, opts) => store._applyMoveChunk(data, p.chunkId, p.targetCategory, opts),
+  importJSON: (store, data, p, opts) => store._applyImportJSON(data, p.data, p.category, opts),
+  bulkUpdateMetadata: (store, data, p, opts) => store._applyBulkUpdateMetadata(data, p.field, p.value, p.category, opts),
+  mergeProjects: (store, data, p, opts, sources, times) => store._applyMergeProjects(data, sources.get(p.source), { strategy: p.strategy, resolve: p.resolve, times }, opts),
+};
+
+// Raised when a mutation was based on a stale revision; `details` carries the
+// current project revision and the chunk or category that changed underneath.
+class ConflictError extends Error {
+  constructor(message, details) {
+    super(message);
+    this.name = 'ConflictError';
+    this.status = 409;
+    this.details = details;
   }
+}
 
-  _filePath(name) {
-    return path.join(this.dataDir, `${name}.json`);
+// Emits 'change' ({ project, revision, source, events }) after every write —
+// see lib/events.js for the event types — 'commit' ({ project, commit },
+// without snapshot or patch) for every history commit, and 'purge'
+// ({ trashId, name }) when a deleted project leaves the trash for good.
+class Store extends EventEmitter {
+  constructor(dataDir, storage) {
+    super();
+    this.dataDir = dataDir || path.join(__dirname, '..', 'data');
+    this.storage = storage || new JsonStorage(this.dataDir); // see lib/storage/index.js for the interface
+    this._queues = new Map(); // project name → tail of its pending write chain
+    this._heads = new Map(); // project name → { id, state } of its last commit, see _commit
   }
 
   // ---- PROJECT ----
 
-  listProjects() {
-    this._ensureDir();
-    const files = fs.readdirSync(this.dataDir).filter(f => f.endsWith('.json') && !f.endsWith('.history.json'));
-    return files.map(f => {
-      const name = f.replace(/\.json$/, '');
+  // Projects only; their branches are listed by listBranches
+  async listProjects() {
+    const names = (await this.storage.listProjects()).filter(name => !splitBranch(name).branch);
+    return Promise.all(names.map(async name => {
       try {
-        const data = this._load(name);
+        const data = await this._load(name);
         const totalChunks = data.categories.reduce((sum, c) => sum + c.chunks.length, 0);
         return { name, categories: data.categories.length, chunks: totalChunks, createdAt: data.createdAt };
       } catch {
         return { name, categories: 0, chunks: 0, createdAt: null };
       }
-    });
+    }));
   }
 
   getProject(name) {
@@ -44,26 +86,252 @@ class Store {
   }
 
   createProject(name, opts) {
-    const safeName = name.replace(/[^a-zA-Z0-9_\-. ]/g, '').trim();
-    if (!safeName) throw new Error('Invalid project name');
-    if (fs.existsSync(this._filePath(safeName))) throw new Error(`Project "${safeName}" already exists`);
-    const project = { name: safeName, createdAt: new Date().toISOString(), categories: [] };
-    this._save(safeName, project);
-    this._commit(safeName, 'createProject', `Created project '${safeName}'`, opts?.source);
-    return project;
-  }
-
-  deleteProject(name) {
-    const fp = this._filePath(name);
-    if (!fs.existsSync(fp)) throw new Error(`Project "${name}" not found`);
-    fs.unlinkSync(fp);
-    const hfp = this._historyFilePath(name);
-    if (fs.existsSync(hfp)) fs.unlinkSync(hfp);
-    return { deleted: name };
-  }
-
-  getStats(name) {
-    const data = this._load(name);
+    const safeName = safeProjectName(name);
+    return this._withLock(safeName, async () => {
+      if (await this.storage.hasProject(safeName)) throw new Error(`Project "${safeName}" already exists`);
+      const project = { name: safeName, createdAt: new Date().toISOString(), revision: 1, categories: [] };
+      await this._save(safeName, project);
+      await this._commit(safeName, project, 'createProject', `Created project '${safeName}'`, opts);
+      this._emitChange(safeName, project.revision, opts?.source, [{ type: 'project:created', name: safeName }]);
+      return project;
+    });
+  }
+
+  // Moves the project, with its history and tags, to the trash
+  deleteProject(name, opts) {
+    if (splitBranch(name).branch) throw new Error('Branches are deleted for good with deleteBranch, not moved to the trash');
+    return this._withLock(name, async () => {
+      if (!(await this.storage.hasProject(name))) throw new Error(`Project "${name}" not found`);
+      const branches = await this._branchKeys(name);
+      if (branches.length) {
+        throw new Error(`Project "${name}" has branches (${branches.map(k => splitBranch(k).branch).join(', ')}); merge or delete them first`);
+      }
+      const data = await this._load(name);
+      this._checkRevision(data, opts);
+      const entry = {
+        id: crypto.randomUUID(), name, deletedAt: new Date().toISOString(),
+        source: opts?.source || 'browser', author: opts?.author || null, revision: data.revision || 0,
+        categories: data.categories.length, chunks: data.categories.reduce((sum, c) => sum + c.chunks.length, 0),
+      };
+      await this.storage.trashProject(name, entry);
+      this._emitChange(name, undefined, opts?.source, [{ type: 'project:deleted', deleted: name, trashId: entry.id }]);
+      return { deleted: name, trashId: entry.id };
+    });
+  }
+
+  // Give a project, with its history, tags and branches, a new name
+  async renameProject(name, newName, opts) {
+    if (splitBranch(name).branch) throw new Error('Branches cannot be renamed');
+    const target = safeProjectName(newName);
+    // All locks are taken at once, so the branches are listed first and checked again under them
+    const branches = await this._branchKeys(name);
+    const moves = [[name, target], ...branches.map(key => [key, branchKey(target, splitBranch(key).branch)])];
+    return this._withLocks(moves.flat(), async () => {
+      const data = await this._load(name);
+      this._checkRevision(data, opts);
+      if (target === name) throw new Error(`Project is already called "${name}"`);
+      if (await this.storage.hasProject(target)) throw new Error(`Project "${target}" already exists`);
+      if ((await this._branchKeys(name)).join() !== branches.join()) throw new Error('Branches were added or removed meanwhile; try again');
+      for (const [from, to] of moves) await this.storage.renameProject(from, to);
+      let renamed;
+      for (const [from, to] of moves) {
+        const moved = await this._loadRenamed(to);
+        renamed = renamed || moved;
+        this._emitChange(from, moved.revision, opts?.source, [{ type: 'project:renamed', from, name: to }]);
+      }
+      return renamed;
+    });
+  }
+
+  // Copy a project (or one of its branches), with its history and tags, under a new name
+  cloneProject(name, newName, opts) {
+    const target = safeProjectName(newName);
+    return this._withLocks([name, target], async () => {
+      if (!(await this.storage.hasProject(name))) throw new Error(`Project "${name}" not found`);
+      if (await this.storage.hasProject(target)) throw new Error(`Project "${target}" already exists`);
+      await this.storage.copyProject(name, target);
+      const clone = await this._loadRenamed(target);
+      this._emitChange(target, clone.revision, opts?.source, [{ type: 'project:created', name: target, clonedFrom: name }]);
+      return clone;
+    });
+  }
+
+  // The project stored under `name`, with its own `name` field brought in line
+  // (and, for a branch copied into a project of its own, its branch details dropped)
+  async _loadRenamed(name) {
+    const data = await this._load(name);
+    const stale = data.branch && !splitBranch(name).branch;
+    if (data.name !== name || stale) {
+      data.name = name;
+      if (stale) delete data.branch;
+      await this._save(name, data);
+    }
+    return data;
+  }
+
+  // ---- BRANCHES ----
+  // A branch is a copy of the project stored as `<project>@<branch>`, with a
+  // history of its own, so everything that works on a project works on it.
+  // Its `branch` field says where it started and holds `base`: the commit on
+  // the branch whose state the project last had in common with it (where it
+  // was created or last merged), the base of the next three-way merge.
+
+  async listBranches(name) {
+    const { project } = splitBranch(name);
+    if (!(await this.storage.hasProject(project))) throw new Error(`Project "${project}" not found`);
+    const branches = await Promise.all((await this._branchKeys(project)).map(async key => this._describeBranch(await this._load(key))));
+    return branches.sort((a, b) => a.createdAt.localeCompare(b.createdAt));
+  }
+
+  // Start a branch from `from` — a tag, commit id or 'HEAD' (the default) — in
+  // the history of `name`, which may be the project or another of its branches
+  createBranch(name, branch, from, opts) {
+    const { project } = splitBranch(name);
+    const key = this._branchKey(project, branch, true);
+    return this._withLocks([project, name, key], async () => {
+      if (!(await this.storage.hasProject(name))) throw new Error(`Project "${name}" not found`);
+      if (await this.storage.hasProject(key)) throw new Error(`Branch "${branch}" already exists`);
+      const { commits } = await this._loadHistory(name);
+      const start = await this._resolveRef(name, commits, from || 'HEAD');
+      const data = JSON.parse(JSON.stringify(start.state));
+      data.name = key;
+      data.branch = {
+        name: branch, from: { branch: splitBranch(name).branch || 'main', ref: from || 'HEAD', commitId: start.commit?.id || commits[0]?.id || null },
+        createdAt: new Date().toISOString(), author: opts?.author || null, base: null, mergedAt: null,
+      };
+      await this._save(key, data);
+      await this._commit(key, data, 'createBranch', `Created branch '${branch}' from ${data.branch.from.branch}${from ? ` at ${from}` : ''}`, opts);
+      data.branch.base = (await this._loadHistory(key)).commits[0]?.id || null;
+      await this._save(key, data);
+      this._emitChange(project, undefined, opts?.source, [{ type: 'branch:created', branch: this._describeBranch(data) }]);
+      return data;
+    });
+  }
+
+  // Deletes the branch and its history for good
+  deleteBranch(name, branch, opts) {
+    const { project } = splitBranch(name);
+    const key = this._branchKey(project, branch);
+    return this._withLock(key, async () => {
+      if (!(await this.storage.hasProject(key))) throw new Error(`Branch "${branch}" not found`);
+      await this.storage.removeProject(key);
+      this._emitChange(project, undefined, opts?.source, [{ type: 'branch:deleted', branch: { name: branch, project: key } }]);
+      return { deleted: branch };
+    });
+  }
+
+  // Three-way merge of the branch into the project (see lib/merge.js). Fails
+  // with the conflicts unless `resolve` settles every one of them; `dryRun`
+  // returns the conflicts and the changes the merge would make without saving.
+  // The branch stays, and its next merge starts from here.
+  mergeBranch(name, branch, { resolve = {}, dryRun = false } = {}, opts) {
+    const { project } = splitBranch(name);
+    const key = this._branchKey(project, branch);
+    return this._withLocks([project, key], async () => {
+      if (!(await this.storage.hasProject(key))) throw new Error(`Branch "${branch}" not found`);
+      const theirs = await this._load(key);
+      const { commits } = await this._loadHistory(key);
+      const baseIdx = commits.findIndex(c => c.id === theirs.branch?.base);
+      if (baseIdx === -1) throw new Error(`The commit branch "${branch}" was last merged at is no longer in its history`);
+      const base = this._stateAt(commits, baseIdx);
+
+      if (dryRun) {
+        const ours = await this._load(project);
+        const { state, merged, conflicts } = mergeStates(base, ours, theirs, resolve || {});
+        return { dryRun: true, branch, merged, conflicts, ...diffProjects(ours, state) };
+      }
+      const result = await this._mutateLocked(project, 'mergeBranch', opts, data => {
+        this._checkRevision(data, opts);
+        const { state, merged, conflicts } = mergeStates(base, data, theirs, resolve || {});
+        if (conflicts.length) {
+          throw new ConflictError(`Merging branch '${branch}' has ${conflicts.length} conflict(s) to resolve`, { revision: data.revision || 0, conflicts });
+        }
+        data.categories = state.categories;
+        return { result: { branch, merged }, summary: merged ? `Merged branch '${branch}' (${merged} changes)` : null };
+      });
+      theirs.branch.base = commits[0].id;
+      theirs.branch.mergedAt = new Date().toISOString();
+      await this._save(key, theirs);
+      this._emitChange(project, undefined, opts?.source, [{ type: 'branch:merged', branch: this._describeBranch(theirs) }]);
+      return result;
+    });
+  }
+
+  async _branchKeys(project) {
+    return (await this.storage.listProjects()).filter(key => {
+      const { project: owner, branch } = splitBranch(key);
+      return branch && owner === project;
+    });
+  }
+
+  _branchKey(project, branch, creating) {
+    branch = String(branch ?? '');
+    if (!BRANCH_NAME.test(branch) || branch === 'main' || branch === 'HEAD') {
+      throw new Error(creating
+        ? 'Branch name must start with a letter or digit, contain only letters, digits, ".", "-" and "_", and not be "main"'
+        : `Branch "${branch}" not found`);
+    }
+    return branchKey(project, branch);
+  }
+
+  _describeBranch(data) {
+    return {
+      ...data.branch, project: data.name, revision: data.revision || 0,
+      chunks: data.categories.reduce((sum, c) => sum + c.chunks.length, 0),
+    };
+  }
+
+  // ---- TRASH ----
+
+  // Deleted projects, newest first
+  async listTrash() {
+    const entries = await this.storage.listTrash();
+    return entries.sort((a, b) => b.deletedAt.localeCompare(a.deletedAt));
+  }
+
+  // Bring a project back as it was deleted, under its old name or `newName`
+  restoreProject(trashId, newName, opts) {
+    return this._withLock(`trash:${trashId}`, async () => {
+      const entry = await this._trashEntry(trashId);
+      const name = newName ? safeProjectName(newName) : entry.name;
+      return this._withLock(name, async () => {
+        if (await this.storage.hasProject(name)) throw new Error(`Project "${name}" already exists; restore it under another name`);
+        await this.storage.restoreProject(trashId, name);
+        const data = await this._loadRenamed(name);
+        this._emitChange(name, data.revision, opts?.source, [{ type: 'project:created', name, restored: trashId }]);
+        return data;
+      });
+    });
+  }
+
+  // Delete a project in the trash for good
+  purgeTrash(trashId) {
+    return this._withLock(`trash:${trashId}`, async () => {
+      const entry = await this._trashEntry(trashId);
+      await this.storage.purgeTrash(trashId);
+      try {
+        this.emit('purge', { trashId, name: entry.name });
+      } catch { /* listeners should never break a purge that already happened */ }
+      return { purged: trashId };
+    });
+  }
+
+  // Purge everything deleted more than `maxAge` ms ago; returns the purged entries
+  async purgeExpiredTrash(maxAge) {
+    const cutoff = new Date(Date.now() - maxAge).toISOString();
+    const expired = (await this.storage.listTrash()).filter(e => e.deletedAt < cutoff);
+    for (const entry of expired) await this.purgeTrash(entry.id).catch(() => {});
+    return expired;
+  }
+
+  async _trashEntry(trashId) {
+    const entry = (await this.storage.listTrash()).find(e => e.id === trashId);
+    if (!entry) throw new Error('Not in the trash');
+    return entry;
+  }
+
+  async getStats(name) {
+    const data = await this._load(name);
     let totalChunks = 0, totalLength = 0, longest = 0, shortest = Infinity;
     for (const cat of data.categories) {
       for (const ch of cat.chunks) {
@@ -88,13 +356,17 @@ class Store {
 
   // ---- CATEGORY ----
 
-  listCategories(projectName) {
-    const data = this._load(projectName);
+  async listCategories(projectName) {
+    const data = await this._load(projectName);
     return data.categories.map(c => ({ name: c.name, chunks: c.chunks.length }));
   }
 
   createCategory(projectName, categoryName, opts) {
-    const data = this._load(projectName);
+    return this._mutate(projectName, 'createCategory', opts, data => this._applyCreateCategory(data, categoryName, opts));
+  }
+
+  _applyCreateCategory(data, categoryName, opts) {
+    this._checkRevision(data, opts);
     const trimmed = categoryName.trim();
     if (!trimmed) throw new Error('Category name cannot be empty');
     if (data.categories.some(c => c.name.toLowerCase() === trimmed.toLowerCase())) {
@@ -102,48 +374,62 @@ class Store {
     }
     const cat = { id: crypto.randomUUID(), name: trimmed, expanded: true, chunks: [] };
     data.categories.push(cat);
-    this._save(projectName, data);
-    this._commit(projectName, 'createCategory', `Created category '${trimmed}'`, opts?.source);
-    return cat;
+    return { result: cat, summary: `Created category '${trimmed}'` };
   }
 
   renameCategory(projectName, oldName, newName, opts) {
-    const data = this._load(projectName);
+    return this._mutate(projectName, 'renameCategory', opts, data => this._applyRenameCategory(data, oldName, newName, opts));
+  }
+
+  _applyRenameCategory(data, oldName, newName, opts) {
     const cat = this._findCategory(data, oldName);
+    this._checkRevision(data, opts, { category: cat });
     const trimmed = newName.trim();
     if (!trimmed) throw new Error('New name cannot be empty');
     if (data.categories.some(c => c.name.toLowerCase() === trimmed.toLowerCase() && c.id !== cat.id)) {
       throw new Error(`Category "${trimmed}" already exists`);
     }
     cat.name = trimmed;
-    this._save(projectName, data);
-    this._commit(projectName, 'renameCategory', `Renamed category '${oldName}' → '${trimmed}'`, opts?.source);
-    return { old: oldName, new: trimmed };
+    return { result: { old: oldName, new: trimmed }, summary: `Renamed category '${oldName}' → '${trimmed}'` };
   }
 
   deleteCategory(projectName, categoryName, opts) {
-    const data = this._load(projectName);
+    return this._mutate(projectName, 'deleteCategory', opts, data => this._applyDeleteCategory(data, categoryName, opts));
+  }
+
+  _applyDeleteCategory(data, categoryName, opts) {
     const idx = data.categories.findIndex(c => c.name.toLowerCase() === categoryName.toLowerCase());
     if (idx === -1) throw new Error(`Category "${categoryName}" not found`);
+    this._checkRevision(data, opts, { category: data.categories[idx] });
     const removed = data.categories.splice(idx, 1)[0];
-    this._save(projectName, data);
-    this._commit(projectName, 'deleteCategory', `Deleted category '${removed.name}' (${removed.chunks.length} chunks)`, opts?.source);
-    return { deleted: removed.name, chunksRemoved: removed.chunks.length };
+    return {
+      result: { deleted: removed.name, chunksRemoved: removed.chunks.length },
+      summary: `Deleted category '${removed.name}' (${removed.chunks.length} chunks)`,
+    };
   }
 
+  // Expanded/collapsed is view state: it is saved with the project but doesn't
+  // bump the revision or reach other clients, so it never makes their edits conflict
   toggleCategory(projectName, catId) {
-    const data = this._load(projectName);
-    const cat = data.categories.find(c => c.id === catId);
-    if (!cat) throw new Error('Category not found');
-    cat.expanded = !cat.expanded;
-    this._save(projectName, data);
-    return { id: catId, expanded: cat.expanded };
+    return this._withLock(projectName, async () => {
+      const data = await this._load(projectName);
+      const cat = data.categories.find(c => c.id === catId);
+      if (!cat) throw new Error('Category not found');
+      cat.expanded = !cat.expanded;
+      // Only the category list changed (see lib/patch.js)
+      await this._save(projectName, data, { categories: data.categories.map(({ chunks, ...c }) => c) });
+      return { id: catId, expanded: cat.expanded, revision: data.revision || 0 };
+    });
   }
 
   // ---- CHUNK ----
 
   addChunk(projectName, categoryName, chunk, opts) {
-    const data = this._load(projectName);
+    return this._mutate(projectName, 'addChunk', opts, data => this._applyAddChunk(data, categoryName, chunk, opts));
+  }
+
+  _applyAddChunk(data, categoryName, chunk, opts) {
+    this._checkRevision(data, opts);
     const cat = this._findCategory(data, categoryName);
     const id = (chunk.id || '').trim();
     if (!id) throw new Error('Chunk ID is required');
@@ -161,13 +447,18 @@ class Store {
       customFields: this._parseCustomFields(chunk.metadata),
     };
     cat.chunks.push(newChunk);
-    this._save(projectName, data);
-    this._commit(projectName, 'addChunk', `Added chunk '${id}' to '${cat.name}'`, opts?.source);
-    return { id: newChunk.id, _uid: newChunk._uid, category: cat.name };
+    return {
+      result: { id: newChunk.id, _uid: newChunk._uid, category: cat.name },
+      summary: `Added chunk '${id}' to '${cat.name}'`,
+    };
   }
 
   addBlankChunk(projectName, catId, opts) {
-    const data = this._load(projectName);
+    return this._mutate(projectName, 'addBlankChunk', opts, data => this._applyAddBlankChunk(data, catId, opts));
+  }
+
+  _applyAddBlankChunk(data, catId, opts) {
+    this._checkRevision(data, opts);
     const cat = data.categories.find(c => c.id === catId);
     if (!cat) throw new Error('Category not found');
     const newChunk = {
@@ -178,13 +469,15 @@ class Store {
       customFields: [],
     };
     cat.chunks.push(newChunk);
-    this._save(projectName, data);
-    this._commit(projectName, 'addBlankChunk', `Added blank chunk to '${cat.name}'`, opts?.source);
-    return { _uid: newChunk._uid, catId };
+    return { result: { _uid: newChunk._uid, catId }, summary: `Added blank chunk to '${cat.name}'` };
   }
 
   bulkAddChunks(projectName, categoryName, chunks, opts) {
-    const data = this._load(projectName);
+    return this._mutate(projectName, 'bulkAddChunks', opts, data => this._applyBulkAddChunks(data, categoryName, chunks, opts));
+  }
+
+  _applyBulkAddChunks(data, categoryName, chunks, opts) {
+    this._checkRevision(data, opts);
     const cat = this._findCategory(data, categoryName);
     const added = [];
     const errors = [];
@@ -207,13 +500,14 @@ class Store {
       added.push(id);
     }
 
-    this._save(projectName, data);
-    if (added.length) this._commit(projectName, 'bulkAddChunks', `Added ${added.length} chunks to '${cat.name}'`, opts?.source);
-    return { added: added.length, errors: errors.length, details: errors.length ? errors : undefined, ids: added };
+    return {
+      result: { added: added.length, errors: errors.length, details: errors.length ? errors : undefined, ids: added },
+      summary: added.length ? `Added ${added.length} chunks to '${cat.name}'` : null,
+    };
   }
 
-  getChunk(projectName, chunkId) {
-    const data = this._load(projectName);
+  async getChunk(projectName, chunkId) {
+    const data = await this._load(projectName);
     for (const cat of data.categories) {
       const ch = cat.chunks.find(c => c.id === chunkId);
       if (ch) return { ...this._formatChunk(ch), category: cat.name };
@@ -222,11 +516,15 @@ class Store {
   }
 
   updateChunk(projectName, catId, chunkUid, updates, opts) {
-    const data = this._load(projectName);
+    return this._mutate(projectName, 'updateChunk', opts, data => this._applyUpdateChunk(data, catId, chunkUid, updates, opts));
+  }
+
+  _applyUpdateChunk(data, catId, chunkUid, updates, opts) {
     const cat = data.categories.find(c => c.id === catId);
     if (!cat) throw new Error('Category not found');
     const ch = cat.chunks.find(c => c._uid === chunkUid);
     if (!ch) throw new Error('Chunk not found');
+    this._checkRevision(data, opts, { chunk: ch, category: cat });
 
     if (updates.id !== undefined) {
       if (updates.id !== ch.id && this._isIdTaken(data, updates.id, ch._uid)) {
@@ -242,29 +540,33 @@ class Store {
     }
     if (updates.customFields !== undefined) ch.customFields = updates.customFields;
 
-    this._save(projectName, data);
-    this._commit(projectName, 'updateChunk', `Updated chunk '${ch.id}'`, opts?.source);
-    return { updated: ch.id, _uid: ch._uid };
+    return { result: { updated: ch.id, _uid: ch._uid }, summary: `Updated chunk '${ch.id}'` };
   }
 
   deleteChunk(projectName, catId, chunkUid, opts) {
-    const data = this._load(projectName);
+    return this._mutate(projectName, 'deleteChunk', opts, data => this._applyDeleteChunk(data, catId, chunkUid, opts));
+  }
+
+  _applyDeleteChunk(data, catId, chunkUid, opts) {
     const cat = data.categories.find(c => c.id === catId);
     if (!cat) throw new Error('Category not found');
     const idx = cat.chunks.findIndex(c => c._uid === chunkUid);
     if (idx === -1) throw new Error('Chunk not found');
+    this._checkRevision(data, opts, { chunk: cat.chunks[idx], category: cat });
     const removed = cat.chunks.splice(idx, 1)[0];
-    this._save(projectName, data);
-    this._commit(projectName, 'deleteChunk', `Deleted chunk '${removed.id || chunkUid}'`, opts?.source);
-    return { deleted: chunkUid };
+    return { result: { deleted: chunkUid }, summary: `Deleted chunk '${removed.id || chunkUid}'` };
   }
 
   duplicateChunk(projectName, catId, chunkUid, opts) {
-    const data = this._load(projectName);
+    return this._mutate(projectName, 'duplicateChunk', opts, data => this._applyDuplicateChunk(data, catId, chunkUid, opts));
+  }
+
+  _applyDuplicateChunk(data, catId, chunkUid, opts) {
     const cat = data.categories.find(c => c.id === catId);
     if (!cat) throw new Error('Category not found');
     const ch = cat.chunks.find(c => c._uid === chunkUid);
     if (!ch) throw new Error('Chunk not found');
+    this._checkRevision(data, opts, { chunk: ch, category: cat });
 
     let newId = ch.id ? ch.id + '_copy' : 'copy';
     let n = 1;
@@ -272,31 +574,37 @@ class Store {
 
     const clone = { ...JSON.parse(JSON.stringify(ch)), _uid: crypto.randomUUID(), id: newId };
     cat.chunks.push(clone);
-    this._save(projectName, data);
-    this._commit(projectName, 'duplicateChunk', `Duplicated '${ch.id}' as '${newId}'`, opts?.source);
-    return { original: ch.id, duplicate: newId, _uid: clone._uid };
+    return {
+      result: { original: ch.id, duplicate: newId, _uid: clone._uid },
+      summary: `Duplicated '${ch.id}' as '${newId}'`,
+    };
   }
 
   moveChunk(projectName, chunkId, targetCategory, opts) {
-    const data = this._load(projectName);
+    return this._mutate(projectName, 'moveChunk', opts, data => this._applyMoveChunk(data, chunkId, targetCategory, opts));
+  }
+
+  _applyMoveChunk(data, chunkId, targetCategory, opts) {
     const targetCat = this._findCategory(data, targetCategory);
     for (const cat of data.categories) {
       const idx = cat.chunks.findIndex(c => c.id === chunkId);
       if (idx === -1) continue;
       if (cat.id === targetCat.id) throw new Error('Chunk is already in that category');
+      this._checkRevision(data, opts, { chunk: cat.chunks[idx], category: cat });
       const [chunk] = cat.chunks.splice(idx, 1);
       targetCat.chunks.push(chunk);
-      this._save(projectName, data);
-      this._commit(projectName, 'moveChunk', `Moved '${chunkId}' from '${cat.name}' to '${targetCat.name}'`, opts?.source);
-      return { moved: chunkId, from: cat.name, to: targetCat.name };
+      return {
+        result: { moved: chunkId, from: cat.name, to: targetCat.name },
+        summary: `Moved '${chunkId}' from '${cat.name}' to '${targetCat.name}'`,
+      };
     }
     throw new Error(`Chunk "${chunkId}" not found`);
   }
 
   // ---- SEARCH ----
 
-  searchChunks(projectName, query) {
-    const data = this._load(projectName);
+  async searchChunks(projectName, query) {
+    const data = await this._load(projectName);
     const q = query.toLowerCase();
     const results = [];
     for (const cat of data.categories) {
@@ -309,35 +617,39 @@ class Store {
     return { query, found: results.length, results };
   }
 
-  isChunkIdTaken(projectName, id, excludeUid) {
-    const data = this._load(projectName);
+  async isChunkIdTaken(projectName, id, excludeUid) {
+    const data = await this._load(projectName);
     return this._isIdTaken(data, id, excludeUid);
   }
 
   // ---- EXPORT / IMPORT ----
 
-  exportProject(projectName) {
-    const data = this._load(projectName);
-    const flat = [];
-    for (const cat of data.categories) {
-      for (const ch of cat.chunks) {
-        const entry = { id: ch.id, text: ch.text, metadata: { ...ch.metadata } };
-        if (ch.customFields) {
-          for (const cf of ch.customFields) {
-            if (cf.key && cf.key.trim()) entry.metadata[cf.key.trim()] = String(cf.value ?? '');
-          }
-        }
-        flat.push(entry);
-      }
+  // `ref` (a tag name or commit id) exports the dataset as it was at that point
+  async exportProject(projectName, ref) {
+    let data;
+    if (ref) {
+      const { commits } = await this._loadHistory(projectName);
+      data = (await this._resolveRef(projectName, commits, ref)).state;
+    } else {
+      data = await this._load(projectName);
     }
-    return flat;
+    return data.categories.flatMap(cat => cat.chunks.map(ch => this._exportEntry(ch)));
   }
 
-  importJSON(projectName, jsonArray, categoryName, opts) {
+  async importJSON(projectName, jsonArray, categoryName, opts) {
     if (!Array.isArray(jsonArray)) throw new Error('Import data must be a JSON array');
-    let data;
-    try { data = this._load(projectName); } catch { data = this.createProject(projectName, opts); }
+    if (!(await this.storage.hasProject(projectName))) {
+      // createProject would clean the name up, and the import would miss the project it made
+      if (safeProjectName(projectName) !== projectName) throw new Error(`Invalid project name "${projectName}"`);
+      await this.createProject(projectName, opts).catch(() => {});
+    }
+
+    return this._mutate(projectName, 'importJSON', opts, data => this._applyImportJSON(data, jsonArray, categoryName, opts));
+  }
 
+  _applyImportJSON(data, jsonArray, categoryName, opts) {
+    if (!Array.isArray(jsonArray)) throw new Error('Import data must be a JSON array');
+    this._checkRevision(data, opts);
     const catName = categoryName || 'Imported';
     let cat = data.categories.find(c => c.name.toLowerCase() === catName.toLowerCase());
     if (!cat) {
@@ -361,15 +673,20 @@ class Store {
       imported++;
     }
 
-    this._save(projectName, data);
-    if (imported) this._commit(projectName, 'importJSON', `Imported ${imported} chunks into '${catName}'`, opts?.source);
-    return { project: projectName, category: catName, imported, skipped };
+    return {
+      result: { project: data.name, category: catName, imported, skipped },
+      summary: imported ? `Imported ${imported} chunks into '${catName}'` : null,
+    };
   }
 
   // ---- BULK UPDATE METADATA ----
 
   bulkUpdateMetadata(projectName, field, value, categoryName, opts) {
-    const data = this._load(projectName);
+    return this._mutate(projectName, 'bulkUpdateMetadata', opts, data => this._applyBulkUpdateMetadata(data, field, value, categoryName, opts));
+  }
+
+  _applyBulkUpdateMetadata(data, field, value, categoryName, opts) {
+    this._checkRevision(data, opts);
     let updated = 0;
     const cats = categoryName
       ? [this._findCategory(data, categoryName)]
@@ -387,135 +704,701 @@ class Store {
         updated++;
       }
     }
-    this._save(projectName, data);
-    if (updated) this._commit(projectName, 'bulkUpdateMetadata', `Bulk updated '${field}' (${updated} chunks)`, opts?.source);
-    return { project: projectName, field, value, updated };
+    return {
+      result: { project: data.name, field, value, updated },
+      summary: updated ? `Bulk updated '${field}' (${updated} chunks)` : null,
+    };
   }
 
   // ---- MERGE PROJECTS ----
 
-  mergeProjects(sourceName, targetName, opts) {
-    const source = this._load(sourceName);
-    const target = this._load(targetName);
-    let categoriesMerged = 0, chunksAdded = 0, chunksSkipped = 0;
+  // Copy the source's categories and chunks into the target, matching
+  // categories by name. A chunk whose ID the target already uses is a
+  // conflict, settled by `strategy` or, per chunk ID, by `resolve`:
+  //   skip (default)      keep the target's chunk
+  //   overwrite           replace the target's chunk with the source's, where it is
+  //   keep-newer          whichever of the two was changed last
+  //   rename-with-suffix  add the source's chunk as `<id>_1`, `<id>_2`, …
+  //   merge-metadata      keep the target's text; fill its empty metadata and
+  //                       missing custom fields from the source's chunk
+  // Identical chunks are left alone. `dryRun` returns the per-chunk plan
+  // without changing anything.
+  async mergeProjects(sourceName, targetName, { strategy, resolve, dryRun = false } = {}, opts) {
+    const merge = this._mergeOptions(strategy, resolve);
+    const source = await this._load(sourceName);
+    const times = async () => (this._needsMergeTimes(merge)
+      ? new Map([[source.name, await this._revisionTimes(sourceName)], [targetName, await this._revisionTimes(targetName)]])
+      : null);
+
+    if (dryRun) {
+      const target = await this._load(targetName);
+      const plan = [];
+      const { result } = this._applyMergeProjects(target, source, { ...merge, times: await times(), plan }, opts);
+      return { dryRun: true, ...result, plan, revision: target.revision || 0 };
+    }
+    return this._mutate(targetName, 'mergeProjects', opts, async target => this._applyMergeProjects(target, source, { ...merge, times: await times() }, opts));
+  }
+
+  // `times` maps project name → revision → time, for keep-newer; `plan`, when
+  // given, gets an entry for every chunk of the source
+  _applyMergeProjects(target, source, { strategy, resolve, times, plan } = {}, opts) {
+    this._checkRevision(target, opts);
+    ({ strategy, resolve } = this._mergeOptions(strategy, resolve));
+    const counts = { categoriesMerged: 0, chunksAdded: 0, chunksSkipped: 0, chunksOverwritten: 0, chunksRenamed: 0, chunksMetadataMerged: 0, conflicts: 0 };
+    const changedAt = (project, ch) => times?.get(project.name)?.get(ch._rev) || null;
+    const view = ({ _uid, _rev, ...ch }) => ch;
 
     for (const srcCat of source.categories) {
       let tgtCat = target.categories.find(c => c.name.toLowerCase() === srcCat.name.toLowerCase());
       if (!tgtCat) {
         tgtCat = { id: crypto.randomUUID(), name: srcCat.name, expanded: true, chunks: [] };
         target.categories.push(tgtCat);
-        categoriesMerged++;
+        counts.categoriesMerged++;
       }
       for (const ch of srcCat.chunks) {
-        if (this._isIdTaken(target, ch.id)) { chunksSkipped++; continue; }
-        tgtCat.chunks.push({ ...JSON.parse(JSON.stringify(ch)), _uid: crypto.randomUUID() });
-        chunksAdded++;
+        const existing = ch.id ? this._findChunk(target, ch.id) : null;
+        if (!existing) {
+          tgtCat.chunks.push({ ...JSON.parse(JSON.stringify(ch)), _uid: crypto.randomUUID() });
+          counts.chunksAdded++;
+          plan?.push({ id: ch.id, category: srcCat.name, action: 'add' });
+          continue;
+        }
+
+        const entry = { id: ch.id, category: srcCat.name, targetCategory: existing.cat.name };
+        if (JSON.stringify(view(existing.ch)) === JSON.stringify(view(ch))) {
+          counts.chunksSkipped++;
+          plan?.push({ ...entry, action: 'identical' });
+          continue;
+        }
+        counts.conflicts++;
+        entry.conflict = true;
+        entry.strategy = Object.hasOwn(resolve, ch.id) ? resolve[ch.id] : strategy;
+        entry.source = view(ch);
+        entry.target = view(existing.ch);
+        let action = entry.strategy;
+        if (action === 'keep-newer') {
+          entry.sourceChangedAt = changedAt(source, ch);
+          entry.targetChangedAt = changedAt(target, existing.ch);
+          action = (entry.sourceChangedAt || '') > (entry.targetChangedAt || '') ? 'overwrite' : 'skip';
+        }
+
+        if (action === 'skip') {
+          counts.chunksSkipped++;
+        } else if (action === 'overwrite') {
+          existing.cat.chunks[existing.index] = { ...JSON.parse(JSON.stringify(ch)), _uid: existing.ch._uid };
+          counts.chunksOverwritten++;
+        } else if (action === 'rename-with-suffix') {
+          let n = 1;
+          while (this._isIdTaken(target, `${ch.id}_${n}`)) n++;
+          entry.newId = `${ch.id}_${n}`;
+          tgtCat.chunks.push({ ...JSON.parse(JSON.stringify(ch)), _uid: crypto.randomUUID(), id: entry.newId });
+          counts.chunksRenamed++;
+        } else {
+          entry.filled = this._fillMetadata(existing.ch, ch);
+          counts[entry.filled.length ? 'chunksMetadataMerged' : 'chunksSkipped']++;
+        }
+        plan?.push({ ...entry, action });
       }
     }
 
-    this._save(targetName, target);
-    if (chunksAdded) this._commit(targetName, 'mergeProjects', `Merged '${sourceName}' into '${targetName}' (${chunksAdded} chunks)`, opts?.source);
-    return { source: sourceName, target: targetName, categoriesMerged, chunksAdded, chunksSkipped };
+    const changed = [
+      [counts.chunksAdded, 'added'], [counts.chunksOverwritten, 'overwritten'],
+      [counts.chunksRenamed, 'renamed'], [counts.chunksMetadataMerged, 'metadata merged'],
+    ].filter(([n]) => n).map(([n, what]) => `${n} ${what}`);
+    return {
+      result: { source: source.name, target: target.name, strategy, ...counts },
+      summary: changed.length ? `Merged '${source.name}' into '${target.name}' (${changed.join(', ')})` : null,
+    };
   }
 
-  // ---- EXPORT CATEGORY ----
+  _mergeOptions(strategy, resolve) {
+    strategy = strategy || 'skip';
+    resolve = resolve || {};
+    for (const s of [strategy, ...Object.values(resolve)]) {
+      if (!MERGE_STRATEGIES.includes(s)) throw new Error(`Unknown merge strategy "${s}"; use one of ${MERGE_STRATEGIES.join(', ')}`);
+    }
+    return { strategy, resolve };
+  }
 
-  exportCategory(projectName, categoryName) {
-    const data = this._load(projectName);
-    const cat = this._findCategory(data, categoryName);
-    const flat = [];
-    for (const ch of cat.chunks) {
-      const entry = { id: ch.id, text: ch.text, metadata: { ...ch.metadata } };
-      if (ch.customFields) {
-        for (const cf of ch.customFields) {
-          if (cf.key && cf.key.trim()) entry.metadata[cf.key.trim()] = String(cf.value ?? '');
-        }
+  _needsMergeTimes({ strategy, resolve }) {
+    return strategy === 'keep-newer' || Object.values(resolve || {}).includes('keep-newer');
+  }
+
+  // When each revision of the project was committed; a chunk's `_rev` says
+  // which revision last changed it
+  async _revisionTimes(name) {
+    const { commits } = await this._loadHistory(name);
+    return new Map(commits.filter(c => c.revision).map(c => [c.revision, c.timestamp]));
+  }
+
+  // Copy `from`'s metadata and custom fields into `ch` where it has none;
+  // returns the names of the fields filled in
+  _fillMetadata(ch, from) {
+    const filled = [];
+    ch.metadata = ch.metadata || {};
+    for (const [key, value] of Object.entries(from.metadata || {})) {
+      if (!ch.metadata[key] && value) {
+        ch.metadata[key] = value;
+        filled.push(key);
       }
-      flat.push(entry);
     }
-    return flat;
+    ch.customFields = ch.customFields || [];
+    for (const field of from.customFields || []) {
+      if (ch.customFields.some(f => f.key === field.key)) continue;
+      ch.customFields.push({ ...field });
+      filled.push(field.key);
+    }
+    return filled;
   }
 
-  // ---- HISTORY ----
+  // ---- BATCH ----
+
+  // Apply an ordered list of { op, ...params } operations all-or-nothing: if
+  // any of them fails nothing is saved. Succeeds with a single history commit.
+  async batch(projectName, operations, opts) {
+    if (!Array.isArray(operations) || !operations.length) throw new Error('Batch needs a non-empty "operations" array');
+    operations.forEach((operation, i) => {
+      if (!BATCH_OPERATIONS[operation?.op]) throw new Error(`Operation ${i + 1}: unknown op "${operation?.op}"`);
+    });
+
+    // Merge sources are other projects, so read them before taking this project's lock
+    const merges = operations.filter(operation => operation.op === 'mergeProjects');
+    const sources = new Map();
+    for (const operation of merges) {
+      if (!sources.has(operation.source)) sources.set(operation.source, await this._load(operation.source));
+    }
+    const times = merges.some(operation => this._needsMergeTimes(operation)) ? new Map() : null;
+    if (times) {
+      for (const [name, source] of sources) times.set(source.name, await this._revisionTimes(name));
+    }
 
-  _historyFilePath(name) {
-    return path.join(this.dataDir, `${name}.history.json`);
+    return this._mutate(projectName, 'batch', opts, async data => {
+      if (times) times.set(data.name, await this._revisionTimes(projectName));
+      const results = [];
+      const summaries = [];
+      operations.forEach((operation, i) => {
+        try {
+          const { result, summary } = BATCH_OPERATIONS[operation.op](this, data, operation, opts, sources, times);
+          // Copy, since results like a created category point at live data later operations modify
+          results.push({ op: operation.op, ...JSON.parse(JSON.stringify(result)) });
+          if (summary) summaries.push(summary);
+        } catch (e) {
+          e.message = `Operation ${i + 1} (${operation.op}) failed: ${e.message}`;
+          e.details = { ...e.details, failedOperation: i };
+          throw e;
+        }
+      });
+
+      const shown = summaries.slice(0, 3).join('; ') + (summaries.length > 3 ? `; … (+${summaries.length - 3} more)` : '');
+      return {
+        result: { operations: results.length, results },
+        summary: summaries.length ? `Batch of ${operations.length} operations: ${shown}` : null,
+      };
+    });
   }
 
-  _loadHistory(name) {
-    const fp = this._historyFilePath(name);
-    if (!fs.existsSync(fp)) return { project: name, commits: [] };
-    return JSON.parse(fs.readFileSync(fp, 'utf-8'));
+  // ---- EXPORT CATEGORY ----
+
+  async exportCategory(projectName, categoryName) {
+    const data = await this._load(projectName);
+    const cat = this._findCategory(data, categoryName);
+    return cat.chunks.map(ch => this._exportEntry(ch));
   }
 
-  _saveHistory(name, history) {
-    this._ensureDir();
-    fs.writeFileSync(this._historyFilePath(name), JSON.stringify(history, null, 2), 'utf-8');
+  // ---- HISTORY ----
+
+  _loadHistory(name) {
+    return this.storage.loadHistory(name);
   }
 
-  _commit(projectName, action, summary, source) {
+  // Must be called while holding the project's lock, with the state that was just saved.
+  // Commits store a patch against the previous commit; every CHECKPOINT_INTERVAL
+  // commits (and at the oldest retained commit) a full snapshot is kept instead.
+  // The previous commit's state comes from memory while it is still the newest
+  // commit; only after a restart, or a write elsewhere, is it replayed from the history.
+  // `opts.author` ({ id, name }) is the signed-in user, when authentication is on.
+  // Returns the new commit's id, or null when nothing was committed.
+  async _commit(projectName, data, action, summary, opts) {
     try {
-      const data = this._load(projectName);
-      const history = this._loadHistory(projectName);
-      const newSnapshot = JSON.stringify(data);
+      const history = await this._loadHistory(projectName);
+      const commits = history.commits;
+      const head = this._heads.get(projectName);
+      const prev = !commits.length ? null : head?.id === commits[0].id ? head.state : this._stateAt(commits, 0);
+      const patch = prev && createPatch(prev, data);
 
-      // Skip if snapshot is identical to the last commit (no actual change)
-      if (history.commits.length > 0 && JSON.stringify(history.commits[0].snapshot) === newSnapshot) {
-        return;
-      }
+      // Skip if nothing changed since the last commit
+      if (commits.length > 0 && !patch) return null;
 
       const totalChunks = data.categories.reduce((sum, c) => sum + c.chunks.length, 0);
-      history.commits.unshift({
+      const commit = {
         id: crypto.randomUUID(),
         timestamp: new Date().toISOString(),
-        source: source || 'browser',
+        source: opts?.source || 'browser',
+        author: opts?.author || null,
         action,
         summary,
         stats: { categories: data.categories.length, chunks: totalChunks },
-        snapshot: JSON.parse(newSnapshot),
-      });
-      if (history.commits.length > MAX_HISTORY) history.commits.length = MAX_HISTORY;
-      this._saveHistory(projectName, history);
+        revision: data.revision,
+        parent: commits[0]?.id || null,
+      };
+      const lastCheckpoint = commits.findIndex(c => c.snapshot);
+      if (!commits.length || lastCheckpoint === -1 || lastCheckpoint + 1 >= CHECKPOINT_INTERVAL) {
+        commit.snapshot = JSON.parse(JSON.stringify(data));
+      } else {
+        commit.patch = patch;
+      }
+      await this.storage.appendCommit(projectName, commit);
+      this._rememberHead(projectName, commit.id, commit.snapshot || JSON.parse(JSON.stringify(data)));
+      await this._prune(projectName, [commit, ...commits]);
+      const { snapshot: _snapshot, patch: _patch, ...info } = commit;
+      this.emit('commit', { project: projectName, commit: info });
+      return commit.id;
     } catch { /* history logging should never break mutations */ }
+    return null;
+  }
+
+  _rememberHead(projectName, id, state) {
+    this._heads.delete(projectName);
+    this._heads.set(projectName, { id, state });
+    if (this._heads.size > HEAD_CACHE_SIZE) this._heads.delete(this._heads.keys().next().value);
   }
 
-  getHistory(name) {
-    const history = this._loadHistory(name);
+  // Drop commits beyond MAX_HISTORY except tagged ones, PRUNE_BATCH or more
+  // at a time. A retained commit whose predecessor is dropped becomes a
+  // checkpoint first, so every remaining chain can still be replayed.
+  async _prune(projectName, commits) {
+    if (commits.length < MAX_HISTORY + PRUNE_BATCH) return;
+    const tagged = new Set((await this.storage.loadTags(projectName)).map(t => t.commitId));
+    const keep = commits.map((c, i) => i < MAX_HISTORY || tagged.has(c.id));
+    const drop = commits.filter((c, i) => !keep[i]).map(c => c.id);
+    if (drop.length < PRUNE_BATCH) return;
+    for (let i = 0; i < commits.length; i++) {
+      if (!keep[i] || keep[i + 1] || commits[i].snapshot) continue;
+      const { patch, ...rest } = commits[i];
+      await this.storage.updateCommit(projectName, { ...rest, snapshot: this._stateAt(commits, i) });
+    }
+    await this.storage.deleteCommits(projectName, drop);
+  }
+
+  // Rebuild the project state as of commits[idx] (commits are newest first):
+  // start from the nearest checkpoint at or before it and replay patches forward.
+  _stateAt(commits, idx) {
+    let base = idx;
+    while (base < commits.length && !commits[base].snapshot) base++;
+    if (base === commits.length) throw new Error('History is missing a checkpoint');
+    return applyPatches(commits[base].snapshot, commits.slice(idx, base).reverse().map(c => c.patch));
+  }
+
+  // Index of the commit before commits[idx], or -1 for a project's first
+  // commit. Pruning keeps tagged commits across a gap, so the next entry isn't
+  // necessarily the parent; commits written before `parent` existed fall back to it.
+  _parentIndex(commits, idx) {
+    const { parent } = commits[idx];
+    if (parent === undefined) return idx + 1 < commits.length ? idx + 1 : -1;
+    if (parent === null) return -1;
+    const p = commits.findIndex((c, i) => i > idx && c.id === parent);
+    if (p === -1) throw new Error('The commit before this one is no longer in the history');
+    return p;
+  }
+
+  async getHistory(name) {
+    const [history, tags] = await Promise.all([this._loadHistory(name), this.storage.loadTags(name)]);
     return history.commits.map(c => ({
-      id: c.id, timestamp: c.timestamp, source: c.source,
-      action: c.action, summary: c.summary, stats: c.stats,
+      id: c.id, timestamp: c.timestamp, source: c.source, author: c.author || null,
+      action: c.action, summary: c.summary, stats: c.stats, revision: c.revision,
+      tags: tags.filter(t => t.commitId === c.id).map(t => t.name),
     }));
   }
 
-  getCommit(name, commitId) {
-    const history = this._loadHistory(name);
+  async getCommit(name, commitId) {
+    const history = await this._loadHistory(name);
     const idx = history.commits.findIndex(c => c.id === commitId);
     if (idx === -1) throw new Error('Commit not found');
-    const commit = history.commits[idx];
-    const prev = idx + 1 < history.commits.length ? history.commits[idx + 1].snapshot : null;
-    return { ...commit, prevSnapshot: prev };
+    const { patch, ...commit } = history.commits[idx];
+    // Without the parent in the history there is nothing to compare with
+    let prev = null;
+    try {
+      const p = this._parentIndex(history.commits, idx);
+      if (p !== -1) prev = this._stateAt(history.commits, p);
+    } catch { /* parent pruned */ }
+    return { ...commit, snapshot: this._stateAt(history.commits, idx), prevSnapshot: prev };
   }
 
-  rollback(name, commitId, source) {
-    const history = this._loadHistory(name);
-    const commit = history.commits.find(c => c.id === commitId);
-    if (!commit) throw new Error('Commit not found');
-    this._save(name, commit.snapshot);
-    this._commit(name, 'rollback', `Rolled back to commit from ${commit.timestamp}`, source || 'browser');
-    return this._load(name);
+  rollback(name, commitId, opts) {
+    return this._mutate(name, 'rollback', opts, async data => {
+      this._checkRevision(data, opts);
+      const history = await this._loadHistory(name);
+      const idx = history.commits.findIndex(c => c.id === commitId);
+      if (idx === -1) throw new Error('Commit not found');
+      const commit = history.commits[idx];
+      const snapshot = this._stateAt(history.commits, idx);
+      for (const key of Object.keys(data)) delete data[key];
+      Object.assign(data, snapshot);
+      return { result: data, summary: `Rolled back to commit from ${commit.timestamp}` };
+    });
+  }
+
+  // Undo only the changes made by one commit, keeping everything after it.
+  // Chunks or categories a later commit touched again are reported as
+  // conflicts (409) — or left as they are with `opts.skipConflicts`.
+  revert(name, commitId, opts = {}) {
+    return this._mutate(name, 'revert', opts, async data => {
+      this._checkRevision(data, opts);
+      const { commits } = await this._loadHistory(name);
+      const idx = commits.findIndex(c => c.id === commitId);
+      if (idx === -1) throw new Error('Commit not found');
+      const parent = this._parentIndex(commits, idx);
+      if (parent === -1) throw new Error('The first commit of a project cannot be reverted');
+      const commit = commits[idx];
+      const { reverted, conflicts } = revertCommit(data, this._stateAt(commits, parent), this._stateAt(commits, idx), opts);
+      if (conflicts.length && !opts.skipConflicts) {
+        throw new ConflictError(`Revert conflicts with ${conflicts.length} later change(s)`, { revision: data.revision || 0, conflicts });
+      }
+      return {
+        result: { reverted, skipped: conflicts },
+        summary: reverted ? `Reverted "${commit.summary}"${conflicts.length ? ` (${conflicts.length} skipped)` : ''}` : null,
+      };
+    });
+  }
+
+  // ---- CHUNK HISTORY ----
+
+  // Every version of one chunk, newest first. Walks the commits oldest to
+  // newest reading only checkpoints and patch entries for this uid, so the
+  // project is never rebuilt per commit.
+  async getChunkHistory(name, uid) {
+    const { commits } = await this._loadHistory(name);
+    const versions = [];
+    let catNames = new Map();
+    let catId = null;
+    let chunk = null;
+    let lastKey = null;
+
+    for (let i = commits.length - 1; i >= 0; i--) {
+      const c = commits[i];
+      if (c.snapshot) {
+        catNames = new Map(c.snapshot.categories.map(cat => [cat.id, cat.name]));
+        const cat = c.snapshot.categories.find(x => x.chunks.some(ch => ch._uid === uid));
+        catId = cat ? cat.id : null;
+        chunk = cat ? cat.chunks.find(ch => ch._uid === uid) : null;
+      } else {
+        const patch = c.patch || {};
+        if (patch.categories) catNames = new Map(patch.categories.map(cat => [cat.id, cat.name]));
+        for (const [id, order] of Object.entries(patch.order || {})) {
+          if ((Array.isArray(order) ? order : order.append).includes(uid)) catId = id;
+        }
+        if (patch.chunks && uid in patch.chunks) chunk = patch.chunks[uid];
+      }
+
+      const { _rev, ...content } = chunk || {};
+      const key = chunk ? JSON.stringify([catId, content]) : null;
+      if (key === lastKey) continue;
+
+      const prev = versions.length ? versions[versions.length - 1] : null;
+      const version = {
+        commitId: c.id, timestamp: c.timestamp, source: c.source, author: c.author || null,
+        action: c.action, summary: c.summary, revision: c.revision,
+        category: chunk ? catNames.get(catId) || null : null,
+        chunk: chunk ? { ...content } : null,
+      };
+      if (!chunk) version.type = 'deleted';
+      else if (!prev || !prev.chunk) version.type = 'added';
+      else {
+        version.changes = chunkChanges(prev.chunk, chunk);
+        version.type = version.changes.length ? 'modified' : 'moved';
+      }
+      versions.push(version);
+      lastKey = key;
+    }
+
+    if (!versions.length) throw new Error('Chunk not found in history');
+    return versions.reverse();
+  }
+
+  // Put one chunk back to how it was at `commitId`, leaving the rest of the
+  // project alone. A chunk deleted since then is re-added to its old category.
+  restoreChunk(name, uid, commitId, opts) {
+    return this._mutate(name, 'restoreChunk', opts, async data => {
+      const { commits } = await this._loadHistory(name);
+      const idx = commits.findIndex(c => c.id === commitId);
+      if (idx === -1) throw new Error('Commit not found');
+      const state = this._stateAt(commits, idx);
+      const oldCat = state.categories.find(cat => cat.chunks.some(ch => ch._uid === uid));
+      if (!oldCat) throw new Error('Chunk did not exist at that commit');
+      const { _rev, ...version } = oldCat.chunks.find(ch => ch._uid === uid);
+
+      let cat = data.categories.find(c => c.chunks.some(ch => ch._uid === uid));
+      const current = cat && cat.chunks.find(ch => ch._uid === uid);
+      if (current) {
+        this._checkRevision(data, opts, { chunk: current, category: cat });
+        cat.chunks[cat.chunks.indexOf(current)] = version;
+      } else {
+        this._checkRevision(data, opts);
+        cat = data.categories.find(c => c.id === oldCat.id);
+        if (!cat) throw new Error(`Category "${oldCat.name}" no longer exists`);
+        cat.chunks.push(version);
+      }
+      if (version.id && this._isIdTaken(data, version.id, uid)) {
+        throw new Error(`Chunk ID "${version.id}" is now used by another chunk`);
+      }
+      const commit = commits[idx];
+      return {
+        result: { chunk: { ...version }, category: cat.name },
+        summary: `Restored chunk '${version.id || uid}' to version from ${commit.timestamp}`,
+      };
+    });
+  }
+
+  // ---- TAGS ----
+
+  // Named releases pointing at commits. Tagged commits are never pruned, so a
+  // tag can always be exported or diffed against.
+  async listTags(name) {
+    const [tags, { commits }] = await Promise.all([this.storage.loadTags(name), this._loadHistory(name)]);
+    const byId = new Map(commits.map(c => [c.id, c]));
+    return tags
+      .map(t => {
+        const c = byId.get(t.commitId);
+        return { ...t, timestamp: c ? c.timestamp : null, summary: c ? c.summary : null, stats: c ? c.stats : null };
+      })
+      .sort((a, b) => b.createdAt.localeCompare(a.createdAt));
+  }
+
+  // Tags the given commit, or the latest one when `commitId` is omitted
+  createTag(name, tagName, commitId, notes, opts = {}) {
+    return this._withLock(name, async () => {
+      tagName = String(tagName || '').trim();
+      if (!TAG_NAME.test(tagName) || tagName === 'HEAD') {
+        throw new Error('Tag name must start with a letter or digit and contain only letters, digits, ".", "-" and "_"');
+      }
+      if (!(await this.storage.hasProject(name))) throw new Error(`Project "${name}" not found`);
+      const [tags, { commits }] = await Promise.all([this.storage.loadTags(name), this._loadHistory(name)]);
+      if (tags.some(t => t.name === tagName)) throw new Error(`Tag "${tagName}" already exists`);
+      const commit = commitId ? commits.find(c => c.id === commitId) : commits[0];
+      if (!commit) throw new Error(commitId ? 'Commit not found' : 'Project has no history to tag');
+      const tag = {
+        name: tagName, commitId: commit.id, notes: String(notes || ''),
+        createdAt: new Date().toISOString(), source: opts.source || 'browser',
+      };
+      await this.storage.saveTag(name, tag);
+      this._emitChange(name, undefined, tag.source, [{ type: 'tag:created', tag }]);
+      return tag;
+    });
+  }
+
+  deleteTag(name, tagName, opts) {
+    return this._withLock(name, async () => {
+      const tags = await this.storage.loadTags(name);
+      if (!tags.some(t => t.name === tagName)) throw new Error(`Tag "${tagName}" not found`);
+      await this.storage.deleteTag(name, tagName);
+      this._emitChange(name, undefined, opts?.source, [{ type: 'tag:deleted', tag: tagName }]);
+      return { deleted: tagName };
+    });
+  }
+
+  // ---- DIFF ----
+
+  // Structured diff between two refs — tag names, commit ids or 'HEAD' for the
+  // current state. `to` defaults to HEAD; without `from` the diff shows what the `to`
+  // commit itself changed (compared with the commit before it).
+  async diff(name, from, to) {
+    const { commits } = await this._loadHistory(name);
+    const target = await this._resolveRef(name, commits, to || 'HEAD');
+    let base;
+    if (from) {
+      base = await this._resolveRef(name, commits, from);
+    } else {
+      const idx = target.commit ? target.index : 0;
+      const parent = idx < commits.length ? this._parentIndex(commits, idx) : -1;
+      base = parent === -1 ? { ref: null, state: null } : this._refAt(commits, parent);
+    }
+    const describe = r => (r.ref === null ? null : {
+      ref: r.ref, commitId: r.commit?.id || null, timestamp: r.commit?.timestamp || null, summary: r.commit?.summary || null,
+    });
+    return { from: describe(base), to: describe(target), ...diffProjects(base.state, target.state) };
+  }
+
+  async _resolveRef(name, commits, ref) {
+    if (ref === 'HEAD') return { ref, state: await this._load(name) };
+    const tag = (await this.storage.loadTags(name)).find(t => t.name === ref);
+    const id = tag ? tag.commitId : ref;
+    const idx = commits.findIndex(c => c.id === id);
+    if (idx === -1) throw new Error(`Unknown ref "${ref}"`);
+    return this._refAt(commits, idx, ref);
+  }
+
+  _refAt(commits, index, ref) {
+    return { ref: ref || commits[index].id, index, commit: commits[index], state: this._stateAt(commits, index) };
+  }
+
+  // ---- CHANGE FEED ----
+
+  // Chunk-level upserts and deletes since revision `since`, oldest first, for
+  // consumers that keep their own copy of the dataset (e.g. an embedding index).
+  // `cursor` is the `since` to pass next time. Without a usable `since` — none
+  // given, or older than the retained history — `reset` is set and every chunk
+  // is listed as an upsert, so the consumer should start over.
+  changesSince(name, since) {
+    // Under the lock, so the project file and its history agree
+    return this._withLock(name, async () => {
+      const [data, { commits }] = await Promise.all([this._load(name), this._loadHistory(name)]);
+      const cursor = data.revision || 0;
+      since = since === undefined || since === null || since === '' ? 0 : Number(since);
+      if (!Number.isInteger(since) || since < 0) throw new Error('Cursor must be a revision number');
+      if (since > cursor) throw new Error(`Cursor ${since} is ahead of the project (revision ${cursor})`);
+
+      const upsert = (cat, ch, revision) => ({
+        type: 'upsert', revision, uid: ch._uid, category: cat.name, chunk: this._exportEntry(ch),
+      });
+      let base = since > 0 ? commits.findIndex(c => c.revision !== undefined && c.revision <= since) : -1;
+      // A checkpoint whose parent was pruned hides what it removed, so start over
+      const ids = new Set(commits.map(c => c.id));
+      if (commits.slice(0, base).some(c => c.snapshot && c.parent && !ids.has(c.parent))) base = -1;
+      if (base === -1) {
+        const changes = data.categories.flatMap(cat => cat.chunks.map(ch => upsert(cat, ch, ch._rev || 0)));
+        return { project: name, since, cursor, reset: true, changes: changes.sort((a, b) => a.revision - b.revision) };
+      }
+
+      // Where every chunk was at `since`
+      const then = new Map();
+      for (const cat of this._stateAt(commits, base).categories) {
+        for (const ch of cat.chunks) then.set(ch._uid, { id: ch.id, category: cat.name, catId: cat.id });
+      }
+
+      // Deletions, and the last reordering of each chunk (moves don't touch the
+      // chunk itself, so only the order shows them), from the commits after `since`
+      const deletedAt = new Map();
+      const placedAt = new Map();
+      for (let i = base - 1; i >= 0; i--) {
+        const c = commits[i];
+        const revision = c.revision ?? cursor;
+        let removed = [];
+        if (c.snapshot) {
+          const kept = new Set(c.snapshot.categories.flatMap(cat => cat.chunks.map(ch => ch._uid)));
+          removed = this._stateAt(commits, this._parentIndex(commits, i)).categories.flatMap(cat => cat.chunks.map(ch => ch._uid)).filter(uid => !kept.has(uid));
+        } else if (c.patch) {
+          removed = Object.keys(c.patch.chunks || {}).filter(uid => c.patch.chunks[uid] === null);
+          for (const order of Object.values(c.patch.order || {})) {
+            for (const uid of Array.isArray(order) ? order : order.append) placedAt.set(uid, revision);
+          }
+        }
+        for (const uid of removed) deletedAt.set(uid, revision);
+      }
+
+      const changes = [];
+      const current = new Set();
+      for (const cat of data.categories) {
+        for (const ch of cat.chunks) {
+          current.add(ch._uid);
+          let revision = Math.max(ch._rev || 0, cat._rev || 0);
+          if (then.has(ch._uid) && then.get(ch._uid).catId !== cat.id) {
+            revision = Math.max(revision, placedAt.get(ch._uid) ?? cursor);
+          }
+          if (revision > since) changes.push(upsert(cat, ch, revision));
+        }
+      }
+      for (const [uid, { id, category }] of then) {
+        if (!current.has(uid)) changes.push({ type: 'delete', revision: deletedAt.get(uid) ?? cursor, uid, id, category });
+      }
+
+      return { project: name, since, cursor, reset: false, changes: changes.sort((a, b) => a.revision - b.revision) };
+    });
   }
 
   // ---- INTERNAL ----
 
+  // Queue `fn` behind every pending write to the same project, so concurrent
+  // requests are applied one after another instead of overwriting each other.
+  _withLock(name, fn) {
+    const prev = this._queues.get(name) || Promise.resolve();
+    const run = prev.then(() => fn());
+    const tail = run.catch(() => {});
+    this._queues.set(name, tail);
+    tail.then(() => { if (this._queues.get(name) === tail) this._queues.delete(name); });
+    return run;
+  }
+
+  // Several projects' locks, taken in name order so two callers can never
+  // each hold one the other is waiting for
+  _withLocks(names, fn) {
+    const [first, ...rest] = [...new Set(names)].sort();
+    return this._withLock(first, rest.length ? () => this._withLocks(rest, fn) : fn);
+  }
+
+  // Load → modify → save → commit under the project's lock. `fn` edits `data`
+  // in place and returns { result, summary }; no summary means no history commit.
+  // The result is returned with the project's new revision.
+  _mutate(name, action, opts, fn) {
+    return this._withLock(name, () => this._mutateLocked(name, action, opts, fn));
+  }
+
+  // _mutate for callers that already hold the lock
+  async _mutateLocked(name, action, opts, fn) {
+    const data = await this._load(name);
+    const before = JSON.parse(JSON.stringify(data));
+    const { result, summary } = await fn(data);
+    const changes = this._stampRevision(before, data);
+    await this._save(name, data, changes);
+    const commitId = summary ? await this._commit(name, data, action, summary, opts) : null;
+    this._emitChange(name, data.revision, opts?.source, changeEvents(before, data));
+    return { ...result, revision: data.revision, commitId };
+  }
+
+  _emitChange(project, revision, source, events) {
+    if (!events.length) return;
+    try {
+      this.emit('change', { project, revision, source: source || 'browser', events });
+    } catch { /* listeners should never break a write that already happened */ }
+  }
+
+  // Bump the project revision and record it as `_rev` on every chunk and
+  // category that the mutation added or changed. Returns the patch from
+  // `before` to `data`, which covers those stamps too.
+  _stampRevision(before, data) {
+    data.revision = (before.revision || 0) + 1;
+    const changes = createPatch(before, data);
+    const changed = changes?.chunks || {};
+    const prevCats = new Map(before.categories.map(c => [c.id, c]));
+    for (const cat of data.categories) {
+      if (prevCats.get(cat.id)?.name !== cat.name) cat._rev = data.revision;
+      for (const ch of cat.chunks) {
+        if (changed[ch._uid]) ch._rev = data.revision;
+      }
+    }
+    return changes;
+  }
+
+  // Optimistic concurrency: when the caller passes `opts.baseRevision`, reject
+  // the change if the targeted chunk or category — or, with no target, the
+  // project itself — was modified after that revision.
+  _checkRevision(data, opts, target) {
+    const base = opts?.baseRevision;
+    if (base === undefined || base === null) return;
+    const strip = cat => cat && { id: cat.id, name: cat.name, _rev: cat._rev };
+    const conflict = (message, extra) => new ConflictError(message, { revision: data.revision || 0, ...extra });
+
+    if (target?.chunk) {
+      if ((target.chunk._rev || 0) > base) {
+        throw conflict(`Chunk '${target.chunk.id || target.chunk._uid}' was changed remotely (revision ${target.chunk._rev}, you have ${base})`,
+          { chunk: target.chunk, category: strip(target.category) });
+      }
+    } else if (target?.category) {
+      const cat = target.category;
+      const chunk = cat.chunks.find(ch => (ch._rev || 0) > base);
+      if ((cat._rev || 0) > base || chunk) {
+        throw conflict(`Category '${cat.name}' was changed remotely since revision ${base}`, { category: strip(cat), chunk });
+      }
+    } else if ((data.revision || 0) > base) {
+      throw conflict(`Project was changed remotely (revision ${data.revision}, you have ${base})`);
+    }
+  }
+
   _load(name) {
-    const fp = this._filePath(name);
-    if (!fs.existsSync(fp)) throw new Error(`Project "${name}" not found`);
-    return JSON.parse(fs.readFileSync(fp, 'utf-8'));
+    return this.storage.loadProject(name);
   }
 
-  _save(name, data) {
-    this._ensureDir();
-    fs.writeFileSync(this._filePath(name), JSON.stringify(data, null, 2), 'utf-8');
+  _save(name, data, changes) {
+    return this.storage.saveProject(name, data, changes);
   }
 
   _findCategory(data, name) {
@@ -524,6 +1407,15 @@ class Store {
     return cat;
   }
 
+  // The chunk with this ID, where it is: { ch, cat, index }
+  _findChunk(data, id) {
+    for (const cat of data.categories) {
+      const index = cat.chunks.findIndex(ch => ch.id === id);
+      if (index !== -1) return { ch: cat.chunks[index], cat, index };
+    }
+    return null;
+  }
+
   _isIdTaken(data, id, excludeUid) {
     for (const cat of data.categories) {
       for (const ch of cat.chunks) {
@@ -538,9 +1430,26 @@ class Store {
     return Object.entries(metadata).filter(([k]) => !STANDARD_META.includes(k)).map(([key, value]) => ({ key, value: String(value ?? '') }));
   }
 
+  // Flat export shape: custom fields are folded into metadata
+  _exportEntry(ch) {
+    const entry = { id: ch.id, text: ch.text, metadata: { ...ch.metadata } };
+    if (ch.customFields) {
+      for (const cf of ch.customFields) {
+        if (cf.key && cf.key.trim()) entry.metadata[cf.key.trim()] = String(cf.value ?? '');
+      }
+    }
+    return entry;
+  }
+
   _formatChunk(ch) {
     return { id: ch.id, text: ch.text, metadata: ch.metadata, customFields: ch.customFields || [] };
   }
 }
 
-module.exports = { Store };
+function safeProjectName(name) {
+  const safeName = String(name || '').replace(/[^a-zA-Z0-9_\-. ]/g, '').replace(/^[. ]+/, '').trim();
+  if (!safeName) throw new Error('Invalid project name');
+  return safeName;
+}
+
+module.exports = { Store, ConflictError };
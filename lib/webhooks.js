@@ -0,0 +1,197 @@
+const crypto = require('crypto');
+const { readJSON, jsonFileWriter } = require('./files');
+
+const RETRY_DELAYS = [10, 60, 300, 1800].map(s => s * 1000); // wait before each retry
+const REQUEST_TIMEOUT = 10 * 1000;
+const MAX_DELIVERIES = 50; // kept per webhook, newest first
+
+// Per-project webhooks: every history commit is POSTed as JSON to the
+// project's webhooks whose `events` (commit actions, or '*') match it. With a
+// secret, the body is signed as `X-Dataset-Signature: sha256=<hmac>`. Failed
+// deliveries are retried with backoff, also after a restart, as registrations
+// and their latest deliveries are kept in a JSON file.
+class WebhookRegistry {
+  constructor(filePath, { retryDelays = RETRY_DELAYS } = {}) {
+    this.filePath = filePath;
+    this.retryDelays = retryDelays;
+    this._hooks = new Map(); // id → { id, project, url, secret, events, active, createdAt, deliveries }
+    this._save = jsonFileWriter(filePath, () => ({ webhooks: [...this._hooks.values()] }), 'webhooks');
+  }
+
+  async load() {
+    const { webhooks = [] } = await readJSON(this.filePath, {});
+    for (const hook of webhooks) {
+      this._hooks.set(hook.id, hook);
+      for (const d of hook.deliveries) {
+        if (d.status === 'pending') this._schedule(hook, d, Math.max(0, new Date(d.nextAttemptAt) - Date.now()));
+      }
+    }
+  }
+
+  list(project) {
+    return [...this._hooks.values()].filter(h => h.project === project).map(h => this.describe(h));
+  }
+
+  get(project, id) {
+    const hook = this._hooks.get(id);
+    if (!hook || hook.project !== project) throw new Error('Webhook not found');
+    return hook;
+  }
+
+  create(project, { url, secret, events, active } = {}) {
+    const hook = {
+      id: crypto.randomUUID(), project, url: validUrl(url), secret: String(secret || ''),
+      events: validEvents(events), active: active !== false, createdAt: new Date().toISOString(), deliveries: [],
+    };
+    this._hooks.set(hook.id, hook);
+    this._save();
+    return this.describe(hook);
+  }
+
+  // Fields left out are kept; an empty `secret` turns signing off
+  update(project, id, fields = {}) {
+    const hook = this.get(project, id);
+    if (fields.url !== undefined) hook.url = validUrl(fields.url);
+    if (fields.secret !== undefined) hook.secret = String(fields.secret || '');
+    if (fields.events !== undefined) hook.events = validEvents(fields.events);
+    if (fields.active !== undefined) hook.active = !!fields.active;
+    this._save();
+    return this.describe(hook);
+  }
+
+  remove(project, id) {
+    this.get(project, id);
+    this._hooks.delete(id);
+    this._save();
+    return { deleted: id };
+  }
+
+  removeProject(project) {
+    let changed = false;
+    for (const [id, hook] of this._hooks) {
+      if (hook.project === project) {
+        this._hooks.delete(id);
+        changed = true;
+      }
+    }
+    if (changed) this._save();
+  }
+
+  renameProject(project, newName) {
+    let changed = false;
+    for (const hook of this._hooks.values()) {
+      if (hook.project === project) {
+        hook.project = newName;
+        changed = true;
+      }
+    }
+    if (changed) this._save();
+  }
+
+  deliveries(project, id) {
+    return this.get(project, id).deliveries.map(({ body, ...d }) => d);
+  }
+
+  // Called for every commit the store records
+  dispatch(project, commit) {
+    for (const hook of this._hooks.values()) {
+      if (hook.project !== project || !hook.active) continue;
+      if (!hook.events.includes('*') && !hook.events.includes(commit.action)) continue;
+      this._deliver(hook, 'commit', { commit });
+    }
+  }
+
+  // One ping delivery, without retries; resolves with its outcome
+  async test(project, id) {
+    const hook = this.get(project, id);
+    const delivery = this._createDelivery(hook, 'ping', { webhook: { id: hook.id, url: hook.url, events: hook.events } });
+    await this._attempt(hook, delivery, false);
+    const { body, ...result } = delivery;
+    return result;
+  }
+
+  describe(hook) {
+    const { secret, deliveries, ...rest } = hook;
+    const last = deliveries[0];
+    return { ...rest, hasSecret: !!secret, lastDelivery: last ? { id: last.id, event: last.event, status: last.status, at: last.createdAt } : null };
+  }
+
+  _createDelivery(hook, event, data) {
+    const id = crypto.randomUUID();
+    const body = JSON.stringify({ event, delivery: id, project: hook.project, ...data });
+    const delivery = {
+      id, event, commitId: data.commit?.id || null, status: 'pending',
+      createdAt: new Date().toISOString(), nextAttemptAt: null, attempts: [], body,
+    };
+    hook.deliveries.unshift(delivery);
+    hook.deliveries.length = Math.min(hook.deliveries.length, MAX_DELIVERIES);
+    return delivery;
+  }
+
+  _deliver(hook, event, data) {
+    const delivery = this._createDelivery(hook, event, data);
+    this._save();
+    this._attempt(hook, delivery, true);
+  }
+
+  async _attempt(hook, delivery, retry) {
+    const headers = {
+      'Content-Type': 'application/json',
+      'User-Agent': 'Dataset-Builder-Webhooks',
+      'X-Dataset-Event': delivery.event,
+      'X-Dataset-Delivery': delivery.id,
+    };
+    if (hook.secret) headers['X-Dataset-Signature'] = 'sha256=' + sign(hook.secret, delivery.body);
+
+    const started = Date.now();
+    const attempt = { at: new Date(started).toISOString(), statusCode: null, error: null, duration: 0 };
+    try {
+      const res = await fetch(hook.url, { method: 'POST', headers, body: delivery.body, signal: AbortSignal.timeout(REQUEST_TIMEOUT) });
+      attempt.statusCode = res.status;
+      if (!res.ok) attempt.error = `HTTP ${res.status}`;
+      await res.body?.cancel();
+    } catch (e) {
+      attempt.error = e.cause?.message || e.message;
+    }
+    attempt.duration = Date.now() - started;
+    delivery.attempts.push(attempt);
+
+    const delay = this.retryDelays[delivery.attempts.length - 1];
+    if (!attempt.error) {
+      delivery.status = 'delivered';
+      delivery.nextAttemptAt = null;
+    } else if (retry && delay !== undefined && this._hooks.has(hook.id)) {
+      delivery.nextAttemptAt = new Date(Date.now() + delay).toISOString();
+      this._schedule(hook, delivery, delay);
+    } else {
+      delivery.status = 'failed';
+      delivery.nextAttemptAt = null;
+    }
+    this._save();
+  }
+
+  _schedule(hook, delivery, delay) {
+    setTimeout(() => {
+      if (this._hooks.has(hook.id)) this._attempt(hook, delivery, true);
+    }, delay).unref();
+  }
+}
+
+function sign(secret, body) {
+  return crypto.createHmac('sha256', secret).update(body).digest('hex');
+}
+
+function validUrl(url) {
+  let parsed;
+  try { parsed = new URL(String(url || '')); } catch { throw new Error('Webhook URL is not valid'); }
+  if (!['http:', 'https:'].includes(parsed.protocol)) throw new Error('Webhook URL must use http or https');
+  return parsed.href;
+}
+
+function validEvents(events) {
+  if (events === undefined || events === null || events === '') return ['*'];
+  const list = (Array.isArray(events) ? events : String(events).split(',')).map(e => String(e).trim()).filter(Boolean);
+  return list.length ? [...new Set(list)] : ['*'];
+}
+
+module.exports = { WebhookRegistry };
@@ -8,6 +8,9 @@
 // =============================================
 const CONFIG = {
   ONBOARDING_KEY: 'dataset_builder_onboarding_done',
+  NAME_KEY: 'dataset_builder_name',
+  SESSION_KEY: 'dataset_builder_session',
+  TOKEN_KEY: 'dataset_builder_token',
   DEFAULT_LICENSE: 'CC BY-NC-SA 3.0',
 };
 
@@ -25,64 +28,205 @@ const ONBOARDING_STEPS = [
 const $ = (sel) => document.querySelector(sel);
 const $$ = (sel) => document.querySelectorAll(sel);
 
+// Project list entry that opens the trash; project names can't contain ':'
+const TRASH_OPTION = ':trash';
+// Branch list entry that starts a new branch
+const NEW_BRANCH_OPTION = ':new-branch';
+
+// How a project merge settles a chunk whose ID the open project already uses
+const MERGE_STRATEGIES = {
+  skip: "Keep this project's chunk",
+  overwrite: "Take the other project's chunk",
+  'keep-newer': 'Keep whichever changed last',
+  'rename-with-suffix': 'Add theirs under a new ID',
+  'merge-metadata': 'Keep the text, fill in missing metadata',
+};
+
+// A branch opens like a project, as `<project>@<branch>`; project names can't contain '@'
+const BRANCH_SEPARATOR = '@';
+
+function splitBranch(name) {
+  const i = name.indexOf(BRANCH_SEPARATOR);
+  return i === -1 ? { project: name, branch: null } : { project: name.slice(0, i), branch: name.slice(i + 1) };
+}
+
+// A share link (/?share=<token>) opens its project read-only, without signing in
+const SHARE_TOKEN = new URLSearchParams(location.search).get('share');
+
+function authToken() {
+  return SHARE_TOKEN || localStorage.getItem(CONFIG.TOKEN_KEY);
+}
+
 async function api(path, opts = {}) {
+  const token = authToken();
   const res = await fetch('/api' + path, {
-    headers: { 'Content-Type': 'application/json', ...opts.headers },
+    headers: { 'Content-Type': 'application/json', ...(token && { Authorization: `Bearer ${token}` }), ...opts.headers },
     ...opts,
     body: opts.body ? JSON.stringify(opts.body) : undefined,
   });
+  // The sign-in expired or was revoked: start over at the sign-in form
+  if (res.status === 401 && token && !SHARE_TOKEN && !path.startsWith('/auth/')) {
+    localStorage.removeItem(CONFIG.TOKEN_KEY);
+    location.reload();
+  }
   const data = await res.json();
-  if (!res.ok) throw new Error(data.error || 'API error');
+  if (!res.ok) {
+    const err = new Error(data.error || 'API error');
+    err.status = res.status;
+    err.data = data;
+    throw err;
+  }
   return data;
 }
 
 // =============================================
 // STORE — State management via REST API
 // =============================================
+// Typed change events broadcast for every mutation (see lib/events.js)
+const CHANGE_EVENTS = new Set([
+  'category:deleted', 'category:added', 'category:renamed', 'category:toggled', 'categories:reordered',
+  'chunk:deleted', 'chunk:moved', 'chunk:added', 'chunk:updated', 'chunks:reordered',
+]);
+
 class Store {
   constructor() {
     this.projectList = [];
     this.currentProjectName = null;
     this.currentProject = null;
+    this.branches = []; // of the open project, or of the project the open branch belongs to
+    this._branchesOf = null;
     this._listeners = [];
     this.sessionCode = null;
+    this.sessionProject = null;
+    this._sessionInvalid = false;
     this._ws = null;
     this._mcpConnected = false;
+    this._pendingChange = null;
+    this._resyncing = false;
+    this._resyncTo = 0;
+    this._wasConnected = false;
+    this.clientId = null;
+    this.user = null; // the signed-in account, while authentication is on, or the share link
+    this.presence = [];
+    this._presence = null;
+    this.userName = localStorage.getItem(CONFIG.NAME_KEY) || '';
+    if (!this.userName) {
+      this.userName = `Guest ${Math.floor(100 + Math.random() * 900)}`;
+      localStorage.setItem(CONFIG.NAME_KEY, this.userName);
+    }
+  }
+
+  // Whether the server lets us in: authentication is off, or the stored token is valid
+  async checkAuth() {
+    const status = await api('/auth/status');
+    this.user = status.user;
+    if (this.user) this.userName = this.user.name;
+    return !status.enabled || !!this.user;
+  }
+
+  // Opened from a share link: one project, nothing can be changed
+  get readOnly() {
+    return !!this.user?.share;
+  }
+
+  async signIn(name, password) {
+    const result = await api('/auth/login', { method: 'POST', body: { name, password } });
+    localStorage.setItem(CONFIG.TOKEN_KEY, result.token);
+    this.user = result.user;
+    this.userName = result.user.name;
+  }
+
+  async signOut() {
+    try { await api('/auth/logout', { method: 'POST' }); } catch {}
+    localStorage.removeItem(CONFIG.TOKEN_KEY);
+    location.reload();
   }
 
   async init() {
-    const sess = await api('/session');
-    this.sessionCode = sess.code;
+    await this._openSession();
     this._connectWS();
     await this.refreshProjectList();
+    // A share link's project, or the one the session is bound to, opens straight away
+    const initial = this.user?.share?.project || this.sessionProject;
+    if (initial && this.projectList.some(p => p.name === splitBranch(initial).project)) {
+      await this._loadProject(initial);
+    }
+  }
+
+  // Reuse the code from the last visit while the server still knows it, so
+  // MCP clients linked to it keep working across reloads.
+  async _openSession() {
+    const sess = await api('/session', { method: 'POST', body: { code: localStorage.getItem(CONFIG.SESSION_KEY) } });
+    this.sessionCode = sess.code;
+    this.sessionProject = sess.project;
+    localStorage.setItem(CONFIG.SESSION_KEY, sess.code);
+  }
+
+  async bindSession(project) {
+    const sess = await api(`/session/${this.sessionCode}`, { method: 'PUT', body: { project } });
+    this.sessionProject = sess.project;
+    this._notify();
   }
 
   _connectWS() {
     const proto = location.protocol === 'https:' ? 'wss:' : 'ws:';
-    this._ws = new WebSocket(`${proto}//${location.host}/ws?session=${this.sessionCode}&type=browser`);
+    const token = authToken();
+    this._ws = new WebSocket(`${proto}//${location.host}/ws?session=${this.sessionCode}&type=browser&name=${encodeURIComponent(this.userName)}${token ? `&token=${token}` : ''}`);
+
+    this._ws.onopen = () => {
+      this._watch();
+      this._sendPresence();
+      // Changes made while disconnected were never sent to us
+      if (this._wasConnected && this.currentProject) this._resync(0);
+      this._wasConnected = true;
+    };
 
     this._ws.onmessage = (e) => {
       try {
         const msg = JSON.parse(e.data);
-        if (msg.event === 'mcp:connected') {
+        if (msg.event === 'connected') {
+          this.clientId = msg.data.id;
+        } else if (msg.event === 'error' && msg.data.status === 401 && !SHARE_TOKEN) {
+          localStorage.removeItem(CONFIG.TOKEN_KEY);
+          location.reload();
+        } else if (msg.event === 'error') {
+          this._sessionInvalid = true;
+        } else if (msg.event === 'presence') {
+          this.presence = msg.data.clients;
+          this._notify({ presence: true });
+        } else if (msg.event === 'mcp:connected') {
           this._mcpConnected = true;
           this._notify();
         } else if (msg.event === 'mcp:disconnected') {
           this._mcpConnected = false;
           this._notify();
+        } else if (CHANGE_EVENTS.has(msg.event)) {
+          this._handleRemoteEvent(msg.event, msg.data);
         } else if (msg.event === 'data:changed') {
           this._handleRemoteChange(msg.data);
         } else if (msg.event === 'project:created') {
           this._handleRemoteProjectCreated(msg.data);
         } else if (msg.event === 'project:deleted') {
           this._handleRemoteProjectDeleted(msg.data);
+        } else if (msg.event === 'project:renamed') {
+          this._handleRemoteProjectRenamed(msg.data);
+        } else if (msg.event.startsWith('branch:')) {
+          this._handleRemoteBranchEvent(msg.event, msg.data);
         }
       } catch {}
     };
 
     this._ws.onclose = () => {
       this._mcpConnected = false;
-      setTimeout(() => this._connectWS(), 3000);
+      setTimeout(async () => {
+        // The code expired or the session was ended: carry on under a new one
+        if (this._sessionInvalid) {
+          this._sessionInvalid = false;
+          try { await this._openSession(); } catch {}
+          this._notify();
+        }
+        this._connectWS();
+      }, 3000);
     };
   }
 
@@ -104,10 +248,132 @@ class Store {
     this._notify();
   }
 
+  // One mutation arrives as `count` events sharing its revision, applied to
+  // the open project in place. Events we already have (our own changes, or a
+  // reload that got there first) are skipped; a gap means messages were missed
+  // and the project is reloaded instead.
+  _handleRemoteEvent(type, data) {
+    const project = this.currentProject;
+    if (!project || data.project !== this.currentProjectName) {
+      if (data.seq === data.count - 1) this._handleRemoteChange(data);
+      return;
+    }
+    if (this._resyncing) {
+      this._resyncTo = Math.max(this._resyncTo, data.revision);
+      return;
+    }
+
+    const revision = project.revision || 0;
+    let change = this._pendingChange;
+    if (!change || change.revision !== data.revision || change.seq !== data.seq) {
+      this._pendingChange = null;
+      if (data.revision <= revision) return;
+      if (data.seq !== 0 || data.revision !== revision + 1) {
+        this._resync(data.revision);
+        return;
+      }
+      change = { remote: true, revision: data.revision, seq: 0, chunks: new Set(), categories: new Set(), previous: new Map() };
+    }
+
+    try {
+      this._applyChangeEvent(project, type, data, change);
+    } catch {
+      this._resync(data.revision);
+      return;
+    }
+    project.revision = data.revision;
+    change.seq++;
+    if (change.seq < data.count) {
+      this._pendingChange = change;
+      return;
+    }
+    this._pendingChange = null;
+    const entry = this.projectList.find(p => p.name === project.name);
+    if (entry) {
+      entry.categories = project.categories.length;
+      entry.chunks = project.categories.reduce((sum, c) => sum + c.chunks.length, 0);
+    }
+    this._notify(change);
+  }
+
+  _applyChangeEvent(project, type, data, change) {
+    const category = id => {
+      const cat = project.categories.find(c => c.id === id);
+      if (!cat) throw new Error(`Unknown category ${id}`);
+      return cat;
+    };
+    const insert = (list, index, item) => list.splice(Math.min(index, list.length), 0, item);
+    const remove = (cat, uid) => { cat.chunks = cat.chunks.filter(ch => ch._uid !== uid); };
+
+    if (type.startsWith('categor')) change.categories.add(data.categoryId || data.category?.id);
+    if (data.uid || data.chunk) change.chunks.add(data.uid || data.chunk._uid);
+
+    switch (type) {
+      case 'category:deleted':
+        project.categories = project.categories.filter(c => c.id !== data.categoryId);
+        break;
+      case 'category:added':
+        insert(project.categories, data.index, data.category);
+        break;
+      case 'category:renamed': {
+        const cat = category(data.categoryId);
+        cat.name = data.name;
+        cat._rev = data.revision;
+        break;
+      }
+      case 'category:toggled':
+        // Expanded/collapsed is left as this browser has it
+        break;
+      case 'categories:reordered':
+        project.categories = data.order.map(category);
+        break;
+      case 'chunk:deleted':
+        remove(category(data.categoryId), data.uid);
+        break;
+      case 'chunk:moved':
+        remove(category(data.fromCategoryId), data.chunk._uid);
+        insert(category(data.categoryId).chunks, data.index, data.chunk);
+        break;
+      case 'chunk:added':
+        insert(category(data.categoryId).chunks, data.index, data.chunk);
+        break;
+      case 'chunk:updated': {
+        const cat = category(data.categoryId);
+        const idx = cat.chunks.findIndex(ch => ch._uid === data.chunk._uid);
+        if (idx === -1) throw new Error(`Unknown chunk ${data.chunk._uid}`);
+        if (!change.previous.has(data.chunk._uid)) change.previous.set(data.chunk._uid, cat.chunks[idx]);
+        cat.chunks[idx] = data.chunk;
+        break;
+      }
+      case 'chunks:reordered': {
+        const cat = category(data.categoryId);
+        const byUid = new Map(cat.chunks.map(ch => [ch._uid, ch]));
+        cat.chunks = data.order.map(uid => byUid.get(uid)).filter(Boolean);
+        break;
+      }
+    }
+  }
+
+  // Reload the open project after missing events, and again if more arrive
+  // for a revision the reload didn't include.
+  async _resync(revision) {
+    this._pendingChange = null;
+    this._resyncing = true;
+    this._resyncTo = revision;
+    try {
+      do {
+        await this._loadProject(this.currentProjectName);
+      } while (this.currentProject && (this.currentProject.revision || 0) < this._resyncTo);
+      await this.refreshProjectList();
+    } catch {}
+    this._resyncing = false;
+    this._notify();
+  }
+
   async _handleRemoteProjectCreated(data) {
     await this.refreshProjectList();
-    // Auto-select the newly created project
-    if (data && data.name) {
+    // Auto-select the newly created project unless another one is open
+    if (data && data.name && !this.currentProject) {
       await this._loadProject(data.name);
     }
     this._notify();
@@ -121,13 +387,39 @@ class Store {
         await this._loadProject(this.currentProjectName);
       } else {
         this.currentProject = null;
+        this._watch();
       }
     }
     this._notify();
   }
 
-  _notify() {
-    this._listeners.forEach(fn => fn());
+  // The open project keeps its data; only the name it goes by changes
+  async _handleRemoteProjectRenamed(data) {
+    await this.refreshProjectList();
+    if (this.currentProjectName === data.from) {
+      this.currentProjectName = data.name;
+      this._watching = data.name; // the server moved this browser along with the project
+      if (this.currentProject) this.currentProject.name = data.name;
+    }
+    if (this._branchesOf === splitBranch(data.from).project) await this.refreshBranches();
+    this._notify();
+  }
+
+  // The open branch may be the one deleted: fall back to its project
+  async _handleRemoteBranchEvent(type, data) {
+    if (type === 'branch:deleted' && this.currentProjectName === data.branch.project) {
+      await this.selectProject(data.project);
+      return;
+    }
+    if (this._branchesOf === data.project) await this.refreshBranches();
+    this._notify();
+  }
+
+  // `change` is only passed for remote edits applied in place:
+  // { remote, revision, chunks: Set<uid>, categories: Set<id>, previous: Map<uid, chunk> }
+  // or for presence updates: { presence: true }
+  _notify(change) {
+    this._listeners.forEach(fn => fn(change));
   }
 
   onChange(fn) {
@@ -154,6 +446,7 @@ class Store {
       await this._loadProject(name);
     } else {
       this.currentProject = null;
+      this._watch();
     }
     this._notify();
   }
@@ -166,6 +459,42 @@ class Store {
       this.currentProject = null;
       this.currentProjectName = null;
     }
+    if ((this.currentProjectName && splitBranch(this.currentProjectName).project) !== this._branchesOf) await this.refreshBranches();
+    this._watch();
+  }
+
+  // Tell the server which project's change events this browser wants
+  _watch() {
+    if (this._ws?.readyState !== WebSocket.OPEN) return;
+    if (this._watching !== this.currentProjectName) this._presence = null; // the server forgets the open chunk
+    this._watching = this.currentProjectName;
+    this._ws.send(JSON.stringify({ event: 'watch', data: { project: this.currentProjectName } }));
+  }
+
+  // ---- PRESENCE ----
+
+  // Everyone else on the open project, plus this session's MCP clients
+  getCollaborators() {
+    return this.presence.filter(p => p.id !== this.clientId && (p.type === 'mcp' || p.project === this.currentProjectName));
+  }
+
+  // Report the chunk open in this browser and whether it has unsaved edits
+  setPresence({ chunkUid, editing }) {
+    const next = { name: this.userName, chunkUid: chunkUid || null, editing: !!editing };
+    if (this._presence && JSON.stringify(next) === JSON.stringify(this._presence)) return;
+    this._presence = next;
+    this._sendPresence();
+  }
+
+  setUserName(name) {
+    this.userName = name;
+    localStorage.setItem(CONFIG.NAME_KEY, name);
+    this.setPresence(this._presence || {});
+  }
+
+  _sendPresence() {
+    if (!this._presence || this._ws?.readyState !== WebSocket.OPEN) return;
+    this._ws.send(JSON.stringify({ event: 'presence', data: this._presence }));
   }
 
   async createProject(name) {
@@ -177,6 +506,7 @@ class Store {
     return result;
   }
 
+  // Moves the project to the trash; see restoreProject
   async deleteProject(name) {
     await api(`/projects/${encodeURIComponent(name)}?session=${this.sessionCode}`, { method: 'DELETE' });
     await this.refreshProjectList();
@@ -186,11 +516,90 @@ class Store {
         await this._loadProject(this.currentProjectName);
       } else {
         this.currentProject = null;
+        this._watch();
       }
     }
     this._notify();
   }
 
+  async renameProject(name, newName) {
+    const project = await api(`/projects/${encodeURIComponent(name)}/rename`, { method: 'POST', body: { name: newName, session: this.sessionCode } });
+    await this.refreshProjectList();
+    // Its branches move along, the open one included
+    const open = this.currentProjectName && splitBranch(this.currentProjectName);
+    if (open && open.project === name) {
+      this.currentProjectName = open.branch ? `${project.name}${BRANCH_SEPARATOR}${open.branch}` : project.name;
+      this._watching = this.currentProjectName;
+      if (this.currentProject) this.currentProject.name = this.currentProjectName;
+      await this.refreshBranches();
+    }
+    this._notify();
+    return project;
+  }
+
+  // Opens the copy
+  async cloneProject(name, newName) {
+    const project = await api(`/projects/${encodeURIComponent(name)}/clone`, { method: 'POST', body: { name: newName, session: this.sessionCode } });
+    await this.refreshProjectList();
+    await this.selectProject(project.name);
+    return project;
+  }
+
+  // ---- BRANCHES ----
+
+  async refreshBranches() {
+    this._branchesOf = this.currentProjectName && splitBranch(this.currentProjectName).project;
+    this.branches = this._branchesOf ? await api(`/projects/${encodeURIComponent(this._branchesOf)}/branches`).catch(() => []) : [];
+  }
+
+  // Branches off the open project or branch, at `from` (a commit id) or its
+  // latest state, and opens the new branch
+  async createBranch(name, from) {
+    const branch = await api(`/projects/${encodeURIComponent(this.currentProjectName)}/branches`, {
+      method: 'POST', body: { name, from, session: this.sessionCode },
+    });
+    await this.refreshBranches();
+    await this.selectProject(branch.name);
+    return branch;
+  }
+
+  async deleteBranch(branch) {
+    const { project } = splitBranch(this.currentProjectName);
+    await api(`/projects/${encodeURIComponent(project)}/branches/${encodeURIComponent(branch)}?session=${this.sessionCode}`, { method: 'DELETE' });
+    await this.refreshBranches();
+    if (this.currentProjectName === `${project}${BRANCH_SEPARATOR}${branch}`) await this.selectProject(project);
+    else this._notify();
+  }
+
+  // Without `dryRun`, fails with a 409 carrying the conflicts unless
+  // `resolve` settles all of them; the merge lands on the project, which opens
+  async mergeBranch(branch, { resolve = {}, dryRun = false } = {}) {
+    const { project } = splitBranch(this.currentProjectName);
+    const result = await api(`/projects/${encodeURIComponent(project)}/branches/${encodeURIComponent(branch)}/merge`, {
+      method: 'POST', body: { resolve, dryRun, session: this.sessionCode },
+    });
+    if (!dryRun) {
+      await this.refreshBranches();
+      await this.selectProject(project);
+    }
+    return result;
+  }
+
+  // ---- MERGE PROJECTS ----
+
+  // Merges `source` into the open project; `dryRun` only returns the plan.
+  // `baseRevision` (the plan's `revision`) makes a changed project a 409.
+  async mergeProject(source, { strategy, resolve, dryRun = false, baseRevision } = {}) {
+    const result = await api(`/projects/${encodeURIComponent(source)}/merge`, {
+      method: 'POST', body: { target: this.currentProjectName, strategy, resolve, dryRun, baseRevision, session: this.sessionCode },
+    });
+    if (!dryRun) {
+      await this._loadProject(this.currentProjectName);
+      this._notify();
+    }
+    return result;
+  }
+
   // ---- CATEGORIES ----
 
   getCategories() {
@@ -211,20 +620,22 @@ class Store {
     if (!this.currentProject) return;
     const cat = this.currentProject.categories.find(c => c.id === catId);
     if (!cat) return;
-    await api(`/projects/${encodeURIComponent(this.currentProjectName)}/categories/${encodeURIComponent(cat.name)}?session=${this.sessionCode}`, { method: 'DELETE' });
+    const result = await api(`/projects/${encodeURIComponent(this.currentProjectName)}/categories/${encodeURIComponent(cat.name)}?session=${this.sessionCode}`, { method: 'DELETE' });
     await this._loadProject(this.currentProjectName);
     this._notify();
+    return result;
   }
 
   async renameCategory(catId, newName) {
     if (!this.currentProject) return;
     const cat = this.currentProject.categories.find(c => c.id === catId);
     if (!cat) return;
-    await api(`/projects/${encodeURIComponent(this.currentProjectName)}/categories/${encodeURIComponent(cat.name)}`, {
+    const result = await api(`/projects/${encodeURIComponent(this.currentProjectName)}/categories/${encodeURIComponent(cat.name)}`, {
       method: 'PUT', body: { newName, session: this.sessionCode },
     });
     await this._loadProject(this.currentProjectName);
     this._notify();
+    return result;
   }
 
   async toggleCategory(catId) {
@@ -233,18 +644,23 @@ class Store {
     const cat = this.currentProject.categories.find(c => c.id === catId);
     if (cat) cat.expanded = !cat.expanded;
     this._notify();
+    if (this.readOnly) return;
     // Sync to server (fire and forget)
-    api(`/projects/${encodeURIComponent(this.currentProjectName)}/categories/${catId}/toggle`, { method: 'POST' }).catch(() => {});
+    api(`/projects/${encodeURIComponent(this.currentProjectName)}/categories/${catId}/toggle`, {
+      method: 'POST', body: { session: this.sessionCode },
+    }).catch(() => {});
   }
 
   // ---- CHUNKS ----
 
   async addChunk(catId) {
     if (!this.currentProjectName) return null;
-    const result = await api(`/projects/${encodeURIComponent(this.currentProjectName)}/categories/${catId}/chunks/blank`, { method: 'POST' });
+    const result = await api(`/projects/${encodeURIComponent(this.currentProjectName)}/categories/${catId}/chunks/blank`, {
+      method: 'POST', body: { session: this.sessionCode },
+    });
     await this._loadProject(this.currentProjectName);
     this._notify();
-    return { categoryId: catId, chunkUid: result._uid };
+    return { categoryId: catId, chunkUid: result._uid, revision: result.revision };
   }
 
   getChunk(catId, chunkUid) {
@@ -254,32 +670,77 @@ class Store {
     return cat.chunks.find(ch => ch._uid === chunkUid) || null;
   }
 
-  async updateChunk(catId, chunkUid, data) {
+  // The category a chunk currently lives in, or null if it's gone.
+  findChunkCategory(chunkUid) {
+    const cat = this.getCategories().find(c => c.chunks.some(ch => ch._uid === chunkUid));
+    return cat ? cat.id : null;
+  }
+
+  // Saves are based on the revision this browser last saw for the chunk, so a
+  // change made elsewhere in the meantime comes back as a 409 conflict.
+  // Pass `baseRevision` explicitly to overwrite after resolving a conflict.
+  async updateChunk(catId, chunkUid, data, baseRevision) {
     if (!this.currentProjectName) return;
-    // Update locally for instant feedback
     const cat = this.currentProject?.categories.find(c => c.id === catId);
-    if (cat) {
-      const idx = cat.chunks.findIndex(ch => ch._uid === chunkUid);
-      if (idx !== -1) cat.chunks[idx] = { ...cat.chunks[idx], ...data };
-    }
-    await api(`/projects/${encodeURIComponent(this.currentProjectName)}/categories/${catId}/chunks/${chunkUid}`, {
-      method: 'PUT', body: { ...data, session: this.sessionCode },
+    const idx = cat ? cat.chunks.findIndex(ch => ch._uid === chunkUid) : -1;
+    const local = idx !== -1 ? cat.chunks[idx] : null;
+    const base = baseRevision ?? Math.max(this.currentProject?.revision || 0, local?._rev || 0);
+    const result = await api(`/projects/${encodeURIComponent(this.currentProjectName)}/categories/${catId}/chunks/${chunkUid}`, {
+      method: 'PUT', body: { ...data, baseRevision: base, session: this.sessionCode },
+    });
+    if (local) cat.chunks[idx] = { ...local, ...data, _rev: result.revision };
+    return result;
+  }
+
+  // Replace the in-memory copy of a chunk with a version fetched from the server.
+  replaceLocalChunk(catId, chunk) {
+    const cat = this.currentProject?.categories.find(c => c.id === catId);
+    if (!cat) return;
+    const idx = cat.chunks.findIndex(ch => ch._uid === chunk._uid);
+    if (idx !== -1) cat.chunks[idx] = chunk;
+  }
+
+  async getChunkHistory(chunkUid) {
+    if (!this.currentProjectName) return [];
+    return await api(`/projects/${encodeURIComponent(this.currentProjectName)}/chunks/${chunkUid}/history`);
+  }
+
+  async restoreChunk(chunkUid, commitId) {
+    if (!this.currentProjectName) return null;
+    const result = await api(`/projects/${encodeURIComponent(this.currentProjectName)}/chunks/${chunkUid}/restore`, {
+      method: 'POST', body: { commitId, session: this.sessionCode },
     });
+    await this._loadProject(this.currentProjectName);
+    this._notify();
+    return result;
   }
 
   async deleteChunk(catId, chunkUid) {
     if (!this.currentProjectName) return;
-    await api(`/projects/${encodeURIComponent(this.currentProjectName)}/categories/${catId}/chunks/${chunkUid}?session=${this.sessionCode}`, { method: 'DELETE' });
+    const result = await api(`/projects/${encodeURIComponent(this.currentProjectName)}/categories/${catId}/chunks/${chunkUid}?session=${this.sessionCode}`, { method: 'DELETE' });
     await this._loadProject(this.currentProjectName);
     this._notify();
+    return result;
   }
 
   async duplicateChunk(catId, chunkUid) {
     if (!this.currentProjectName) return null;
-    const result = await api(`/projects/${encodeURIComponent(this.currentProjectName)}/categories/${catId}/chunks/${chunkUid}/duplicate`, { method: 'POST' });
+    const result = await api(`/projects/${encodeURIComponent(this.currentProjectName)}/categories/${catId}/chunks/${chunkUid}/duplicate`, {
+      method: 'POST', body: { session: this.sessionCode },
+    });
+    await this._loadProject(this.currentProjectName);
+    this._notify();
+    return { categoryId: catId, chunkUid: result._uid, revision: result.revision };
+  }
+
+  async moveChunk(chunkId, targetCategory) {
+    if (!this.currentProjectName) return null;
+    const result = await api(`/projects/${encodeURIComponent(this.currentProjectName)}/chunks/${encodeURIComponent(chunkId)}/move`, {
+      method: 'POST', body: { targetCategory, session: this.sessionCode },
+    });
     await this._loadProject(this.currentProjectName);
     this._notify();
-    return { categoryId: catId, chunkUid: result._uid };
+    return result;
   }
 
   // ---- COUNTS ----
@@ -326,9 +787,34 @@ class Store {
     return await api(`/projects/${encodeURIComponent(this.currentProjectName)}/history`);
   }
 
-  async getCommitDetail(commitId) {
+  // Without `from`, the server diffs the commit against the one before it.
+  async getDiff(to, from) {
+    if (!this.currentProjectName) return null;
+    const params = new URLSearchParams({ to });
+    if (from) params.set('from', from);
+    return await api(`/projects/${encodeURIComponent(this.currentProjectName)}/diff?${params}`);
+  }
+
+  async revert(commitId, skipConflicts = false) {
+    if (!this.currentProjectName) return null;
+    const result = await api(`/projects/${encodeURIComponent(this.currentProjectName)}/history/${commitId}/revert`, {
+      method: 'POST', body: { skipConflicts, session: this.sessionCode },
+    });
+    await this._loadProject(this.currentProjectName);
+    this._notify();
+    return result;
+  }
+
+  async createTag(commitId, name, notes) {
     if (!this.currentProjectName) return null;
-    return await api(`/projects/${encodeURIComponent(this.currentProjectName)}/history/${commitId}`);
+    return await api(`/projects/${encodeURIComponent(this.currentProjectName)}/tags`, {
+      method: 'POST', body: { name, commitId, notes, session: this.sessionCode },
+    });
+  }
+
+  tagExportUrl(tag) {
+    const token = authToken();
+    return `/api/projects/${encodeURIComponent(this.currentProjectName)}/export?ref=${encodeURIComponent(tag)}${token ? `&token=${token}` : ''}`;
   }
 
   async rollback(commitId) {
@@ -340,6 +826,67 @@ class Store {
     this._notify();
     return result;
   }
+
+  // ---- WEBHOOKS ----
+
+  async listWebhooks() {
+    if (!this.currentProjectName) return [];
+    return await api(`/projects/${encodeURIComponent(this.currentProjectName)}/webhooks`);
+  }
+
+  async createWebhook({ url, secret, events }) {
+    return await api(`/projects/${encodeURIComponent(this.currentProjectName)}/webhooks`, {
+      method: 'POST', body: { url, secret, events },
+    });
+  }
+
+  async updateWebhook(id, fields) {
+    return await api(`/projects/${encodeURIComponent(this.currentProjectName)}/webhooks/${id}`, { method: 'PUT', body: fields });
+  }
+
+  async deleteWebhook(id) {
+    return await api(`/projects/${encodeURIComponent(this.currentProjectName)}/webhooks/${id}`, { method: 'DELETE' });
+  }
+
+  async getWebhookDeliveries(id) {
+    return await api(`/projects/${encodeURIComponent(this.currentProjectName)}/webhooks/${id}/deliveries`);
+  }
+
+  async testWebhook(id) {
+    return await api(`/projects/${encodeURIComponent(this.currentProjectName)}/webhooks/${id}/test`, { method: 'POST' });
+  }
+
+  // ---- TRASH ----
+
+  async listTrash() {
+    return await api('/trash');
+  }
+
+  async restoreProject(trashId, name) {
+    const project = await api(`/trash/${trashId}/restore`, { method: 'POST', body: { name, session: this.sessionCode } });
+    await this.refreshProjectList();
+    await this.selectProject(project.name);
+    return project;
+  }
+
+  async purgeTrash(trashId) {
+    return await api(`/trash/${trashId}`, { method: 'DELETE' });
+  }
+
+  // ---- SHARE LINKS ----
+
+  async listShares() {
+    if (!this.currentProjectName) return [];
+    return await api(`/projects/${encodeURIComponent(this.currentProjectName)}/shares`);
+  }
+
+  async createShare(name) {
+    return await api(`/projects/${encodeURIComponent(this.currentProjectName)}/shares`, { method: 'POST', body: { name } });
+  }
+
+  async revokeShare(id) {
+    return await api(`/projects/${encodeURIComponent(this.currentProjectName)}/shares/${id}`, { method: 'DELETE' });
+  }
 }
 
 // =============================================
@@ -350,14 +897,26 @@ class App {
     this.store = new Store();
     this.selected = null;
     this._onboardingStep = null;
+    this.undoStack = [];
+    this.redoStack = [];
     this._boot();
   }
 
   async _boot() {
     this._cacheEls();
     this._bindEvents();
+    if (!(await this.store.checkAuth())) await this._showSignInModal();
+    if (SHARE_TOKEN && !this.store.readOnly) this._toast('This share link is no longer valid', 'error');
+    if (this.store.readOnly) {
+      document.body.classList.add('read-only');
+      this.els.projectSelect.disabled = true;
+    }
     await this.store.init();
-    this.store.onChange(() => this.render());
+    this.store.onChange(change => {
+      if (change?.presence) this._renderPresence();
+      else if (change?.remote) this._renderRemoteChange(change);
+      else this.render();
+    });
     this.render();
     this._renderSessionCode();
     this._initOnboarding();
@@ -367,6 +926,8 @@ class App {
     this.els = {
       projectSelect: $('#projectSelect'),
       newProjectBtn: $('#newProjectBtn'),
+      renameProjectBtn: $('#renameProjectBtn'),
+      cloneProjectBtn: $('#cloneProjectBtn'),
       deleteProjectBtn: $('#deleteProjectBtn'),
       addCategoryBtn: $('#addCategoryBtn'),
       newCategoryWrap: $('#newCategoryWrap'),
@@ -389,21 +950,47 @@ class App {
       sessionCode: $('#sessionCode'),
       mcpStatus: $('#mcpStatus'),
       historyBtn: $('#historyBtn'),
+      webhooksBtn: $('#webhooksBtn'),
+      shareBtn: $('#shareBtn'),
       historyDrawer: $('#historyDrawer'),
       historyCloseBtn: $('#historyCloseBtn'),
       historyList: $('#historyList'),
+      presenceList: $('#presenceList'),
+      sessionBindBtn: $('#sessionBindBtn'),
+      mergeProjectBtn: $('#mergeProjectBtn'),
+      branchSelect: $('#branchSelect'),
+      mergeBranchBtn: $('#mergeBranchBtn'),
     };
   }
 
   _bindEvents() {
     this.els.projectSelect.addEventListener('change', async (e) => {
+      if (e.target.value === TRASH_OPTION) {
+        this._renderProjectSelect();
+        this._showTrashModal();
+        return;
+      }
+      this.selected = null;
+      await this.store.selectProject(e.target.value);
+    });
+
+    this.els.branchSelect.addEventListener('change', async (e) => {
+      if (e.target.value === NEW_BRANCH_OPTION) {
+        this._renderBranchSelect();
+        this._showNewBranchModal();
+        return;
+      }
       this.selected = null;
       await this.store.selectProject(e.target.value);
     });
+    this.els.mergeBranchBtn.addEventListener('click', () => this._showMergeBranchModal());
 
     this.els.newProjectBtn.addEventListener('click', () => this._showNewProjectModal());
     this.els.importProjectBtn.addEventListener('click', () => this.els.importFileInput.click());
     this.els.importFileInput.addEventListener('change', (e) => this._handleImport(e));
+    this.els.renameProjectBtn.addEventListener('click', () => this._showRenameProjectModal());
+    this.els.cloneProjectBtn.addEventListener('click', () => this._showCloneProjectModal());
+    this.els.mergeProjectBtn.addEventListener('click', () => this._showMergeProjectModal());
     this.els.deleteProjectBtn.addEventListener('click', () => this._handleDeleteProject());
 
     this.els.addCategoryBtn.addEventListener('click', () => this._showCategoryInput());
@@ -428,33 +1015,142 @@ class App {
     this.els.historyBtn.addEventListener('click', () => this._toggleHistory());
     this.els.historyCloseBtn.addEventListener('click', () => this._closeHistory());
     this.els.historyList.addEventListener('click', (e) => this._handleHistoryClick(e));
+    this.els.webhooksBtn.addEventListener('click', () => this._showWebhooksModal());
+    this.els.shareBtn.addEventListener('click', () => this._showShareModal());
+    this.els.sessionBindBtn.addEventListener('click', () => this._toggleSessionBinding());
+    this.els.presenceList.addEventListener('click', (e) => {
+      if (!e.target.closest('[data-action="rename-self"]') || this.store.readOnly) return;
+      if (this.store.user) this._showAccountModal();
+      else this._showNameModal();
+    });
 
     this.els.modalOverlay.addEventListener('click', (e) => {
-      if (e.target === this.els.modalOverlay) this._closeModal();
+      if (e.target === this.els.modalOverlay && !this._signingIn) this._closeModal();
     });
 
     document.addEventListener('keydown', (e) => {
       if (e.key === 'Escape') this._closeModal();
     });
+
+    // Ctrl+Z / Ctrl+Shift+Z (or Ctrl+Y). Text fields keep their own native undo.
+    document.addEventListener('keydown', (e) => {
+      if (!(e.ctrlKey || e.metaKey) || e.altKey) return;
+      const key = e.key.toLowerCase();
+      if (key !== 'z' && key !== 'y') return;
+      if (e.target.closest('input, textarea, [contenteditable="true"]')) return;
+      if (!this.els.modalOverlay.classList.contains('hidden')) return;
+      e.preventDefault();
+      if (key === 'y' || e.shiftKey) this._redo();
+      else this._undo();
+    });
   }
 
   // ---- RENDER ----
 
   render() {
     this._renderProjectSelect();
+    this._renderBranchSelect();
     this._renderCategories();
     this._renderContent();
     this._renderChunkCount();
     this._renderMcpStatus();
+    this._renderSessionCode();
+    this._renderPresence();
+    this._reportPresence();
     if (this._onboardingStep !== null) {
       setTimeout(() => this._showOnboardingStep(), 50);
     }
   }
 
+  // A change made elsewhere: redraw the sidebar where it was scrolled to, and
+  // the editor only when its chunk was part of the change and has no unsaved
+  // edits (saving those later reports the conflict).
+  _renderRemoteChange(change) {
+    const scrollTop = this.els.categoryTree.scrollTop;
+    this._renderCategories();
+    this.els.categoryTree.scrollTop = scrollTop;
+    if (this.els.chunkSearchInput.value.trim()) this._filterChunks();
+    this._renderChunkCount();
+
+    if (!this.selected) return;
+    const { chunkUid, categoryId } = this.selected;
+    if (!change.chunks.has(chunkUid) && !change.categories.has(categoryId)) return;
+    const currentCat = this.store.findChunkCategory(chunkUid);
+    if (!currentCat) {
+      this.selected = null;
+      this._renderContent();
+      this._toast('The chunk you were editing was deleted elsewhere.', 'info');
+      return;
+    }
+    this.selected.categoryId = currentCat;
+    if ($('#chunkId')) {
+      const values = this._readEditorValues();
+      if (!this._isChunkEdited(values)) return;
+      const previous = change.previous.get(chunkUid);
+      if (previous && this._isChunkEdited(values, previous)) return;
+    }
+    this._renderContent();
+  }
+
+  // Avatars of everyone on this project, markers on the chunks they have open,
+  // and a banner in the editor when someone else is on the same chunk.
+  _renderPresence() {
+    const others = this.store.getCollaborators();
+    const self = { id: this.store.clientId, name: this.store.userName, type: 'browser' };
+    this.els.presenceList.innerHTML = [self, ...others].map(p => this._presenceAvatar(p, p === self)).join('');
+
+    this.els.categoryTree.querySelectorAll('.chunk-presence').forEach(el => {
+      el.innerHTML = others.filter(p => p.chunkUid === el.dataset.chunkUid).map(p => this._presenceAvatar(p)).join('');
+    });
+
+    const banner = $('#editorPresence');
+    if (!banner) return;
+    const here = this.selected ? others.filter(p => p.chunkUid === this.selected.chunkUid) : [];
+    const editing = here.filter(p => p.editing);
+    banner.classList.toggle('hidden', !here.length);
+    banner.classList.toggle('editor-presence--editing', editing.length > 0);
+    banner.innerHTML = editing.length
+      ? `<i class="bi bi-pencil-fill"></i> Being edited by ${this._esc(editing.map(p => p.name).join(', '))} — saving now may overwrite their changes`
+      : `<i class="bi bi-eye"></i> Also open for ${this._esc(here.map(p => p.name).join(', '))}`;
+  }
+
+  _presenceAvatar(p, self = false) {
+    const hue = [...(p.id || p.name)].reduce((h, c) => (h * 31 + c.charCodeAt(0)) % 360, 0);
+    const title = self ? `${p.name} (you) — click to ${this.store.user ? 'sign out' : 'change your name'}` : `${p.name}${p.type === 'mcp' ? ' (MCP)' : ''}${p.editing ? ' — editing' : ''}`;
+    const label = p.type === 'mcp' ? '<i class="bi bi-robot"></i>' : this._esc(p.name.trim().charAt(0).toUpperCase() || '?');
+    const classes = ['presence-avatar', self && 'presence-avatar--self', p.editing && 'presence-avatar--editing'].filter(Boolean).join(' ');
+    return `<span class="${classes}" style="--presence-hue:${hue}" title="${this._escAttr(title)}"${self ? ' data-action="rename-self"' : ''}>${label}</span>`;
+  }
+
+  // Tell others which chunk is open here and whether it has unsaved edits
+  _reportPresence() {
+    const open = this.selected && $('#chunkId');
+    this.store.setPresence({
+      chunkUid: this.selected?.chunkUid,
+      editing: !!open && this._isChunkEdited(this._readEditorValues()),
+    });
+  }
+
   _renderSessionCode() {
     if (this.els.sessionCode) {
       this.els.sessionCode.textContent = this.store.sessionCode || '...';
     }
+    const bound = this.store.sessionProject;
+    const btn = this.els.sessionBindBtn;
+    btn.classList.toggle('active', !!bound);
+    btn.innerHTML = `<i class="bi bi-pin-angle${bound ? '-fill' : ''}"></i>`;
+    btn.title = bound ? `Session bound to "${bound}" — click to unbind` : 'Bind this session to the open project';
+    btn.disabled = !bound && !this.store.currentProjectName;
+  }
+
+  async _toggleSessionBinding() {
+    const bound = this.store.sessionProject;
+    try {
+      await this.store.bindSession(bound ? null : this.store.currentProjectName);
+      this._toast(bound ? 'Session unbound.' : `Session bound to "${this.store.sessionProject}".`, 'success');
+    } catch (err) {
+      this._toast(err.message, 'error');
+    }
   }
 
   _renderMcpStatus() {
@@ -466,12 +1162,14 @@ class App {
 
   _renderProjectSelect() {
     const projects = this.store.getProjects();
-    const currentName = this.store.currentProjectName;
+    const currentName = this.store.currentProjectName && splitBranch(this.store.currentProjectName).project;
     let html = '<option value="" disabled>— Select Project —</option>';
     for (const p of projects) {
       const sel = p.name === currentName ? 'selected' : '';
       html += `<option value="${this._escAttr(p.name)}" ${sel}>${this._esc(p.name)}</option>`;
     }
+    const user = this.store.user;
+    if (!this.store.readOnly && (!user || user.role === 'admin')) html += `<option value="${TRASH_OPTION}">Trash…</option>`;
     this.els.projectSelect.innerHTML = html;
     if (currentName) {
       this.els.projectSelect.value = currentName;
@@ -480,6 +1178,21 @@ class App {
     }
   }
 
+  // "main" is the project itself; the other entries open its branches
+  _renderBranchSelect() {
+    const current = this.store.currentProjectName;
+    this.els.branchSelect.parentElement.classList.toggle('hidden', !current);
+    this.els.mergeBranchBtn.classList.toggle('hidden', !current || !splitBranch(current).branch);
+    if (!current) return;
+    let html = `<option value="${this._escAttr(splitBranch(current).project)}">main</option>`;
+    for (const b of this.store.branches) {
+      html += `<option value="${this._escAttr(b.project)}">${this._esc(b.name)}</option>`;
+    }
+    if (!this.store.readOnly) html += `<option value="${NEW_BRANCH_OPTION}">New branch…</option>`;
+    this.els.branchSelect.innerHTML = html;
+    this.els.branchSelect.value = current;
+  }
+
   _renderCategories() {
     const cats = this.store.getCategories();
     if (!this.store.getCurrentProject()) {
@@ -510,6 +1223,7 @@ class App {
             <span class="category-count">${cat.chunks.length}</span>
             <div class="category-actions">
               <button class="btn-icon btn-icon--accent" data-action="add-chunk" data-cat-id="${cat.id}" title="Add Chunk"><i class="bi bi-plus-lg"></i></button>
+              <button class="btn-icon" data-action="rename-cat" data-cat-id="${cat.id}" title="Rename Category"><i class="bi bi-pencil"></i></button>
               <button class="btn-icon btn-icon--danger" data-action="delete-cat" data-cat-id="${cat.id}" title="Delete Category"><i class="bi bi-trash3"></i></button>
             </div>
           </div>
@@ -522,6 +1236,7 @@ class App {
             <div class="chunk-item ${isSelected ? 'selected' : ''}" data-action="select-chunk" data-cat-id="${cat.id}" data-chunk-uid="${chunk._uid}">
               <i class="bi bi-file-earmark-text chunk-item-icon"></i>
               <span class="chunk-item-name">${this._esc(label)}</span>
+              <span class="chunk-presence" data-chunk-uid="${chunk._uid}"></span>
               <button class="btn-icon btn-icon--danger chunk-item-delete" data-action="delete-chunk" data-cat-id="${cat.id}" data-chunk-uid="${chunk._uid}" title="Delete"><i class="bi bi-x-lg"></i></button>
             </div>`;
       }
@@ -534,6 +1249,7 @@ class App {
         </div>`;
     }
     this.els.categoryTree.innerHTML = html;
+    this._renderPresence();
 
     for (const cat of cats) {
       const el = $(`#chunks-${cat.id}`);
@@ -543,7 +1259,8 @@ class App {
     }
   }
 
-  _renderContent() {
+  // `draft` (optional) shows unsaved field values in the editor instead of the stored chunk.
+  _renderContent(draft) {
     const project = this.store.getCurrentProject();
 
     if (!project) {
@@ -583,12 +1300,13 @@ class App {
       return;
     }
 
-    const chunk = this.store.getChunk(this.selected.categoryId, this.selected.chunkUid);
-    if (!chunk) {
+    const stored = this.store.getChunk(this.selected.categoryId, this.selected.chunkUid);
+    if (!stored) {
       this.selected = null;
       this._renderContent();
       return;
     }
+    const chunk = draft ? { ...stored, ...draft } : stored;
 
     const customFieldsHtml = (chunk.customFields || []).map((cf, i) => `
       <div class="custom-field-row">
@@ -605,16 +1323,27 @@ class App {
             <i class="bi bi-file-earmark-code"></i>
             Chunk Editor
           </div>
+          <div class="editor-tabs">
+            <button class="editor-tab active" data-tab="edit"><i class="bi bi-pencil"></i> Edit</button>
+            <button class="editor-tab" data-tab="history"><i class="bi bi-clock-history"></i> History</button>
+          </div>
           <div class="editor-actions">
             <button class="btn btn-ghost" id="duplicateChunkBtn" title="Duplicate">
               <i class="bi bi-copy"></i> Duplicate
             </button>
+            <button class="btn btn-ghost" id="moveChunkBtn" title="Move to another category">
+              <i class="bi bi-folder-symlink"></i> Move
+            </button>
             <button class="btn btn-danger" id="deleteChunkBtn">
               <i class="bi bi-trash3"></i> Delete
             </button>
           </div>
         </div>
+        <div class="editor-presence hidden" id="editorPresence"></div>
 
+        <div id="editorHistoryPane" class="chunk-history hidden"></div>
+
+        <div id="editorEditPane">
         <div class="editor-card">
           <div class="editor-card-title"><i class="bi bi-tag"></i> Core Data</div>
           <div class="field-group">
@@ -660,6 +1389,7 @@ class App {
             <i class="bi bi-check-lg"></i> Save Chunk
           </button>
         </div>
+        </div>
       </div>`;
 
     this._bindEditorEvents();
@@ -675,13 +1405,16 @@ class App {
     const saveBtn = $('#saveChunkBtn');
     const deleteBtn = $('#deleteChunkBtn');
     const duplicateBtn = $('#duplicateChunkBtn');
+    const moveBtn = $('#moveChunkBtn');
     const addCfBtn = $('#addCustomFieldBtn');
     const cfContainer = $('#customFieldsContainer');
 
     if (saveBtn) saveBtn.addEventListener('click', () => this._saveCurrentChunk());
     if (deleteBtn) deleteBtn.addEventListener('click', () => this._deleteCurrentChunk());
     if (duplicateBtn) duplicateBtn.addEventListener('click', () => this._duplicateCurrentChunk());
+    if (moveBtn) moveBtn.addEventListener('click', () => this._showMoveChunkModal());
     if (addCfBtn) addCfBtn.addEventListener('click', () => this._addCustomField());
+    $$('.editor-tab').forEach(tab => tab.addEventListener('click', () => this._switchEditorTab(tab.dataset.tab)));
 
     const chunkText = $('#chunkText');
     const charCount = $('#charCount');
@@ -695,6 +1428,9 @@ class App {
       });
     }
 
+    const editor = $('.chunk-editor');
+    if (editor) editor.addEventListener('input', () => this._reportPresence());
+
     if (cfContainer) {
       cfContainer.addEventListener('click', (e) => {
         const btn = e.target.closest('[data-action="remove-cf"]');
@@ -705,8 +1441,10 @@ class App {
       });
     }
 
+    if (this.store.readOnly) $$('#editorEditPane input, #editorEditPane textarea').forEach(el => { el.readOnly = true; });
+
     const handler = (e) => {
-      if ((e.ctrlKey || e.metaKey) && e.key === 's') {
+      if ((e.ctrlKey || e.metaKey) && e.key === 's' && !this.store.readOnly) {
         e.preventDefault();
         this._saveCurrentChunk();
       }
@@ -714,6 +1452,9 @@ class App {
     if (this._ctrlSHandler) document.removeEventListener('keydown', this._ctrlSHandler);
     this._ctrlSHandler = handler;
     document.addEventListener('keydown', handler);
+
+    this._renderPresence();
+    this._reportPresence();
   }
 
   // ---- TREE CLICK HANDLER ----
@@ -734,6 +1475,10 @@ class App {
         e.stopPropagation();
         this._handleAddChunk(catId);
         break;
+      case 'rename-cat':
+        e.stopPropagation();
+        this._handleRenameCategory(catId);
+        break;
       case 'delete-cat':
         e.stopPropagation();
         this._handleDeleteCategory(catId);
@@ -814,13 +1559,84 @@ class App {
     reader.readAsText(file);
   }
 
-  _handleDeleteProject() {
+  // On a branch, renames the project it belongs to; branches move with it
+  _showRenameProjectModal() {
+    if (!this.store.getCurrentProject()) return;
+    const { project } = splitBranch(this.store.currentProjectName);
+    this._showProjectNameModal({
+      title: '<i class="bi bi-input-cursor-text"></i> Rename Project',
+      text: `New name for <strong>${this._esc(project)}</strong>. Its history, tags, branches, webhooks and share links move with it, and everyone who has it open follows along.`,
+      value: project,
+      confirm: '<i class="bi bi-check-lg"></i> Rename',
+      run: async name => {
+        await this.store.renameProject(project, name);
+        this._toast('Project renamed.', 'success');
+      },
+    });
+  }
+
+  _showCloneProjectModal() {
     const project = this.store.getCurrentProject();
     if (!project) return;
+    this._showProjectNameModal({
+      title: '<i class="bi bi-files"></i> Clone Project',
+      text: `Copy <strong>${this._esc(project.name)}</strong> with its whole history to experiment on. Changes to the copy leave the original untouched.`,
+      value: `${project.name} copy`,
+      confirm: '<i class="bi bi-files"></i> Clone',
+      run: async name => {
+        this.selected = null;
+        await this.store.cloneProject(project.name, name);
+        this._toast('Project cloned — you are now in the copy.', 'success');
+      },
+    });
+  }
+
+  // Modal asking for a project name; `run(name)` does the work and closes it on success
+  _showProjectNameModal({ title, text, value, confirm, run }) {
+    this.els.modalContent.innerHTML = `
+      <div class="modal-title">${title}</div>
+      <p class="modal-text">${text}</p>
+      <input class="modal-input" type="text" id="modalProjectName" maxlength="100" value="${this._escAttr(value)}">
+      <div class="modal-actions">
+        <button class="btn btn-secondary" id="modalCancel">Cancel</button>
+        <button class="btn btn-accent" id="modalConfirm">${confirm}</button>
+      </div>`;
+    this.els.modalOverlay.classList.remove('hidden');
+
+    const input = $('#modalProjectName');
+    setTimeout(() => { input.focus(); input.select(); }, 100);
+
+    const submit = async () => {
+      const name = input.value.trim();
+      if (!name) { input.style.borderColor = 'var(--danger)'; return; }
+      try {
+        await run(name);
+        this._closeModal();
+      } catch (err) {
+        this._toast(err.message, 'error');
+      }
+    };
+
+    $('#modalConfirm').addEventListener('click', submit);
+    $('#modalCancel').addEventListener('click', () => this._closeModal());
+    input.addEventListener('keydown', (e) => {
+      if (e.key === 'Enter') submit();
+      if (e.key === 'Escape') this._closeModal();
+    });
+  }
+
+  _handleDeleteProject() {
+    const project = this.store.getCurrentProject();
+    if (!project) return;
+    const { branch } = splitBranch(project.name);
+    if (branch) {
+      this._handleDeleteBranch(branch);
+      return;
+    }
 
     this.els.modalContent.innerHTML = `
       <div class="modal-title"><i class="bi bi-exclamation-triangle" style="color:var(--danger)"></i> Delete Project</div>
-      <p class="modal-text">Are you sure you want to delete <strong>${this._esc(project.name)}</strong>? This cannot be undone.</p>
+      <p class="modal-text">Delete <strong>${this._esc(project.name)}</strong>? It moves to the trash with its history, and can be restored from <em>Trash…</em> in the project list until it is purged.</p>
       <div class="modal-actions">
         <button class="btn btn-secondary" id="modalCancel">Cancel</button>
         <button class="btn btn-danger" id="modalConfirm"><i class="bi bi-trash3"></i> Delete</button>
@@ -828,12 +1644,271 @@ class App {
     this.els.modalOverlay.classList.remove('hidden');
 
     $('#modalConfirm').addEventListener('click', async () => {
-      this.selected = null;
-      await this.store.deleteProject(project.name);
+      try {
+        await this.store.deleteProject(project.name);
+        this.selected = null;
+        this._closeModal();
+        this._toast('Project moved to the trash.', 'info');
+      } catch (err) {
+        this._toast(err.message, 'error');
+      }
+    });
+    $('#modalCancel').addEventListener('click', () => this._closeModal());
+  }
+
+  // Merge another project into the open one. The preview is refreshed on
+  // every choice, so each conflict shows how it will be settled.
+  _showMergeProjectModal() {
+    const project = this.store.getCurrentProject();
+    if (!project) return;
+    const sources = this.store.getProjects().filter(p => p.name !== splitBranch(project.name).project);
+    if (!sources.length) { this._toast('There is no other project to merge from', 'warning'); return; }
+    const resolve = {};
+
+    this.els.modalContent.classList.add('modal--merge');
+    this.els.modalContent.innerHTML = `
+      <div class="modal-title"><i class="bi bi-union"></i> Merge Project</div>
+      <p class="modal-text">Copy the categories and chunks of another project into <strong>${this._esc(project.name)}</strong>. Chunks whose ID is already used here are conflicts: choose how to settle them all, then change any one of them.</p>
+      <div class="merge-options">
+        <select class="modal-input" id="mergeSource">
+          ${sources.map(p => `<option value="${this._escAttr(p.name)}">${this._esc(p.name)}</option>`).join('')}
+        </select>
+        <select class="modal-input" id="mergeStrategy">
+          ${Object.entries(MERGE_STRATEGIES).map(([value, label]) => `<option value="${value}">${this._esc(label)}</option>`).join('')}
+        </select>
+      </div>
+      <div class="merge-plan" id="mergePlan"></div>
+      <div class="modal-actions">
+        <button class="btn btn-secondary" id="modalCancel">Cancel</button>
+        <button class="btn btn-accent" id="modalConfirm"><i class="bi bi-union"></i> Merge</button>
+      </div>`;
+    this.els.modalOverlay.classList.remove('hidden');
+
+    const list = $('#mergePlan');
+    const sourceSelect = $('#mergeSource');
+    const strategySelect = $('#mergeStrategy');
+    const snippet = ch => {
+      const text = ch.text || '';
+      return text.length > 80 ? text.slice(0, 80) + '…' : text || '(no text)';
+    };
+    const outcome = e => {
+      if (e.action === 'skip') return e.strategy === 'keep-newer' ? "Kept — this project's is newer" : 'Kept as it is';
+      if (e.action === 'overwrite') return e.strategy === 'keep-newer' ? 'Replaced — the other one is newer' : 'Replaced';
+      if (e.action === 'rename-with-suffix') return `Added as "${e.newId}"`;
+      return e.filled.length ? `Fills in ${e.filled.join(', ')}` : 'Nothing to fill in; kept as it is';
+    };
+
+    let seq = 0;
+    let previewed = null; // the plan on screen; merging applies it only if the project is still at its revision
+    const preview = async () => {
+      const current = ++seq;
+      previewed = null;
+      list.innerHTML = '<div class="history-diff-loading"><i class="bi bi-arrow-repeat spin"></i> Loading...</div>';
+      let plan;
+      try {
+        plan = await this.store.mergeProject(sourceSelect.value, { strategy: strategySelect.value, resolve, dryRun: true });
+      } catch (err) {
+        if (current === seq) list.innerHTML = `<div class="history-diff-loading">${this._esc(err.message)}</div>`;
+        return;
+      }
+      if (current !== seq) return;
+      previewed = plan;
+      const conflicts = plan.plan.filter(e => e.conflict);
+      list.innerHTML = `
+        <div class="history-diff-list">
+          <div class="history-diff history-diff--added">
+            <i class="bi bi-plus-circle history-diff-icon"></i>
+            <span class="history-diff-text">${plan.chunksAdded} new chunk(s), ${plan.categoriesMerged} new categor${plan.categoriesMerged === 1 ? 'y' : 'ies'}</span>
+          </div>
+          <div class="history-diff history-diff--modified">
+            <i class="bi bi-exclamation-triangle history-diff-icon"></i>
+            <span class="history-diff-text">${plan.conflicts} conflict(s); ${plan.plan.filter(e => e.action === 'identical').length} identical chunk(s) left alone</span>
+          </div>
+        </div>
+        ${conflicts.map(e => `
+          <div class="merge-conflict">
+            <div class="merge-conflict-main">
+              <i class="bi bi-file-text"></i>
+              <span class="merge-conflict-name">Chunk "${this._esc(e.id)}" — ${this._esc(outcome(e))}</span>
+              <select class="merge-resolve" data-id="${this._escAttr(e.id)}">
+                <option value="">As chosen above</option>
+                ${Object.entries(MERGE_STRATEGIES).map(([value, label]) => `<option value="${value}" ${resolve[e.id] === value ? 'selected' : ''}>${this._esc(label)}</option>`).join('')}
+              </select>
+            </div>
+            <div class="merge-conflict-side">Here, in "${this._esc(e.targetCategory)}": ${this._esc(snippet(e.target))}</div>
+            <div class="merge-conflict-side">Theirs, in "${this._esc(e.category)}": ${this._esc(snippet(e.source))}</div>
+          </div>`).join('')}`;
+    };
+
+    list.addEventListener('change', (e) => {
+      const select = e.target.closest('.merge-resolve');
+      if (!select) return;
+      if (select.value) resolve[select.dataset.id] = select.value;
+      else delete resolve[select.dataset.id];
+      preview();
+    });
+    sourceSelect.addEventListener('change', () => {
+      Object.keys(resolve).forEach(id => delete resolve[id]); // chunk IDs of another project
+      preview();
+    });
+    strategySelect.addEventListener('change', preview);
+    $('#modalConfirm').addEventListener('click', async () => {
+      if (!previewed) return;
+      try {
+        const result = await this.store.mergeProject(sourceSelect.value, { strategy: strategySelect.value, resolve, baseRevision: previewed.revision });
+        this._closeModal();
+        const changed = result.chunksAdded + result.chunksOverwritten + result.chunksRenamed + result.chunksMetadataMerged;
+        this._toast(changed ? `Merged ${changed} chunk(s) from ${sourceSelect.value}` : 'Nothing to merge', changed ? 'success' : 'warning');
+      } catch (err) {
+        if (err.status === 409) {
+          this._toast(`${project.name} changed since the preview; check the new plan and merge again`, 'warning');
+          preview();
+          return;
+        }
+        this._toast('Merge failed: ' + err.message, 'error');
+      }
+    });
+    $('#modalCancel').addEventListener('click', () => this._closeModal());
+    preview();
+  }
+
+  // ---- BRANCHES ----
+
+  // From the latest state of the open project or branch, or from one of its commits
+  _showNewBranchModal(commitId) {
+    if (!this.store.getCurrentProject()) return;
+    const { project, branch } = splitBranch(this.store.currentProjectName);
+    const source = `<strong>${this._esc(branch || project)}</strong>${commitId ? ` at commit <code>${this._esc(commitId.slice(0, 7))}</code>` : ''}`;
+    this._showProjectNameModal({
+      title: '<i class="bi bi-git"></i> New Branch',
+      text: `Start a branch from ${source}. It is a copy to work on like any project; merge it back into main when it is ready.`,
+      value: '',
+      confirm: '<i class="bi bi-git"></i> Create Branch',
+      run: async name => {
+        this.selected = null;
+        await this.store.createBranch(name, commitId);
+        this._toast('Branch created — you are now on it.', 'success');
+      },
+    });
+  }
+
+  _handleDeleteBranch(branch) {
+    this.els.modalContent.innerHTML = `
+      <div class="modal-title"><i class="bi bi-exclamation-triangle" style="color:var(--danger)"></i> Delete Branch</div>
+      <p class="modal-text">Delete branch <strong>${this._esc(branch)}</strong> and its history? Anything not merged into main is lost; deleted branches can't be restored.</p>
+      <div class="modal-actions">
+        <button class="btn btn-secondary" id="modalCancel">Cancel</button>
+        <button class="btn btn-danger" id="modalConfirm"><i class="bi bi-trash3"></i> Delete</button>
+      </div>`;
+    this.els.modalOverlay.classList.remove('hidden');
+
+    $('#modalConfirm').addEventListener('click', async () => {
+      try {
+        await this.store.deleteBranch(branch);
+        this.selected = null;
+        this._closeModal();
+        this._toast('Branch deleted.', 'info');
+      } catch (err) {
+        this._toast(err.message, 'error');
+      }
+    });
+    $('#modalCancel').addEventListener('click', () => this._closeModal());
+  }
+
+  // Preview of merging the open branch into main. Each conflict is settled by
+  // picking a side; the merge runs once all of them are.
+  async _showMergeBranchModal() {
+    const { branch } = splitBranch(this.store.currentProjectName || '');
+    if (!branch) return;
+    let plan;
+    try {
+      plan = await this.store.mergeBranch(branch, { dryRun: true });
+    } catch (err) {
+      this._toast(err.message, 'error');
+      return;
+    }
+    const conflicts = new Map(plan.conflicts.map(c => [c.key, c]));
+    const resolve = {};
+
+    this.els.modalContent.classList.add('modal--merge');
+    this.els.modalContent.innerHTML = `
+      <div class="modal-title"><i class="bi bi-sign-merge-left"></i> Merge Branch</div>
+      <p class="modal-text">Bring the changes made on <strong>${this._esc(branch)}</strong> into main.</p>
+      <div class="merge-plan" id="mergePlan"></div>
+      <div class="modal-actions">
+        <button class="btn btn-danger" id="mergeDeleteBranch"><i class="bi bi-trash3"></i> Delete Branch</button>
+        <button class="btn btn-secondary" id="modalCancel">Cancel</button>
+        <button class="btn btn-accent" id="modalConfirm"><i class="bi bi-sign-merge-left"></i> Merge</button>
+      </div>`;
+    this.els.modalOverlay.classList.remove('hidden');
+
+    const list = $('#mergePlan');
+    const side = (c, choice) => {
+      const value = c[choice];
+      if (c.kind === 'category') return value ? `"${value}"` : 'deleted';
+      if (!value) return 'deleted';
+      const text = value.chunk.text || '';
+      return `in "${value.category}": ${text.length > 80 ? text.slice(0, 80) + '…' : text || '(no text)'}`;
+    };
+    const render = () => {
+      const changes = plan.changes.map(c => this._describeChange(c));
+      list.innerHTML = `
+        <div class="history-diff-list">
+          ${changes.length ? changes.map(d => `
+            <div class="history-diff history-diff--${d.type}">
+              <i class="bi bi-${d.type === 'added' ? 'plus-circle' : d.type === 'deleted' ? 'dash-circle' : 'pencil'} history-diff-icon"></i>
+              <span class="history-diff-text">${this._esc(d.text)}</span>
+            </div>`).join('') : `<div class="history-diff-loading">${conflicts.size ? 'Nothing merges without settling the conflicts below.' : 'Main already has everything on this branch.'}</div>`}
+        </div>
+        ${[...conflicts.values()].map(c => `
+          <div class="merge-conflict">
+            <div class="merge-conflict-main">
+              <i class="bi bi-exclamation-triangle" style="color:var(--warning)"></i>
+              <span>${this._esc(c.kind === 'category' ? `Category "${c.name}"` : `Chunk "${c.id || c.uid}"`)}: ${this._esc(c.reason)}</span>
+            </div>
+            <div class="history-commit-actions">
+              ${c.choices.map(choice => `
+                <button class="history-tag-btn merge-choice${resolve[c.key] === choice ? ' merge-choice--picked' : ''}" data-key="${this._escAttr(c.key)}" data-choice="${choice}">
+                  <i class="bi bi-${resolve[c.key] === choice ? 'check-circle-fill' : 'circle'}"></i>
+                  ${choice === 'main' ? 'Keep main' : 'Take branch'} — ${this._esc(side(c, choice))}
+                </button>`).join('')}
+            </div>
+          </div>`).join('')}`;
+      $('#modalConfirm').disabled = [...conflicts.keys()].some(key => !resolve[key]);
+    };
+
+    list.addEventListener('click', (e) => {
+      const btn = e.target.closest('.merge-choice');
+      if (!btn) return;
+      resolve[btn.dataset.key] = btn.dataset.choice;
+      render();
+    });
+    $('#modalConfirm').addEventListener('click', async () => {
+      try {
+        const result = await this.store.mergeBranch(branch, { resolve });
+        this.selected = null;
+        this._closeModal();
+        this._toast(result.merged ? `Merged ${result.merged} change(s) into main — you are now on main.` : 'Nothing to merge', result.merged ? 'success' : 'warning');
+      } catch (err) {
+        if (err.status !== 409 || !err.data?.conflicts) {
+          this._toast('Merge failed: ' + err.message, 'error');
+          return;
+        }
+        // Main changed meanwhile, or a side picked brought up another conflict
+        for (const c of err.data.conflicts) {
+          conflicts.set(c.key, c);
+          if (!c.choices.includes(resolve[c.key])) delete resolve[c.key];
+        }
+        this._toast('There are more conflicts to settle', 'warning');
+        render();
+      }
+    });
+    $('#mergeDeleteBranch').addEventListener('click', () => {
       this._closeModal();
-      this._toast('Project deleted.', 'info');
+      this._handleDeleteBranch(branch);
     });
     $('#modalCancel').addEventListener('click', () => this._closeModal());
+    render();
   }
 
   // ---- CATEGORY ACTIONS ----
@@ -854,7 +1929,8 @@ class App {
     const name = this.els.newCategoryName.value.trim();
     if (!name) return;
     try {
-      await this.store.addCategory(name);
+      const result = await this.store.addCategory(name);
+      this._recordUndo(`create category "${name}"`, result);
       this._hideCategoryInput();
       this._toast(`Category "${name}" created!`, 'success');
       this._advanceOnboarding(1);
@@ -863,6 +1939,42 @@ class App {
     }
   }
 
+  _handleRenameCategory(catId) {
+    const cat = this.store.getCategories().find(c => c.id === catId);
+    if (!cat) return;
+    this.els.modalContent.innerHTML = `
+      <div class="modal-title"><i class="bi bi-pencil"></i> Rename Category</div>
+      <input class="modal-input" type="text" id="modalCategoryName" value="${this._escAttr(cat.name)}" maxlength="100">
+      <div class="modal-actions">
+        <button class="btn btn-secondary" id="modalCancel">Cancel</button>
+        <button class="btn btn-accent" id="modalConfirm"><i class="bi bi-check-lg"></i> Rename</button>
+      </div>`;
+    this.els.modalOverlay.classList.remove('hidden');
+
+    const input = $('#modalCategoryName');
+    setTimeout(() => input.select(), 100);
+
+    const rename = async () => {
+      const name = input.value.trim();
+      if (!name) { input.style.borderColor = 'var(--danger)'; return; }
+      if (name === cat.name) { this._closeModal(); return; }
+      try {
+        this._recordUndo(`rename category "${cat.name}"`, await this.store.renameCategory(catId, name));
+        this._closeModal();
+        this._toast(`Renamed to "${name}"`, 'success');
+      } catch (err) {
+        this._toast(err.message, 'error');
+      }
+    };
+
+    $('#modalConfirm').addEventListener('click', rename);
+    $('#modalCancel').addEventListener('click', () => this._closeModal());
+    input.addEventListener('keydown', (e) => {
+      if (e.key === 'Enter') rename();
+      if (e.key === 'Escape') this._closeModal();
+    });
+  }
+
   _handleDeleteCategory(catId) {
     const cats = this.store.getCategories();
     const cat = cats.find(c => c.id === catId);
@@ -880,7 +1992,7 @@ class App {
 
       $('#modalConfirm').addEventListener('click', async () => {
         if (this.selected && this.selected.categoryId === catId) this.selected = null;
-        await this.store.deleteCategory(catId);
+        this._recordUndo(`delete category "${cat.name}"`, await this.store.deleteCategory(catId));
         this._closeModal();
         this._toast('Category deleted.', 'info');
       });
@@ -888,7 +2000,7 @@ class App {
     } else {
       (async () => {
         if (this.selected && this.selected.categoryId === catId) this.selected = null;
-        await this.store.deleteCategory(catId);
+        this._recordUndo(`delete category "${cat.name}"`, await this.store.deleteCategory(catId));
         this._toast('Category deleted.', 'info');
       })();
     }
@@ -942,6 +2054,7 @@ class App {
   async _handleAddChunk(catId) {
     const result = await this.store.addChunk(catId);
     if (!result) return;
+    this._recordUndo('add chunk', result);
     const cat = this.store.getCategories().find(c => c.id === catId);
     if (cat && !cat.expanded) await this.store.toggleCategory(catId);
     this.selected = result;
@@ -951,45 +2064,324 @@ class App {
     this._advanceOnboarding(2);
   }
 
-  async _saveCurrentChunk() {
+  _readEditorValues() {
+    const customFields = [];
+    $$('.custom-field-row').forEach(row => {
+      const keyInput = row.querySelector('[data-cf-part="key"]');
+      const valueInput = row.querySelector('[data-cf-part="value"]');
+      if (keyInput && valueInput) customFields.push({ key: keyInput.value, value: valueInput.value });
+    });
+    return {
+      id: ($('#chunkId') || {}).value || '',
+      text: ($('#chunkText') || {}).value || '',
+      metadata: {
+        page_title: ($('#metaPageTitle') || {}).value || '',
+        source: ($('#metaSource') || {}).value || '',
+        license: ($('#metaLicense') || {}).value || '',
+      },
+      customFields,
+    };
+  }
+
+  _isChunkEdited(values, stored = this.store.getChunk(this.selected.categoryId, this.selected.chunkUid)) {
+    if (!stored) return true;
+    return ['id', 'text', 'metadata', 'customFields'].some(k =>
+      JSON.stringify(stored[k] ?? (k === 'customFields' ? [] : '')) !== JSON.stringify(values[k]));
+  }
+
+  // `force` skips the warning about someone else editing the same chunk
+  async _saveCurrentChunk(baseRevision, force = false) {
     if (!this.selected) return;
 
-    const idVal = ($('#chunkId') || {}).value || '';
-    const textVal = ($('#chunkText') || {}).value || '';
-    const pageTitle = ($('#metaPageTitle') || {}).value || '';
-    const source = ($('#metaSource') || {}).value || '';
-    const license = ($('#metaLicense') || {}).value || '';
+    const values = this._readEditorValues();
 
-    if (idVal && this.store.isChunkIdTaken(idVal, this.selected.chunkUid)) {
+    if (values.id && this.store.isChunkIdTaken(values.id, this.selected.chunkUid)) {
       this._toast('This ID already exists. Try adding _1, _2, etc.', 'error');
       const idInput = $('#chunkId');
       if (idInput) idInput.style.borderColor = 'var(--danger)';
       return;
     }
 
-    const customFields = [];
-    $$('.custom-field-row').forEach(row => {
-      const keyInput = row.querySelector('[data-cf-part="key"]');
-      const valueInput = row.querySelector('[data-cf-part="value"]');
-      if (keyInput && valueInput) customFields.push({ key: keyInput.value, value: valueInput.value });
-    });
+    const editors = this.store.getCollaborators().filter(p => p.editing && p.chunkUid === this.selected.chunkUid);
+    if (editors.length && !force) {
+      this._showEditingWarning(editors, () => this._saveCurrentChunk(baseRevision, true));
+      return;
+    }
 
     try {
-      await this.store.updateChunk(this.selected.categoryId, this.selected.chunkUid, {
-        id: idVal, text: textVal,
-        metadata: { page_title: pageTitle, source, license },
-        customFields,
-      });
+      const edited = this._isChunkEdited(values);
+      const result = await this.store.updateChunk(this.selected.categoryId, this.selected.chunkUid, values, baseRevision);
+      if (edited) this._recordUndo(`edit chunk "${values.id || 'untitled'}"`, result);
       this._toast('Chunk saved!', 'success');
       this._advanceOnboarding(3);
       // Re-render sidebar to update chunk name
       this._renderCategories();
       this._renderChunkCount();
+      this._reportPresence();
     } catch (err) {
+      if (err.status === 409 && err.data?.chunk) {
+        this._showChunkConflict(values, err.data);
+        return;
+      }
       this._toast('Save failed: ' + err.message, 'error');
     }
   }
 
+  // Advisory lock: another browser has unsaved edits on this chunk
+  _showEditingWarning(editors, onConfirm) {
+    const names = editors.map(p => `<strong>${this._esc(p.name)}</strong>`).join(', ');
+    this.els.modalContent.innerHTML = `
+      <div class="modal-title"><i class="bi bi-pencil-fill" style="color:var(--warning)"></i> Chunk Is Being Edited</div>
+      <p class="modal-text">${names} ${editors.length > 1 ? 'are' : 'is'} editing this chunk right now. If you save, one of you will have to resolve a conflict when the other saves.</p>
+      <div class="modal-actions">
+        <button class="btn btn-secondary" id="modalCancel">Cancel</button>
+        <button class="btn btn-accent" id="modalConfirm"><i class="bi bi-check-lg"></i> Save Anyway</button>
+      </div>`;
+    this.els.modalOverlay.classList.remove('hidden');
+
+    $('#modalConfirm').addEventListener('click', () => {
+      this._closeModal();
+      onConfirm();
+    });
+    $('#modalCancel').addEventListener('click', () => this._closeModal());
+  }
+
+  // Shown at boot while authentication is on and we have no valid token;
+  // resolves once signed in.
+  _showSignInModal() {
+    this._signingIn = true;
+    this.els.modalContent.innerHTML = `
+      <div class="modal-title"><i class="bi bi-shield-lock"></i> Sign In</div>
+      <p class="modal-text">This Dataset Builder server requires an account. Ask an admin if you don't have one.</p>
+      <input class="modal-input" type="text" id="modalSignInName" placeholder="User name" autocomplete="username">
+      <input class="modal-input" type="password" id="modalSignInPassword" placeholder="Password" autocomplete="current-password">
+      <div class="modal-actions">
+        <button class="btn btn-accent" id="modalConfirm"><i class="bi bi-box-arrow-in-right"></i> Sign In</button>
+      </div>`;
+    this.els.modalOverlay.classList.remove('hidden');
+
+    const name = $('#modalSignInName');
+    const password = $('#modalSignInPassword');
+    setTimeout(() => name.focus(), 100);
+
+    return new Promise(resolve => {
+      const submit = async () => {
+        if (!name.value.trim() || !password.value) return;
+        try {
+          await this.store.signIn(name.value.trim(), password.value);
+          this._signingIn = false;
+          this._closeModal();
+          resolve();
+        } catch (err) {
+          password.value = '';
+          this._toast(err.message, 'error');
+        }
+      };
+      $('#modalConfirm').addEventListener('click', submit);
+      password.addEventListener('keydown', (e) => { if (e.key === 'Enter') submit(); });
+      name.addEventListener('keydown', (e) => { if (e.key === 'Enter') password.focus(); });
+    });
+  }
+
+  _showAccountModal() {
+    const { name, role } = this.store.user;
+    this.els.modalContent.innerHTML = `
+      <div class="modal-title"><i class="bi bi-person-circle"></i> ${this._esc(name)}</div>
+      <p class="modal-text">Signed in as <strong>${this._esc(name)}</strong> (${this._esc(role)}). Your commits are recorded under this name.</p>
+      <div class="modal-actions">
+        <button class="btn btn-secondary" id="modalCancel">Close</button>
+        <button class="btn btn-danger" id="modalConfirm"><i class="bi bi-box-arrow-right"></i> Sign Out</button>
+      </div>`;
+    this.els.modalOverlay.classList.remove('hidden');
+    $('#modalConfirm').addEventListener('click', () => this.store.signOut());
+    $('#modalCancel').addEventListener('click', () => this._closeModal());
+  }
+
+  _showNameModal() {
+    this.els.modalContent.innerHTML = `
+      <div class="modal-title"><i class="bi bi-person-circle"></i> Your Name</div>
+      <p class="modal-text">Shown to everyone else working on the same project.</p>
+      <input class="modal-input" type="text" id="modalUserName" maxlength="40" value="${this._escAttr(this.store.userName)}">
+      <div class="modal-actions">
+        <button class="btn btn-secondary" id="modalCancel">Cancel</button>
+        <button class="btn btn-accent" id="modalConfirm"><i class="bi bi-check-lg"></i> Save</button>
+      </div>`;
+    this.els.modalOverlay.classList.remove('hidden');
+
+    const input = $('#modalUserName');
+    setTimeout(() => input.select(), 100);
+    const save = () => {
+      const name = input.value.trim();
+      if (!name) { input.style.borderColor = 'var(--danger)'; return; }
+      this.store.setUserName(name);
+      this._closeModal();
+      this._renderPresence();
+    };
+    $('#modalConfirm').addEventListener('click', save);
+    input.addEventListener('keydown', (e) => { if (e.key === 'Enter') save(); });
+    $('#modalCancel').addEventListener('click', () => this._closeModal());
+  }
+
+  // The chunk was saved elsewhere after this browser loaded it. "Overwrite"
+  // saves the editor as-is; "Merge" keeps the fields edited here and takes
+  // every other field from the remote version, leaving the result unsaved.
+  _showChunkConflict(mine, conflict) {
+    const { categoryId, chunkUid } = this.selected;
+    const base = this.store.getChunk(categoryId, chunkUid);
+    const remote = conflict.chunk;
+    const fields = [
+      ['ID', c => c.id || ''],
+      ['Text', c => c.text || ''],
+      ['Page Title', c => c.metadata?.page_title || ''],
+      ['Source', c => c.metadata?.source || ''],
+      ['License', c => c.metadata?.license || ''],
+      ['Custom Fields', c => JSON.stringify(c.customFields || [])],
+    ];
+    const changed = fields.filter(([, get]) => get(remote) !== get(base)).map(([label]) => label);
+
+    this.els.modalContent.innerHTML = `
+      <div class="modal-title"><i class="bi bi-exclamation-triangle" style="color:var(--warning)"></i> Changed Remotely</div>
+      <p class="modal-text">
+        <strong>${this._esc(remote.id || 'This chunk')}</strong> was changed by someone else while you were editing
+        ${changed.length ? `(${this._esc(changed.join(', '))})` : ''}.
+        Merge their changes with yours, or overwrite them with your version?
+      </p>
+      <div class="modal-actions">
+        <button class="btn btn-secondary" id="modalCancel">Cancel</button>
+        <button class="btn btn-ghost" id="conflictMerge"><i class="bi bi-intersect"></i> Merge</button>
+        <button class="btn btn-danger" id="conflictOverwrite"><i class="bi bi-arrow-repeat"></i> Overwrite</button>
+      </div>`;
+    this.els.modalOverlay.classList.remove('hidden');
+
+    $('#conflictOverwrite').addEventListener('click', async () => {
+      this._closeModal();
+      await this._saveCurrentChunk(conflict.revision, true);
+    });
+    $('#conflictMerge').addEventListener('click', () => {
+      const pick = (get) => (get(mine) !== get(base) ? mine : remote);
+      const merged = {
+        id: pick(c => c.id || '').id,
+        text: pick(c => c.text || '').text,
+        metadata: {
+          page_title: pick(c => c.metadata?.page_title || '').metadata.page_title,
+          source: pick(c => c.metadata?.source || '').metadata.source,
+          license: pick(c => c.metadata?.license || '').metadata.license,
+        },
+        customFields: pick(c => JSON.stringify(c.customFields || [])).customFields || [],
+      };
+      this.store.replaceLocalChunk(categoryId, remote);
+      this._closeModal();
+      this._renderCategories();
+      this._renderContent(merged);
+      this._toast('Merged with remote changes — review and save.', 'info');
+    });
+    $('#modalCancel').addEventListener('click', () => this._closeModal());
+  }
+
+  // ---- CHUNK HISTORY ----
+
+  // The edit pane is only hidden, so unsaved edits survive a look at the history.
+  _switchEditorTab(tab) {
+    $$('.editor-tab').forEach(t => t.classList.toggle('active', t.dataset.tab === tab));
+    $('#editorEditPane').classList.toggle('hidden', tab !== 'edit');
+    $('#editorHistoryPane').classList.toggle('hidden', tab !== 'history');
+    if (tab === 'history') this._loadChunkHistory();
+  }
+
+  async _loadChunkHistory() {
+    const pane = $('#editorHistoryPane');
+    const uid = this.selected?.chunkUid;
+    if (!pane || !uid) return;
+    pane.innerHTML = '<div class="history-diff-loading"><i class="bi bi-arrow-repeat spin"></i> Loading history...</div>';
+    try {
+      this._chunkVersions = await this.store.getChunkHistory(uid);
+      this._renderChunkHistory(0);
+    } catch (err) {
+      pane.innerHTML = `<div class="history-empty"><i class="bi bi-clock-history"></i><p>${this._esc(err.message)}</p></div>`;
+    }
+  }
+
+  _renderChunkHistory(selectedIdx) {
+    const pane = $('#editorHistoryPane');
+    const versions = this._chunkVersions || [];
+    if (!pane) return;
+    const labels = { added: 'Created', modified: 'Edited', moved: 'Moved', deleted: 'Deleted' };
+
+    const list = versions.map((v, i) => `
+      <div class="chunk-version${i === selectedIdx ? ' active' : ''}" data-version="${i}">
+        <span class="chunk-version-dot chunk-version-dot--${v.source === 'mcp' ? 'mcp' : 'browser'}"></span>
+        <div class="chunk-version-info">
+          <div class="history-commit-summary">${this._esc(v.summary)}</div>
+          <div class="history-commit-meta">
+            <span>${labels[v.type] || v.type}</span>
+            <span>${v.author ? this._esc(v.author.name) : v.source === 'mcp' ? 'MCP' : 'Browser'}</span>
+            <span>${this._formatTimeAgo(v.timestamp)}</span>
+            ${v.category ? `<span class="history-commit-stats">${this._esc(v.category)}</span>` : ''}
+          </div>
+        </div>
+      </div>`).join('');
+
+    const v = versions[selectedIdx];
+    const older = versions.slice(selectedIdx + 1).find(x => x.chunk);
+    const fields = (v.changes || []).filter(f => f.field !== 'text').map(f => `
+      <div class="history-diff history-diff--modified">
+        <i class="bi bi-pencil-fill history-diff-icon"></i>
+        <span class="history-diff-text">${this._esc(f.field.replace(/^(metadata|custom)\./, ''))}: "${this._esc(f.old ?? '')}" → "${this._esc(f.new ?? '')}"</span>
+      </div>`).join('');
+    const textDiff = this._lineDiff(older?.chunk?.text || '', v.chunk?.text || '').map(l => `
+      <div class="line-diff line-diff--${l.type}"><span class="line-diff-sign">${l.type === 'add' ? '+' : l.type === 'del' ? '−' : ' '}</span>${this._esc(l.text) || '&nbsp;'}</div>`).join('');
+    const isCurrent = selectedIdx === 0;
+
+    pane.innerHTML = `
+      <div class="editor-card chunk-version-list">${list}</div>
+      <div class="editor-card">
+        <div class="editor-card-title"><i class="bi bi-file-diff"></i> ${this._esc(labels[v.type] || v.type)} · ${new Date(v.timestamp).toLocaleString()}</div>
+        ${fields ? `<div class="history-diff-list">${fields}</div>` : ''}
+        ${v.chunk ? `<div class="line-diff-view">${textDiff}</div>` : '<p class="modal-text">The chunk was deleted in this commit.</p>'}
+        ${v.chunk && !isCurrent ? `
+          <button class="history-tag-btn" id="restoreChunkVersionBtn">
+            <i class="bi bi-arrow-counterclockwise"></i> Restore this version
+          </button>` : ''}
+      </div>`;
+
+    pane.querySelectorAll('.chunk-version').forEach(el => {
+      el.addEventListener('click', () => this._renderChunkHistory(parseInt(el.dataset.version, 10)));
+    });
+    const restoreBtn = $('#restoreChunkVersionBtn');
+    if (restoreBtn) restoreBtn.addEventListener('click', () => this._restoreChunkVersion(v));
+  }
+
+  async _restoreChunkVersion(version) {
+    try {
+      await this.store.restoreChunk(this.selected.chunkUid, version.commitId);
+      this._toast('Chunk restored', 'success');
+    } catch (err) {
+      this._toast('Restore failed: ' + err.message, 'error');
+    }
+  }
+
+  // Line-level diff (longest common subsequence) of two texts.
+  _lineDiff(a, b) {
+    const x = a ? a.split('\n') : [];
+    const y = b ? b.split('\n') : [];
+    const lcs = Array.from({ length: x.length + 1 }, () => new Array(y.length + 1).fill(0));
+    for (let i = x.length - 1; i >= 0; i--) {
+      for (let j = y.length - 1; j >= 0; j--) {
+        lcs[i][j] = x[i] === y[j] ? lcs[i + 1][j + 1] + 1 : Math.max(lcs[i + 1][j], lcs[i][j + 1]);
+      }
+    }
+    const out = [];
+    let i = 0, j = 0;
+    while (i < x.length && j < y.length) {
+      if (x[i] === y[j]) { out.push({ type: 'same', text: x[i] }); i++; j++; }
+      else if (lcs[i + 1][j] >= lcs[i][j + 1]) out.push({ type: 'del', text: x[i++] });
+      else out.push({ type: 'add', text: y[j++] });
+    }
+    while (i < x.length) out.push({ type: 'del', text: x[i++] });
+    while (j < y.length) out.push({ type: 'add', text: y[j++] });
+    return out;
+  }
+
   _deleteCurrentChunk() {
     if (!this.selected) return;
     const chunk = this.store.getChunk(this.selected.categoryId, this.selected.chunkUid);
@@ -997,7 +2389,7 @@ class App {
 
     this.els.modalContent.innerHTML = `
       <div class="modal-title"><i class="bi bi-exclamation-triangle" style="color:var(--danger)"></i> Delete Chunk</div>
-      <p class="modal-text">Delete <strong>${this._esc(label)}</strong>? This cannot be undone.</p>
+      <p class="modal-text">Delete <strong>${this._esc(label)}</strong>? You can undo this with Ctrl+Z.</p>
       <div class="modal-actions">
         <button class="btn btn-secondary" id="modalCancel">Cancel</button>
         <button class="btn btn-danger" id="modalConfirm"><i class="bi bi-trash3"></i> Delete</button>
@@ -1005,7 +2397,8 @@ class App {
     this.els.modalOverlay.classList.remove('hidden');
 
     $('#modalConfirm').addEventListener('click', async () => {
-      await this.store.deleteChunk(this.selected.categoryId, this.selected.chunkUid);
+      const result = await this.store.deleteChunk(this.selected.categoryId, this.selected.chunkUid);
+      this._recordUndo(`delete chunk "${label}"`, result);
       this.selected = null;
       this._closeModal();
       this._toast('Chunk deleted.', 'info');
@@ -1028,7 +2421,7 @@ class App {
 
     $('#modalConfirm').addEventListener('click', async () => {
       if (this.selected && this.selected.chunkUid === chunkUid) this.selected = null;
-      await this.store.deleteChunk(catId, chunkUid);
+      this._recordUndo(`delete chunk "${label}"`, await this.store.deleteChunk(catId, chunkUid));
       this._closeModal();
       this._toast('Chunk deleted.', 'info');
     });
@@ -1039,12 +2432,48 @@ class App {
     if (!this.selected) return;
     const result = await this.store.duplicateChunk(this.selected.categoryId, this.selected.chunkUid);
     if (result) {
-      this.selected = result;
+      this._recordUndo('duplicate chunk', result);
+      this.selected = { categoryId: result.categoryId, chunkUid: result.chunkUid };
       this.render();
       this._toast('Chunk duplicated!', 'success');
     }
   }
 
+  _showMoveChunkModal() {
+    if (!this.selected) return;
+    const chunk = this.store.getChunk(this.selected.categoryId, this.selected.chunkUid);
+    if (!chunk) return;
+    if (!chunk.id) { this._toast('Give the chunk an ID and save it before moving.', 'warning'); return; }
+    const targets = this.store.getCategories().filter(c => c.id !== this.selected.categoryId);
+    if (!targets.length) { this._toast('Create another category first.', 'warning'); return; }
+
+    this.els.modalContent.innerHTML = `
+      <div class="modal-title"><i class="bi bi-folder-symlink"></i> Move Chunk</div>
+      <p class="modal-text">Move <strong>${this._esc(chunk.id)}</strong> to:</p>
+      <select class="modal-input" id="modalMoveTarget">
+        ${targets.map(c => `<option value="${this._escAttr(c.id)}">${this._esc(c.name)}</option>`).join('')}
+      </select>
+      <div class="modal-actions">
+        <button class="btn btn-secondary" id="modalCancel">Cancel</button>
+        <button class="btn btn-accent" id="modalConfirm"><i class="bi bi-folder-symlink"></i> Move</button>
+      </div>`;
+    this.els.modalOverlay.classList.remove('hidden');
+
+    $('#modalConfirm').addEventListener('click', async () => {
+      const target = targets.find(c => c.id === $('#modalMoveTarget').value);
+      try {
+        this._recordUndo(`move chunk "${chunk.id}"`, await this.store.moveChunk(chunk.id, target.name));
+        this.selected = { categoryId: target.id, chunkUid: chunk._uid };
+        this._closeModal();
+        this.render();
+        this._toast(`Moved to "${target.name}"`, 'success');
+      } catch (err) {
+        this._toast(err.message, 'error');
+      }
+    });
+    $('#modalCancel').addEventListener('click', () => this._closeModal());
+  }
+
   _addCustomField() {
     const container = $('#customFieldsContainer');
     if (!container) return;
@@ -1070,22 +2499,59 @@ class App {
 
   async _saveCurrentChunkSilent() {
     if (!this.selected) return;
-    const idVal = ($('#chunkId') || {}).value || '';
-    const textVal = ($('#chunkText') || {}).value || '';
-    const pageTitle = ($('#metaPageTitle') || {}).value || '';
-    const source = ($('#metaSource') || {}).value || '';
-    const license = ($('#metaLicense') || {}).value || '';
-    const customFields = [];
-    $$('.custom-field-row').forEach(row => {
-      const keyInput = row.querySelector('[data-cf-part="key"]');
-      const valueInput = row.querySelector('[data-cf-part="value"]');
-      if (keyInput && valueInput) customFields.push({ key: keyInput.value, value: valueInput.value });
-    });
-    await this.store.updateChunk(this.selected.categoryId, this.selected.chunkUid, {
-      id: idVal, text: textVal,
-      metadata: { page_title: pageTitle, source, license },
-      customFields,
-    });
+    const values = this._readEditorValues();
+    const edited = this._isChunkEdited(values);
+    const result = await this.store.updateChunk(this.selected.categoryId, this.selected.chunkUid, values);
+    if (edited) this._recordUndo(`edit chunk "${values.id || 'untitled'}"`, result);
+  }
+
+  // ---- UNDO / REDO ----
+
+  // Every operation the user makes here is recorded by the commit it made
+  // (changes that committed nothing have nothing to undo). Undo reverts that
+  // commit on the server (so unrelated changes made since — by MCP or other
+  // tabs — stay); redo reverts the revert.
+  _recordUndo(label, result) {
+    if (!result?.commitId) return;
+    this.undoStack.push({ label, commitId: result.commitId, project: this.store.currentProjectName });
+    if (this.undoStack.length > 100) this.undoStack.shift();
+    this.redoStack = [];
+  }
+
+  async _undo() {
+    await this._replayUndo(this.undoStack, this.redoStack, 'undo');
+  }
+
+  async _redo() {
+    await this._replayUndo(this.redoStack, this.undoStack, 'redo');
+  }
+
+  async _replayUndo(from, to, verb) {
+    if (this._undoBusy) return;
+    if (from.length && from[from.length - 1].project !== this.store.currentProjectName) {
+      from.length = 0;
+      to.length = 0;
+    }
+    const entry = from.pop();
+    if (!entry) { this._toast(`Nothing to ${verb}`, 'info'); return; }
+
+    this._undoBusy = true;
+    try {
+      const result = await this.store.revert(entry.commitId);
+      if (!result.reverted || !result.commitId) {
+        this._toast(`Nothing left to ${verb} for ${entry.label}`, 'warning');
+        return;
+      }
+      to.push({ ...entry, commitId: result.commitId });
+      this._toast(`${verb === 'undo' ? 'Undid' : 'Redid'} ${entry.label}`, 'success');
+    } catch (err) {
+      // Keep the entry so it can be tried again, e.g. after a network error
+      from.push(entry);
+      const reason = err.status === 409 ? 'it was changed again since' : err.message;
+      this._toast(`Can't ${verb} ${entry.label}: ${reason}`, 'error');
+    } finally {
+      this._undoBusy = false;
+    }
   }
 
   // ---- EXPORT ----
@@ -1121,7 +2587,7 @@ class App {
 
   _closeModal() {
     this.els.modalOverlay.classList.add('hidden');
-    this.els.modalContent.classList.remove('modal--faq');
+    this.els.modalContent.classList.remove('modal--faq', 'modal--webhooks', 'modal--share', 'modal--merge');
   }
 
   _showFAQModal() {
@@ -1173,6 +2639,12 @@ class App {
       ['Can I undo changes?',
         'Yes — open Version History, find the commit you want to go back to, and click <strong>Rollback to this point</strong>. ' +
         'The project is restored to that commit\'s state. A new "rollback" commit is created, so you can always undo the rollback itself.'],
+      ['Is there Ctrl+Z?',
+        'Yes — <strong>Ctrl+Z</strong> undoes your last operation (category create/rename/delete, chunk add/edit/delete/duplicate/move) and ' +
+        '<strong>Ctrl+Shift+Z</strong> redoes it. Changes made by MCP or other tabs in the meantime are kept. Inside a text field, Ctrl+Z undoes typing as usual.'],
+      ['Can I undo one change without losing the ones after it?',
+        'Yes — expand that commit in Version History and click <strong>Revert this commit</strong>. Only that commit\'s changes are undone; ' +
+        'everything made afterwards stays. If a later commit touched the same chunk or category, you\'ll see the conflicts and can revert the rest.'],
       ['What does "Browser" vs "MCP" mean in history?',
         'Each commit shows who made the change: ' +
         'a <strong style="color:#60a5fa;">blue dot</strong> means it was done in the browser, ' +
@@ -1261,7 +2733,7 @@ class App {
       this._showFAQModal();
     });
 
-    if (!localStorage.getItem(CONFIG.ONBOARDING_KEY)) {
+    if (!localStorage.getItem(CONFIG.ONBOARDING_KEY) && !this.store.readOnly) {
       setTimeout(() => this._startOnboarding(), 500);
     }
   }
@@ -1380,13 +2852,15 @@ class App {
               <span class="history-commit-source history-commit-source--${c.source === 'mcp' ? 'mcp' : 'browser'}">
                 <i class="bi bi-${c.source === 'mcp' ? 'robot' : 'person'}"></i> ${c.source === 'mcp' ? 'MCP' : 'Browser'}
               </span>
+              ${c.author ? `<span><i class="bi bi-person-badge"></i> ${this._esc(c.author.name)}</span>` : ''}
               <span>${this._formatTimeAgo(c.timestamp)}</span>
               <span class="history-commit-stats">${c.stats.categories} cat · ${c.stats.chunks} chunks</span>
+              ${(c.tags || []).map(t => `<span class="history-commit-tag"><i class="bi bi-tag-fill"></i> ${this._esc(t)}</span>`).join('')}
             </div>
           </div>
           <i class="bi bi-chevron-down history-commit-expand"></i>
         </div>
-        <div class="history-diff-panel" id="diff-${this._escAttr(c.id)}"></div>
+        <div class="history-diff-panel" id="diff-${this._escAttr(c.id)}" data-tags="${this._escAttr((c.tags || []).join(' '))}"></div>
       </div>
     `).join('')}</div>`;
 
@@ -1407,9 +2881,9 @@ class App {
         if (!panel.dataset.loaded) {
           panel.innerHTML = '<div class="history-diff-loading"><i class="bi bi-arrow-repeat spin"></i> Loading diff...</div>';
           try {
-            const detail = await this.store.getCommitDetail(commitId);
-            const diffs = this._computeDiff(detail.prevSnapshot, detail.snapshot);
-            this._renderDiffPanel(panel, diffs, commitId);
+            const diff = await this.store.getDiff(commitId);
+            const tags = panel.dataset.tags ? panel.dataset.tags.split(' ') : [];
+            this._renderDiffPanel(panel, diff.changes.map(c => this._describeChange(c)), commitId, tags);
             panel.dataset.loaded = '1';
           } catch (err) {
             panel.innerHTML = `<div class="history-diff-loading">${this._esc(err.message)}</div>`;
@@ -1424,10 +2898,47 @@ class App {
     if (rollbackBtn) {
       const commitId = rollbackBtn.dataset.commitId;
       this._handleRollback(commitId);
+      return;
+    }
+
+    const revertBtn = e.target.closest('.history-revert-btn');
+    if (revertBtn) {
+      this._handleRevert(revertBtn.dataset.commitId);
+      return;
     }
+
+    const branchBtn = e.target.closest('.history-branch-btn');
+    if (branchBtn) {
+      this._closeHistory();
+      this._showNewBranchModal(branchBtn.dataset.commitId);
+      return;
+    }
+
+    const tagBtn = e.target.closest('.history-tag-btn');
+    if (tagBtn) this._showTagModal(tagBtn.dataset.commitId);
   }
 
-  _renderDiffPanel(panel, diffs, commitId) {
+  _renderDiffPanel(panel, diffs, commitId, tags = []) {
+    const actions = `
+      <div class="history-commit-actions">
+        <button class="history-rollback-btn" data-commit-id="${this._escAttr(commitId)}">
+          <i class="bi bi-arrow-counterclockwise"></i> Rollback to this point
+        </button>
+        <button class="history-rollback-btn history-revert-btn" data-commit-id="${this._escAttr(commitId)}">
+          <i class="bi bi-arrow-return-left"></i> Revert this commit
+        </button>
+        <button class="history-tag-btn" data-commit-id="${this._escAttr(commitId)}">
+          <i class="bi bi-tag"></i> Tag release
+        </button>
+        <button class="history-tag-btn history-branch-btn" data-commit-id="${this._escAttr(commitId)}">
+          <i class="bi bi-git"></i> Branch from here
+        </button>
+        ${tags.map(t => `
+          <a class="history-tag-btn" href="${this._escAttr(this.store.tagExportUrl(t))}" download="${this._escAttr(`${this.store.currentProjectName}-${t}.json`)}">
+            <i class="bi bi-download"></i> Export ${this._esc(t)}
+          </a>`).join('')}
+      </div>`;
+
     if (diffs.length === 0) {
       panel.innerHTML = `
         <div class="history-diff-list">
@@ -1436,9 +2947,7 @@ class App {
             <span class="history-diff-text">No visible changes</span>
           </div>
         </div>
-        <button class="history-rollback-btn" data-commit-id="${this._escAttr(commitId)}">
-          <i class="bi bi-arrow-counterclockwise"></i> Rollback to this point
-        </button>`;
+        ${actions}`;
       return;
     }
 
@@ -1453,13 +2962,83 @@ class App {
           </div>
         `).join('')}
       </div>
-      <button class="history-rollback-btn" data-commit-id="${this._escAttr(commitId)}">
-        <i class="bi bi-arrow-counterclockwise"></i> Rollback to this point
-      </button>`;
+      ${actions}`;
 
     panel.innerHTML = html;
   }
 
+  // Undo just this commit. Conflicts with later edits are listed, and the user
+  // can choose to revert everything else.
+  async _handleRevert(commitId, skipConflicts = false) {
+    try {
+      const result = await this.store.revert(commitId, skipConflicts);
+      const skipped = result.skipped.length ? ` (${result.skipped.length} skipped)` : '';
+      this._toast(result.reverted ? `Commit reverted${skipped}` : 'Nothing left to revert', result.reverted ? 'success' : 'warning');
+      this._closeHistory();
+    } catch (err) {
+      if (err.status !== 409 || !err.data?.conflicts) {
+        this._toast('Revert failed: ' + err.message, 'error');
+        return;
+      }
+      this.els.modalContent.innerHTML = `
+        <div class="modal-title"><i class="bi bi-exclamation-triangle"></i> Revert Conflicts</div>
+        <p class="modal-text">Later commits changed some of the same data. These items will be left as they are:</p>
+        <div class="history-diff-list">
+          ${err.data.conflicts.map(c => `
+            <div class="history-diff history-diff--deleted">
+              <i class="bi bi-${c.kind === 'category' ? 'folder' : 'file-text'} history-diff-icon"></i>
+              <span class="history-diff-text">${this._esc(c.kind === 'category' ? `Category "${c.name}"` : `Chunk "${c.id || c.uid}"`)}: ${this._esc(c.reason)}</span>
+            </div>`).join('')}
+        </div>
+        <div class="modal-actions">
+          <button class="btn btn-secondary" id="modalCancel">Cancel</button>
+          <button class="btn btn-danger" id="confirmRevert"><i class="bi bi-arrow-return-left"></i> Revert the rest</button>
+        </div>`;
+      this.els.modalOverlay.classList.remove('hidden');
+      $('#confirmRevert').addEventListener('click', () => {
+        this._closeModal();
+        this._handleRevert(commitId, true);
+      });
+      $('#modalCancel').addEventListener('click', () => this._closeModal());
+    }
+  }
+
+  _showTagModal(commitId) {
+    this.els.modalContent.innerHTML = `
+      <div class="modal-title"><i class="bi bi-tag"></i> Tag Release</div>
+      <p class="modal-text">Name this commit (e.g. <code>v1.3</code>) so it can be exported later. Tagged commits are never pruned from history.</p>
+      <input class="modal-input" type="text" id="modalTagName" placeholder="e.g. v1.3" maxlength="100">
+      <input class="modal-input" type="text" id="modalTagNotes" placeholder="Notes (optional)" maxlength="500">
+      <div class="modal-actions">
+        <button class="btn btn-secondary" id="modalCancel">Cancel</button>
+        <button class="btn btn-accent" id="modalConfirm"><i class="bi bi-tag"></i> Create Tag</button>
+      </div>`;
+    this.els.modalOverlay.classList.remove('hidden');
+
+    const input = $('#modalTagName');
+    setTimeout(() => input.focus(), 100);
+
+    const create = async () => {
+      const name = input.value.trim();
+      if (!name) { input.style.borderColor = 'var(--danger)'; return; }
+      try {
+        await this.store.createTag(commitId, name, $('#modalTagNotes').value.trim());
+        this._closeModal();
+        this._toast(`Tagged as ${name}`, 'success');
+        this._openHistory();
+      } catch (err) {
+        this._toast(err.message, 'error');
+      }
+    };
+
+    $('#modalConfirm').addEventListener('click', create);
+    $('#modalCancel').addEventListener('click', () => this._closeModal());
+    input.addEventListener('keydown', (e) => {
+      if (e.key === 'Enter') create();
+      if (e.key === 'Escape') this._closeModal();
+    });
+  }
+
   async _handleRollback(commitId) {
     this.els.modalContent.innerHTML = `
       <div class="modal-title"><i class="bi bi-arrow-counterclockwise"></i> Rollback?</div>
@@ -1487,133 +3066,345 @@ class App {
     $('#modalCancel').addEventListener('click', () => this._closeModal());
   }
 
-  _computeDiff(prev, curr) {
-    const diffs = [];
+  // ---- WEBHOOKS ----
 
-    if (!prev) {
-      // No previous snapshot — show current state as "added"
-      for (const cat of curr.categories || []) {
-        diffs.push({ type: 'added', text: `Category "${cat.name}" (${cat.chunks.length} chunks)` });
-        for (const ch of cat.chunks) {
-          diffs.push({ type: 'added', text: `Chunk "${ch.id}" in "${cat.name}"` });
-        }
+  _showWebhooksModal() {
+    const project = this.store.getCurrentProject();
+    if (!project) { this._toast('Select a project first', 'warning'); return; }
+
+    this.els.modalContent.classList.add('modal--webhooks');
+    this.els.modalContent.innerHTML = `
+      <div class="modal-title"><i class="bi bi-send"></i> Webhooks</div>
+      <p class="modal-text">Every commit to <strong>${this._esc(project.name)}</strong> is POSTed as JSON to these URLs, e.g. to rebuild a vector index. Failed deliveries are retried with backoff.</p>
+      <div class="webhook-list" id="webhookList"></div>
+      <input class="modal-input" type="url" id="webhookUrl" placeholder="https://ci.example.com/hooks/reindex">
+      <div class="webhook-form-row">
+        <input class="modal-input" type="text" id="webhookSecret" placeholder="Signing secret (optional)" autocomplete="off">
+        <input class="modal-input" type="text" id="webhookEvents" placeholder="Actions, e.g. importJSON (default: all)">
+      </div>
+      <div class="modal-actions">
+        <button class="btn btn-secondary" id="modalCancel">Close</button>
+        <button class="btn btn-accent" id="modalConfirm"><i class="bi bi-plus-lg"></i> Add Webhook</button>
+      </div>`;
+    this.els.modalOverlay.classList.remove('hidden');
+
+    const list = $('#webhookList');
+    const urlInput = $('#webhookUrl');
+
+    const add = async () => {
+      const url = urlInput.value.trim();
+      if (!url) { urlInput.style.borderColor = 'var(--danger)'; return; }
+      try {
+        const events = $('#webhookEvents').value.split(',').map(e => e.trim()).filter(Boolean);
+        await this.store.createWebhook({ url, secret: $('#webhookSecret').value, events });
+        urlInput.value = $('#webhookSecret').value = $('#webhookEvents').value = '';
+        urlInput.style.borderColor = '';
+        this._toast('Webhook added', 'success');
+        this._renderWebhooks(list);
+      } catch (err) {
+        this._toast(err.message, 'error');
       }
-      return diffs;
-    }
+    };
 
-    const prevCats = new Map((prev.categories || []).map(c => [c.id, c]));
-    const currCats = new Map((curr.categories || []).map(c => [c.id, c]));
+    $('#modalConfirm').addEventListener('click', add);
+    $('#modalCancel').addEventListener('click', () => this._closeModal());
+    urlInput.addEventListener('keydown', (e) => {
+      if (e.key === 'Enter') add();
+      if (e.key === 'Escape') this._closeModal();
+    });
+    list.addEventListener('click', (e) => this._handleWebhookClick(e, list));
+    this._renderWebhooks(list);
+  }
 
-    // Deleted categories
-    for (const [id, cat] of prevCats) {
-      if (!currCats.has(id)) {
-        diffs.push({ type: 'deleted', text: `Category "${cat.name}" removed (${cat.chunks.length} chunks)` });
+  async _renderWebhooks(list) {
+    list.innerHTML = '<div class="history-diff-loading"><i class="bi bi-arrow-repeat spin"></i> Loading...</div>';
+    try {
+      const hooks = await this.store.listWebhooks();
+      if (!hooks.length) {
+        list.innerHTML = '<div class="history-diff-loading">No webhooks yet.</div>';
+        return;
       }
+      list.innerHTML = hooks.map(h => {
+        const status = h.lastDelivery ? h.lastDelivery.status : 'none';
+        const title = h.lastDelivery ? `Last delivery ${status} (${this._formatTimeAgo(h.lastDelivery.at)})` : 'Nothing delivered yet';
+        return `
+        <div class="webhook-item ${h.active ? '' : 'webhook-item--paused'}" data-webhook-id="${this._escAttr(h.id)}">
+          <div class="webhook-main">
+            <span class="webhook-status webhook-status--${status}" title="${this._escAttr(title)}"></span>
+            <span class="webhook-url" title="${this._escAttr(h.url)}">${this._esc(h.url)}</span>
+            ${h.hasSecret ? '<i class="bi bi-shield-lock" title="Signed"></i>' : ''}
+          </div>
+          <div class="webhook-events">${this._esc(h.events.includes('*') ? 'All commits' : h.events.join(', '))}${h.active ? '' : ' · paused'}</div>
+          <div class="history-commit-actions">
+            <button class="history-tag-btn" data-action="test"><i class="bi bi-send"></i> Test</button>
+            <button class="history-tag-btn" data-action="deliveries"><i class="bi bi-list-ul"></i> Deliveries</button>
+            <button class="history-tag-btn" data-action="toggle"><i class="bi bi-${h.active ? 'pause' : 'play'}"></i> ${h.active ? 'Pause' : 'Resume'}</button>
+            <button class="history-tag-btn" data-action="delete"><i class="bi bi-trash3"></i> Delete</button>
+          </div>
+          <div class="webhook-deliveries hidden"></div>
+        </div>`;
+      }).join('');
+    } catch (err) {
+      list.innerHTML = `<div class="history-diff-loading">${this._esc(err.message)}</div>`;
     }
+  }
 
-    // Added categories
-    for (const [id, cat] of currCats) {
-      if (!prevCats.has(id)) {
-        diffs.push({ type: 'added', text: `Category "${cat.name}" added (${cat.chunks.length} chunks)` });
+  async _handleWebhookClick(e, list) {
+    const btn = e.target.closest('[data-action]');
+    const item = e.target.closest('.webhook-item');
+    if (!btn || !item) return;
+    const id = item.dataset.webhookId;
+    try {
+      switch (btn.dataset.action) {
+        case 'test': {
+          btn.disabled = true;
+          const delivery = await this.store.testWebhook(id);
+          const attempt = delivery.attempts[delivery.attempts.length - 1];
+          if (delivery.status === 'delivered') this._toast(`Test delivered (HTTP ${attempt.statusCode})`, 'success');
+          else this._toast(`Test failed: ${attempt.error}`, 'error');
+          await this._renderWebhooks(list);
+          break;
+        }
+        case 'deliveries': {
+          const panel = item.querySelector('.webhook-deliveries');
+          if (!panel.classList.toggle('hidden')) this._renderWebhookDeliveries(panel, await this.store.getWebhookDeliveries(id));
+          break;
+        }
+        case 'toggle':
+          await this.store.updateWebhook(id, { active: item.classList.contains('webhook-item--paused') });
+          await this._renderWebhooks(list);
+          break;
+        case 'delete':
+          await this.store.deleteWebhook(id);
+          this._toast('Webhook deleted', 'info');
+          await this._renderWebhooks(list);
+          break;
       }
+    } catch (err) {
+      btn.disabled = false;
+      this._toast(err.message, 'error');
     }
+  }
 
-    // Modified categories
-    for (const [id, currCat] of currCats) {
-      const prevCat = prevCats.get(id);
-      if (!prevCat) continue;
+  _renderWebhookDeliveries(panel, deliveries) {
+    if (!deliveries.length) {
+      panel.innerHTML = '<div class="history-diff-loading">No deliveries yet.</div>';
+      return;
+    }
+    const types = { delivered: 'added', failed: 'deleted', pending: 'modified' };
+    panel.innerHTML = `<div class="history-diff-list">${deliveries.map(d => {
+      const last = d.attempts[d.attempts.length - 1];
+      const outcome = last ? (last.error || `HTTP ${last.statusCode}`) : 'not sent yet';
+      const retry = d.nextAttemptAt ? `, next at ${new Date(d.nextAttemptAt).toLocaleTimeString()}` : '';
+      return `
+        <div class="history-diff history-diff--${types[d.status]}">
+          <i class="bi bi-${d.event === 'ping' ? 'broadcast' : 'send'} history-diff-icon"></i>
+          <span class="history-diff-text">${this._esc(d.event)} · ${this._formatTimeAgo(d.createdAt)} · ${d.status} — ${this._esc(outcome)} (${d.attempts.length} attempt${d.attempts.length === 1 ? '' : 's'}${retry})</span>
+        </div>`;
+    }).join('')}</div>`;
+  }
 
-      // Renamed
-      if (prevCat.name !== currCat.name) {
-        diffs.push({ type: 'modified', text: `Category renamed: "${prevCat.name}" → "${currCat.name}"` });
-      }
+  // ---- TRASH ----
 
-      // Compare chunks
-      const prevChunks = new Map(prevCat.chunks.map(ch => [ch._uid, ch]));
-      const currChunks = new Map(currCat.chunks.map(ch => [ch._uid, ch]));
+  _showTrashModal() {
+    this.els.modalContent.classList.add('modal--share');
+    this.els.modalContent.innerHTML = `
+      <div class="modal-title"><i class="bi bi-trash3"></i> Trash</div>
+      <p class="modal-text">Deleted projects are kept here with their history until they are purged.</p>
+      <div class="webhook-list" id="trashList"></div>
+      <div class="modal-actions">
+        <button class="btn btn-secondary" id="modalCancel">Close</button>
+      </div>`;
+    this.els.modalOverlay.classList.remove('hidden');
 
-      for (const [uid, ch] of prevChunks) {
-        if (!currChunks.has(uid)) {
-          diffs.push({ type: 'deleted', text: `Chunk "${ch.id}" removed from "${currCat.name}"` });
+    const list = $('#trashList');
+    $('#modalCancel').addEventListener('click', () => this._closeModal());
+    list.addEventListener('click', async (e) => {
+      const btn = e.target.closest('[data-action]');
+      const item = e.target.closest('[data-trash-id]');
+      if (!btn || !item) return;
+      const id = item.dataset.trashId;
+      const rename = item.querySelector('.trash-rename');
+      try {
+        switch (btn.dataset.action) {
+          case 'restore':
+            // The name is taken again: ask for another one first
+            if (this.store.getProjects().some(p => p.name === item.dataset.name)) {
+              rename.classList.remove('hidden');
+              rename.querySelector('input').focus();
+              return;
+            }
+          // falls through
+          case 'restore-as': {
+            const name = btn.dataset.action === 'restore-as' ? rename.querySelector('input').value.trim() : undefined;
+            this.selected = null;
+            const project = await this.store.restoreProject(id, name);
+            this._closeModal();
+            this._toast(`Project "${project.name}" restored.`, 'success');
+            break;
+          }
+          case 'purge':
+            if (!btn.dataset.armed) {
+              btn.dataset.armed = '1';
+              btn.innerHTML = '<i class="bi bi-exclamation-triangle"></i> Click again to delete';
+              return;
+            }
+            await this.store.purgeTrash(id);
+            this._toast('Project purged.', 'info');
+            this._renderTrash(list);
+            break;
         }
+      } catch (err) {
+        this._toast(err.message, 'error');
       }
+    });
+    this._renderTrash(list);
+  }
 
-      for (const [uid, ch] of currChunks) {
-        if (!prevChunks.has(uid)) {
-          diffs.push({ type: 'added', text: `Chunk "${ch.id}" added to "${currCat.name}"` });
-        }
+  async _renderTrash(list) {
+    list.innerHTML = '<div class="history-diff-loading"><i class="bi bi-arrow-repeat spin"></i> Loading...</div>';
+    try {
+      const entries = await this.store.listTrash();
+      if (!entries.length) {
+        list.innerHTML = '<div class="history-diff-loading">The trash is empty.</div>';
+        return;
       }
+      list.innerHTML = entries.map(t => `
+        <div class="webhook-item" data-trash-id="${this._escAttr(t.id)}" data-name="${this._escAttr(t.name)}">
+          <div class="webhook-main">
+            <i class="bi bi-folder2"></i>
+            <span class="share-name">${this._esc(t.name)}</span>
+            <button class="history-tag-btn" data-action="restore"><i class="bi bi-arrow-counterclockwise"></i> Restore</button>
+            <button class="history-tag-btn" data-action="purge"><i class="bi bi-x-lg"></i> Delete forever</button>
+          </div>
+          <div class="webhook-events">
+            ${t.categories} categories, ${t.chunks} chunks · deleted ${this._formatTimeAgo(t.deletedAt)}${t.author ? ` by ${this._esc(t.author.name)}` : ''}
+            ${t.purgeAt ? ` · purged ${new Date(t.purgeAt).toLocaleDateString()}` : ''}
+          </div>
+          <div class="trash-rename hidden">
+            <input class="modal-input" type="text" value="${this._escAttr(`${t.name}-restored`)}" maxlength="50" placeholder="New project name">
+            <button class="btn btn-accent" data-action="restore-as"><i class="bi bi-arrow-counterclockwise"></i> Restore as</button>
+          </div>
+        </div>`).join('');
+    } catch (err) {
+      list.innerHTML = `<div class="history-diff-loading">${this._esc(err.message)}</div>`;
+    }
+  }
 
-      for (const [uid, currCh] of currChunks) {
-        const prevCh = prevChunks.get(uid);
-        if (!prevCh) continue;
+  // ---- SHARE LINKS ----
 
-        const changes = [];
-        if (prevCh.id !== currCh.id) changes.push(`id: "${prevCh.id}" → "${currCh.id}"`);
-        if (prevCh.text !== currCh.text) {
-          const prevLen = (prevCh.text || '').length;
-          const currLen = (currCh.text || '').length;
-          changes.push(`text changed (${prevLen} → ${currLen} chars)`);
-        }
+  _showShareModal() {
+    const project = this.store.getCurrentProject();
+    if (!project) { this._toast('Select a project first', 'warning'); return; }
 
-        const metaKeys = new Set([
-          ...Object.keys(prevCh.metadata || {}),
-          ...Object.keys(currCh.metadata || {}),
-        ]);
-        for (const k of metaKeys) {
-          const pv = (prevCh.metadata || {})[k];
-          const cv = (currCh.metadata || {})[k];
-          if (pv !== cv) changes.push(`${k}: "${pv || ''}" → "${cv || ''}"`);
-        }
+    this.els.modalContent.classList.add('modal--share');
+    this.els.modalContent.innerHTML = `
+      <div class="modal-title"><i class="bi bi-share"></i> Share Links</div>
+      <p class="modal-text">Anyone with a link can browse <strong>${this._esc(project.name)}</strong> — categories, chunks and history — but not change anything. Revoke a link to shut it off.</p>
+      <div class="webhook-list" id="shareList"></div>
+      <div class="share-created hidden" id="shareCreated">
+        <input class="modal-input" type="text" id="shareUrl" readonly>
+        <button class="btn btn-secondary" id="shareCopyBtn"><i class="bi bi-clipboard"></i> Copy</button>
+      </div>
+      <input class="modal-input" type="text" id="shareName" placeholder="Who is it for? e.g. External writers" maxlength="60">
+      <div class="modal-actions">
+        <button class="btn btn-secondary" id="modalCancel">Close</button>
+        <button class="btn btn-accent" id="modalConfirm"><i class="bi bi-link-45deg"></i> Create Link</button>
+      </div>`;
+    this.els.modalOverlay.classList.remove('hidden');
 
-        // Compare custom fields
-        const prevCf = (prevCh.customFields || []);
-        const currCf = (currCh.customFields || []);
-        const prevCfMap = new Map(prevCf.map(f => [f.key, f.value]));
-        const currCfMap = new Map(currCf.map(f => [f.key, f.value]));
-        const allCfKeys = new Set([...prevCfMap.keys(), ...currCfMap.keys()]);
-        for (const k of allCfKeys) {
-          if (!k) continue;
-          const pv = prevCfMap.get(k);
-          const cv = currCfMap.get(k);
-          if (pv !== cv) {
-            if (pv === undefined) changes.push(`${k}: added "${cv}"`);
-            else if (cv === undefined) changes.push(`${k}: removed`);
-            else changes.push(`${k}: "${pv}" → "${cv}"`);
-          }
-        }
+    const list = $('#shareList');
+    const nameInput = $('#shareName');
 
-        if (changes.length > 0) {
-          diffs.push({ type: 'modified', text: `Chunk "${currCh.id}" in "${currCat.name}": ${changes.join(', ')}` });
-        }
+    const create = async () => {
+      try {
+        const { url } = await this.store.createShare(nameInput.value.trim());
+        nameInput.value = '';
+        $('#shareUrl').value = url;
+        $('#shareCreated').classList.remove('hidden');
+        this._toast('Share link created — copy it now, it is only shown once', 'success');
+        this._renderShares(list);
+      } catch (err) {
+        this._toast(err.message, 'error');
       }
-    }
+    };
 
-    // Check for chunks moved between categories
-    // (chunk existed in prev cat A but now in curr cat B)
-    const allPrevChunkUids = new Map();
-    for (const cat of prev.categories || []) {
-      for (const ch of cat.chunks) allPrevChunkUids.set(ch._uid, { cat: cat.name, ch });
-    }
-    const allCurrChunkUids = new Map();
-    for (const cat of curr.categories || []) {
-      for (const ch of cat.chunks) allCurrChunkUids.set(ch._uid, { cat: cat.name, ch });
-    }
+    $('#modalConfirm').addEventListener('click', create);
+    $('#modalCancel').addEventListener('click', () => this._closeModal());
+    $('#shareCopyBtn').addEventListener('click', async () => {
+      try {
+        await navigator.clipboard.writeText($('#shareUrl').value);
+        this._toast('Link copied', 'success');
+      } catch {
+        $('#shareUrl').select();
+      }
+    });
+    nameInput.addEventListener('keydown', (e) => {
+      if (e.key === 'Enter') create();
+      if (e.key === 'Escape') this._closeModal();
+    });
+    list.addEventListener('click', async (e) => {
+      const item = e.target.closest('[data-share-id]');
+      if (!item || !e.target.closest('[data-action="revoke"]')) return;
+      try {
+        await this.store.revokeShare(item.dataset.shareId);
+        this._toast('Share link revoked', 'info');
+        this._renderShares(list);
+      } catch (err) {
+        this._toast(err.message, 'error');
+      }
+    });
+    this._renderShares(list);
+  }
 
-    for (const [uid, currInfo] of allCurrChunkUids) {
-      const prevInfo = allPrevChunkUids.get(uid);
-      if (prevInfo && prevInfo.cat !== currInfo.cat) {
-        // Already handled as add+delete within categories, but let's add a move note
-        // Remove the separate add/delete and replace with move
-        const addIdx = diffs.findIndex(d => d.type === 'added' && d.text.includes(`"${currInfo.ch.id}"`) && d.text.includes(`"${currInfo.cat}"`));
-        const delIdx = diffs.findIndex(d => d.type === 'deleted' && d.text.includes(`"${prevInfo.ch.id}"`) && d.text.includes(`"${prevInfo.cat}"`));
-        if (addIdx !== -1) diffs.splice(addIdx, 1);
-        if (delIdx !== -1) diffs.splice(delIdx > addIdx ? delIdx - 1 : delIdx, 1);
-        diffs.push({ type: 'modified', text: `Chunk "${currInfo.ch.id}" moved: "${prevInfo.cat}" → "${currInfo.cat}"` });
+  async _renderShares(list) {
+    list.innerHTML = '<div class="history-diff-loading"><i class="bi bi-arrow-repeat spin"></i> Loading...</div>';
+    try {
+      const shares = await this.store.listShares();
+      if (!shares.length) {
+        list.innerHTML = '<div class="history-diff-loading">No share links yet.</div>';
+        return;
       }
+      list.innerHTML = shares.map(s => `
+        <div class="webhook-item" data-share-id="${this._escAttr(s.id)}">
+          <div class="webhook-main">
+            <i class="bi bi-link-45deg"></i>
+            <span class="share-name">${this._esc(s.name)}</span>
+            <span class="share-prefix">${this._esc(s.prefix)}…</span>
+            <button class="history-tag-btn" data-action="revoke"><i class="bi bi-x-lg"></i> Revoke</button>
+          </div>
+          <div class="webhook-events">
+            Created ${this._formatTimeAgo(s.createdAt)}${s.createdBy ? ` by ${this._esc(s.createdBy.name)}` : ''}
+            · ${s.lastUsed ? `last opened ${this._formatTimeAgo(s.lastUsed)}` : 'never opened'}
+          </div>
+        </div>`).join('');
+    } catch (err) {
+      list.innerHTML = `<div class="history-diff-loading">${this._esc(err.message)}</div>`;
     }
+  }
 
-    return diffs;
+  // Turn a structured diff entry from the server into a drawer line.
+  _describeChange(c) {
+    if (c.kind === 'category') {
+      if (c.type === 'added') return { type: 'added', text: `Category "${c.name}" added (${c.chunks} chunks)` };
+      if (c.type === 'deleted') return { type: 'deleted', text: `Category "${c.name}" removed (${c.chunks} chunks)` };
+      return { type: 'modified', text: `Category renamed: "${c.old}" → "${c.new}"` };
+    }
+    switch (c.type) {
+      case 'added': return { type: 'added', text: `Chunk "${c.id}" added to "${c.category}"` };
+      case 'deleted': return { type: 'deleted', text: `Chunk "${c.id}" removed from "${c.category}"` };
+      case 'moved': return { type: 'modified', text: `Chunk "${c.id}" moved: "${c.old}" → "${c.new}"` };
+      default: {
+        const changes = c.changes.map(f => {
+          const label = f.field.replace(/^(metadata|custom)\./, '');
+          if (f.field === 'text') return `text changed (${(f.old || '').length} → ${(f.new || '').length} chars)`;
+          if (f.field.startsWith('custom.') && f.old === null) return `${label}: added "${f.new}"`;
+          if (f.field.startsWith('custom.') && f.new === null) return `${label}: removed`;
+          return `${label}: "${f.old || ''}" → "${f.new || ''}"`;
+        });
+        return { type: 'modified', text: `Chunk "${c.id}" in "${c.category}": ${changes.join(', ')}` };
+      }
+    }
   }
 
   _formatTimeAgo(isoString) {
@@ -0,0 +1,38 @@
+#!/usr/bin/env node
+// Copy every project in data/*.json (and its .history.json) into the SQLite database.
+// Usage: npm run migrate:sqlite [-- --force]   (--force overwrites projects already in the database)
+const path = require('path');
+const { JsonStorage } = require('../lib/storage/json');
+const { SqliteStorage } = require('../lib/storage/sqlite');
+
+async function main() {
+  const dataDir = path.join(__dirname, '..', 'data');
+  const force = process.argv.includes('--force');
+  const from = new JsonStorage(dataDir);
+  const to = new SqliteStorage(process.env.SQLITE_PATH || path.join(dataDir, 'dataset-builder.db'));
+
+  let migrated = 0, skipped = 0, failed = 0;
+  for (const name of await from.listProjects()) {
+    try {
+      if (await to.hasProject(name)) {
+        if (!force) { console.log(`skip  ${name} (already in database)`); skipped++; continue; }
+        await to.removeProject(name);
+      }
+      const project = await from.loadProject(name);
+      const history = await from.loadHistory(name);
+      await to.saveProject(name, project);
+      // Oldest first so the database keeps the original commit order.
+      for (const commit of [...history.commits].reverse()) await to.appendCommit(name, commit);
+      for (const tag of history.tags || []) await to.saveTag(name, tag);
+      console.log(`ok    ${name} (${history.commits.length} commits)`);
+      migrated++;
+    } catch (e) {
+      console.error(`fail  ${name}: ${e.message}`);
+      failed++;
+    }
+  }
+  console.log(`\nMigrated ${migrated}, skipped ${skipped}, failed ${failed}. Start the server with STORAGE=sqlite to use the database.`);
+  if (failed) process.exitCode = 1;
+}
+
+main();
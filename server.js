@@ -1,28 +1,168 @@
 const express = require('express');
+const fs = require('fs');
 const http = require('http');
 const path = require('path');
 const crypto = require('crypto');
 const { WebSocketServer } = require('ws');
 const { Store } = require('./lib/store');
+const { splitBranch } = require('./lib/storage/names');
+const { createStorage } = require('./lib/storage');
+const { SessionRegistry } = require('./lib/sessions');
+const { WebhookRegistry } = require('./lib/webhooks');
+const { AuthRegistry, hasRole, batchSources } = require('./lib/auth');
+const { AuditLog } = require('./lib/audit');
+const { handleRpc } = require('./lib/rpc');
+const { createMcpServer } = require('./lib/mcp');
+const { StreamableHTTPServerTransport } = require('@modelcontextprotocol/sdk/server/streamableHttp.js');
+const { StdioServerTransport } = require('@modelcontextprotocol/sdk/server/stdio.js');
 
 const app = express();
 const server = http.createServer(app);
 const PORT = process.env.PORT || 3000;
+const STDIO = process.argv.includes('--stdio'); // also serve MCP on stdin/stdout; stdout is then reserved for it
 
-const store = new Store(path.join(__dirname, 'data'));
+const DATA_DIR = path.join(__dirname, 'data');
+// Registries (users and password hashes, session codes, webhooks and their
+// secrets) live apart from the projects, so no project name can reach them
+const STATE_DIR = process.env.STATE_DIR || path.join(__dirname, 'state');
+const store = new Store(DATA_DIR, createStorage(DATA_DIR));
+const SESSION_TTL_HOURS = Number(process.env.SESSION_TTL_HOURS) || 24 * 7;
+const TRASH_RETENTION_DAYS = Number(process.env.TRASH_RETENTION_DAYS ?? 30) || 0; // 0 keeps deleted projects until purged by hand
+const registry = new SessionRegistry(stateFile('sessions.json'), { ttl: SESSION_TTL_HOURS * 60 * 60 * 1000 });
+const webhooks = new WebhookRegistry(stateFile('webhooks.json'));
+const auth = new AuthRegistry(stateFile('auth.json'));
+const audit = new AuditLog(path.join(DATA_DIR, '.audit'), {
+  maxBytes: (Number(process.env.AUDIT_MAX_SIZE_MB) || 10) * 1024 * 1024,
+  maxFiles: Number(process.env.AUDIT_MAX_FILES) || 10,
+});
+
+// A registry file in STATE_DIR, moved there from where older versions kept it
+// (`data/.<file>`) on first start
+function stateFile(file) {
+  const fp = path.join(STATE_DIR, file);
+  const legacy = path.join(DATA_DIR, `.${file}`);
+  if (!fs.existsSync(fp) && fs.existsSync(legacy)) {
+    fs.mkdirSync(STATE_DIR, { recursive: true });
+    fs.copyFileSync(legacy, fp);
+    fs.unlinkSync(legacy);
+  }
+  return fp;
+}
 
 // ---- MIDDLEWARE ----
 app.use(express.json({ limit: '10mb' }));
 app.use(express.static(path.join(__dirname, 'public')));
 
+// ---- AUTHENTICATION ----
+// Requests carry a token as `Authorization: Bearer <token>` or `X-API-Key`,
+// or as `?token=` where headers can't be set (EventSource, download links,
+// the WebSocket). Reading needs the viewer role, writing editor, and routes
+// that ask for it with requireRole() admin; under /api/projects/:name that is
+// the role on that project (see AuthRegistry.projectRole). While no user
+// exists, authentication is off: everything is open and `req.user` is null,
+// unless a share link is used, which still only opens its own project.
+const OPEN_ROUTES = new Set(['/api/auth/status', '/api/auth/setup', '/api/auth/login']);
+const PROJECT_ROUTE = /^\/api\/projects\/([^/]+)/;
+
+function routeOf(req) {
+  return (req.baseUrl + req.path).replace(/(.)\/$/, '$1');
+}
+
+function requestToken(req) {
+  const header = req.get('Authorization');
+  if (header && /^Bearer /i.test(header)) return header.slice(7).trim();
+  return req.get('X-API-Key') || req.query.token || null;
+}
+
+// The role a request needs before its route can ask for more
+function defaultRole(req) {
+  const route = routeOf(req);
+  // /mcp checks each tool, the project list only shows what the caller can
+  // see, and sessions, keys and signing in and out don't touch projects
+  if (route === '/mcp' || /^\/api\/(session|auth|keys)(\/|$)/.test(route)) return 'none';
+  if (route === '/api/projects' && req.method === 'GET') return 'none';
+  // A project merge only reads the project in the route; the target is checked by the route
+  if (req.method === 'POST' && /^\/api\/projects\/[^/]+\/merge$/.test(route)) return 'viewer';
+  if (req.method === 'GET' || req.method === 'HEAD') return 'viewer';
+  return 'editor';
+}
+
+// The caller's role on the project the route is about, or their own role
+function roleOf(req) {
+  const match = routeOf(req).match(PROJECT_ROUTE);
+  return match ? auth.projectRole(req.user, decodeURIComponent(match[1])) : req.user.role;
+}
+
+function checkRole(req, res, next, role) {
+  if (!hasRole(roleOf(req), role)) return res.status(403).json({ error: `This needs the ${role} role` });
+  next();
+}
+
+function authenticate(req, res, next) {
+  req.user = null;
+  if (OPEN_ROUTES.has(routeOf(req))) return next();
+  req.user = auth.authenticate(requestToken(req));
+  if (!req.user) return auth.enabled() ? res.status(401).json({ error: 'Sign in or pass an API key' }) : next();
+  checkRole(req, res, next, defaultRole(req));
+}
+
+function canSee(user, project) {
+  return !user || !project || auth.projectRole(user, project) !== 'none';
+}
+
+// For routes that also touch a project other than their own (merges)
+function requireProjectRole(req, project, role) {
+  if (req.user && !hasRole(auth.projectRole(req.user, project), role)) {
+    const err = new Error(`This needs the ${role} role on project "${project}"`);
+    err.status = 403;
+    throw err;
+  }
+}
+
+function requireRole(role) {
+  return (req, res, next) => (req.user ? checkRole(req, res, next, role) : next());
+}
+
+// ---- AUDIT LOG ----
+// Every request that can change something is appended to the audit log with
+// who made it and how it ended, refused and failed ones included: REST
+// mutations here, RPC calls and MCP tools where those are handled.
+function actorOf(user) {
+  return { user: user && !user.share ? { id: user.id, name: user.name } : null, key: user?.keyId || null, share: user?.share?.project || null };
+}
+
+function auditRequest(req, res, next) {
+  if (['GET', 'HEAD', 'OPTIONS'].includes(req.method)) return next();
+  const started = Date.now();
+  const route = routeOf(req);
+  const project = route.match(PROJECT_ROUTE);
+  let error;
+  const json = res.json.bind(res);
+  res.json = body => {
+    if (res.statusCode >= 400) error = body?.error;
+    return json(body);
+  };
+  res.on('finish', () => {
+    audit.record({
+      via: 'rest', action: `${req.method} ${route}`, ...actorOf(req.user), ip: req.ip,
+      session: req.body?.session || req.query.session || null, project: project ? decodeURIComponent(project[1]) : null,
+      params: { ...req.query, ...req.body }, status: res.statusCode, error, duration: Date.now() - started,
+    });
+  });
+  next();
+}
+
+app.use('/api', auditRequest);
+app.use(['/api', '/mcp'], authenticate);
+
 // ---- SESSION MANAGEMENT ----
-const sessions = new Map(); // code → { browsers: Set<ws>, mcpClients: Set<ws>, createdAt }
+// Session codes and their metadata live in `registry`; this map only holds
+// the sockets of sessions that currently have someone connected.
+const sessions = new Map(); // code → { browsers: Set<ws>, mcpClients: Set<ws> }
 
-function generateCode() {
-  const chars = 'ABCDEFGHJKLMNPQRSTUVWXYZ23456789';
-  let code = '';
-  for (let i = 0; i < 6; i++) code += chars[Math.floor(Math.random() * chars.length)];
-  return sessions.has(code) ? generateCode() : code;
+function liveSession(code) {
+  if (!sessions.has(code)) sessions.set(code, { browsers: new Set(), mcpClients: new Set() });
+  return sessions.get(code);
 }
 
 function broadcast(sessionCode, event, data, excludeWs) {
@@ -43,219 +183,737 @@ function broadcastToBrowsers(sessionCode, event, data) {
   }
 }
 
+// Every change the store commits goes to the browsers watching that project
+// (see the `watch` message below) and to those with no project open yet.
+// Project creation and deletion go to everyone, as the project list changed,
+// and branch events also to the browsers on one of the project's branches.
+function broadcastChange({ project, revision, source, events }) {
+  events.forEach((ev, i) => {
+    const msg = JSON.stringify({ event: ev.type, data: { ...ev, project, revision, source, seq: i, count: events.length } });
+    const everyone = ev.type.startsWith('project:');
+    const branches = ev.type.startsWith('branch:');
+    for (const session of sessions.values()) {
+      for (const ws of session.browsers) {
+        if (ws.readyState !== 1 || !canSee(ws.user, project)) continue;
+        const watching = ws.project === project || (branches && ws.project && splitBranch(ws.project).project === project);
+        if (everyone || !ws.project || watching) ws.send(msg);
+      }
+    }
+  });
+}
+
+store.on('change', broadcastChange);
+// A project in the trash keeps its webhooks, access list and share links under
+// this name (project names can't contain ':') until it is restored or purged
+function trashKey(trashId) {
+  return `:trash:${trashId}`;
+}
+
+store.on('change', ({ project, events }) => {
+  for (const ev of events) {
+    if (ev.type === 'project:deleted') {
+      registry.unbindProject(project);
+      webhooks.renameProject(project, trashKey(ev.trashId));
+      auth.renameProject(project, trashKey(ev.trashId));
+    } else if (ev.type === 'project:created' && ev.restored) {
+      webhooks.renameProject(trashKey(ev.restored), ev.name);
+      auth.renameProject(trashKey(ev.restored), ev.name);
+    } else if (ev.type === 'project:renamed') {
+      // Sessions, webhooks, access lists, share links and open browsers follow the new name
+      registry.renameProject(project, ev.name);
+      webhooks.renameProject(project, ev.name);
+      auth.renameProject(project, ev.name);
+      for (const session of sessions.values()) {
+        for (const ws of session.browsers) {
+          if (ws.project === project) ws.project = ev.name;
+          if (ws.user?.share?.project === project) ws.user = { ...ws.user, share: { ...ws.user.share, project: ev.name } };
+        }
+      }
+      broadcastPresence();
+    } else if (ev.type === 'project:created' && ev.clonedFrom) {
+      auth.copyAccess(splitBranch(ev.clonedFrom).project, ev.name);
+    } else if (ev.type === 'branch:deleted') {
+      registry.unbindProject(ev.branch.project);
+      webhooks.removeProject(ev.branch.project);
+      auth.removeProject(ev.branch.project);
+    }
+  }
+});
+store.on('commit', ({ project, commit }) => webhooks.dispatch(project, commit));
+store.on('purge', ({ trashId }) => {
+  webhooks.removeProject(trashKey(trashId));
+  auth.removeProject(trashKey(trashId));
+});
+
+// Presence: every socket reports its name and what it has open. Browsers see
+// everyone connected, plus the MCP clients of their own session (other
+// sessions' MCP clients are left out so session codes stay private).
+function presenceOf(ws) {
+  return {
+    id: ws.id, name: ws.name, type: ws.clientType,
+    project: ws.project || null, chunkUid: ws.chunkUid || null, editing: !!ws.editing,
+  };
+}
+
+// Projects the viewer can't see are blanked out of others' presence
+function presenceFor(viewer, clients) {
+  return clients.map(c => (canSee(viewer.user, c.project) ? c : { ...c, project: null, chunkUid: null, editing: false }));
+}
+
+function broadcastPresence() {
+  const browsers = [...sessions.values()].flatMap(s => [...s.browsers]);
+  const everyone = browsers.map(presenceOf);
+  for (const session of sessions.values()) {
+    if (!session.browsers.size) continue;
+    const clients = [...everyone, ...[...session.mcpClients].map(presenceOf)];
+    for (const ws of session.browsers) {
+      if (ws.readyState === 1) ws.send(JSON.stringify({ event: 'presence', data: { clients: presenceFor(ws, clients) } }));
+    }
+  }
+}
+
+// ---- REQUEST HELPERS ----
+
+// Errors may carry an HTTP status (e.g. 409 for revision conflicts) and extra
+// fields for the client; everything else falls back to the route's default.
+function sendError(res, e, status) {
+  res.status(e.status || status).json({ error: e.message, ...e.details });
+}
+
+// Optimistic concurrency: clients send the revision they last saw either as
+// an `If-Match: "<revision>"` header or as `baseRevision` in the body/query.
+function baseRevision(req) {
+  const header = req.get('If-Match');
+  const raw = header ? header.replace(/^W\//, '').replace(/"/g, '').trim() : (req.body?.baseRevision ?? req.query.baseRevision);
+  if (raw === undefined || raw === null || raw === '' || raw === '*') return undefined;
+  const n = Number(raw);
+  return Number.isInteger(n) ? n : undefined;
+}
+
+// The signed-in user as recorded on commits
+function authorOf(req) {
+  return req.user ? { id: req.user.id, name: req.user.name } : null;
+}
+
+// Store options for a mutation request: who made it and the revision it was based on
+function mutationOpts(req) {
+  return { source: req.body?.source || req.query.source || 'browser', author: authorOf(req), baseRevision: baseRevision(req) };
+}
+
 // ---- HEALTH ----
 app.get('/health', (_req, res) => {
   res.json({ status: 'alive', app: 'Dataset Builder', timestamp: Date.now() });
 });
 
+// ---- AUTH API ----
+app.get('/api/auth/status', (req, res) => {
+  res.json({ enabled: auth.enabled(), user: auth.authenticate(requestToken(req)) });
+});
+
+// Creates the first admin, which turns authentication on
+app.post('/api/auth/setup', (req, res) => {
+  try {
+    if (auth.enabled()) return res.status(403).json({ error: 'Users already exist; sign in instead' });
+    if (!req.body.password) throw new Error('Password is required');
+    auth.createUser({ name: req.body.name, password: req.body.password, role: 'admin' });
+    closeAnonymousSockets();
+    res.json(auth.login(req.body.name, req.body.password));
+  } catch (e) { sendError(res, e, 400); }
+});
+
+app.post('/api/auth/login', (req, res) => {
+  try { res.json(auth.login(req.body.name, req.body.password)); }
+  catch (e) { sendError(res, e, 400); }
+});
+
+app.post('/api/auth/logout', (req, res) => {
+  auth.logout(requestToken(req));
+  res.json({ ok: true });
+});
+
+app.put('/api/auth/password', (req, res) => {
+  try {
+    if (!req.user) throw new Error('Authentication is off');
+    res.json(auth.changePassword(req.user.id, req.body.currentPassword, req.body.password));
+  } catch (e) { sendError(res, e, 400); }
+});
+
+// ---- USERS ----
+// Admins manage accounts. Until the first admin exists (POST /api/auth/setup)
+// there is no one to manage them.
+function requireUser(req) {
+  if (!req.user) throw new Error('Authentication is off; create the first admin with POST /api/auth/setup');
+  if (req.user.share) {
+    const err = new Error('Share links only give access to their project');
+    err.status = 403;
+    throw err;
+  }
+}
+
+app.get('/api/users', requireRole('admin'), (req, res) => {
+  try {
+    requireUser(req);
+    res.json(auth.listUsers());
+  } catch (e) { sendError(res, e, 400); }
+});
+
+app.post('/api/users', requireRole('admin'), (req, res) => {
+  try {
+    requireUser(req);
+    res.json(auth.createUser(req.body));
+  } catch (e) { sendError(res, e, 400); }
+});
+
+app.put('/api/users/:id', requireRole('admin'), (req, res) => {
+  try {
+    requireUser(req);
+    res.json(auth.updateUser(req.params.id, req.body));
+  } catch (e) { sendError(res, e, 400); }
+});
+
+app.delete('/api/users/:id', requireRole('admin'), (req, res) => {
+  try {
+    requireUser(req);
+    res.json(auth.deleteUser(req.params.id));
+  } catch (e) { sendError(res, e, 404); }
+});
+
+// ---- API KEYS ----
+// Everyone manages their own keys; admins see all keys, revoke any of them
+// and create keys for other users with `userId`.
+app.get('/api/keys', (req, res) => {
+  try {
+    requireUser(req);
+    res.json(auth.listKeys(req.user.role === 'admin' ? undefined : req.user.id));
+  } catch (e) { sendError(res, e, 400); }
+});
+
+app.post('/api/keys', (req, res) => {
+  try {
+    requireUser(req);
+    const userId = req.body.userId && req.user.role === 'admin' ? req.body.userId : req.user.id;
+    res.json(auth.createKey(userId, { name: req.body.name, role: req.body.role }));
+  } catch (e) { sendError(res, e, 400); }
+});
+
+app.delete('/api/keys/:id', (req, res) => {
+  try {
+    requireUser(req);
+    res.json(auth.revokeKey(req.params.id, req.user.role === 'admin' ? undefined : req.user.id));
+  } catch (e) { sendError(res, e, 404); }
+});
+
 // ---- SESSION API ----
 app.get('/api/session', (_req, res) => {
-  const code = generateCode();
-  sessions.set(code, { browsers: new Set(), mcpClients: new Set(), createdAt: Date.now() });
-  res.json({ code });
+  res.json(registry.describe(registry.create()));
+});
+
+// Reclaims `code` if it is still valid, otherwise starts a new session
+// (bound to `project` when given).
+app.post('/api/session', (req, res) => {
+  const existing = req.body.code && registry.touch(String(req.body.code).toUpperCase());
+  res.json(registry.describe(existing || registry.create(req.body.project || null)));
+});
+
+app.get('/api/session/:code', (req, res) => {
+  const session = registry.get(req.params.code);
+  if (!session) return res.status(404).json({ error: 'Session not found' });
+  res.json(registry.describe(session));
+});
+
+// Bind the session to a project (MCP clients then default to it), or unbind with `project: null`
+app.put('/api/session/:code', async (req, res) => {
+  try {
+    const project = req.body.project || null;
+    if (project) await store.getProject(project);
+    res.json(registry.describe(registry.bind(req.params.code, project)));
+  } catch (e) { sendError(res, e, 404); }
+});
+
+app.delete('/api/session/:code', (req, res) => {
+  if (!registry.get(req.params.code)) return res.status(404).json({ error: 'Session not found' });
+  registry.remove(req.params.code);
+  const live = sessions.get(req.params.code);
+  if (live) [...live.browsers, ...live.mcpClients].forEach(ws => ws.close());
+  res.json({ deleted: req.params.code });
 });
 
 // ---- PROJECT API ----
-app.get('/api/projects', (_req, res) => {
-  try { res.json(store.listProjects()); }
-  catch (e) { res.status(500).json({ error: e.message }); }
+app.get('/api/projects', async (req, res) => {
+  try { res.json((await store.listProjects()).filter(p => canSee(req.user, p.name))); }
+  catch (e) { sendError(res, e, 500); }
 });
 
-app.get('/api/projects/:name', (req, res) => {
-  try { res.json(store.getProject(req.params.name)); }
-  catch (e) { res.status(404).json({ error: e.message }); }
+app.get('/api/projects/:name', async (req, res) => {
+  try {
+    const project = await store.getProject(req.params.name);
+    // Weak: expanding or collapsing a category changes the file but not the revision
+    res.set('ETag', `W/"${project.revision || 0}"`);
+    res.json(project);
+  }
+  catch (e) { sendError(res, e, 404); }
 });
 
-app.post('/api/projects', (req, res) => {
+app.post('/api/projects', async (req, res) => {
   try {
     const source = req.body.source || 'browser';
-    const result = store.createProject(req.body.name, { source });
-    if (req.body.session) broadcastToBrowsers(req.body.session, 'project:created', result);
+    const result = await store.createProject(req.body.name, { source, author: authorOf(req) });
+    res.json(result);
+  } catch (e) { sendError(res, e, 400); }
+});
+
+app.delete('/api/projects/:name', requireRole('admin'), async (req, res) => {
+  try {
+    const result = await store.deleteProject(req.params.name, mutationOpts(req));
     res.json(result);
-  } catch (e) { res.status(400).json({ error: e.message }); }
+  } catch (e) { sendError(res, e, 404); }
 });
 
-app.delete('/api/projects/:name', (req, res) => {
+app.post('/api/projects/:name/rename', requireRole('admin'), async (req, res) => {
   try {
-    const source = req.query.source || 'browser';
-    const result = store.deleteProject(req.params.name, { source });
-    if (req.query.session) broadcastToBrowsers(req.query.session, 'project:deleted', result);
+    const result = await store.renameProject(req.params.name, req.body.name, mutationOpts(req));
     res.json(result);
-  } catch (e) { res.status(404).json({ error: e.message }); }
+  } catch (e) { sendError(res, e, 400); }
 });
 
-app.get('/api/projects/:name/stats', (req, res) => {
-  try { res.json(store.getStats(req.params.name)); }
-  catch (e) { res.status(404).json({ error: e.message }); }
+// Needs the editor role on the project, and to be allowed to create projects
+app.post('/api/projects/:name/clone', async (req, res) => {
+  try {
+    if (req.user && !hasRole(req.user.role, 'editor')) return res.status(403).json({ error: 'Creating projects needs the editor role' });
+    const result = await store.cloneProject(req.params.name, req.body.name, mutationOpts(req));
+    res.json(result);
+  } catch (e) { sendError(res, e, 400); }
+});
+
+// ---- BRANCHES ----
+// A branch is addressed like a project, as `<project>@<branch>`, by every
+// other route; see Store.createBranch.
+app.get('/api/projects/:name/branches', async (req, res) => {
+  try { res.json(await store.listBranches(req.params.name)); }
+  catch (e) { sendError(res, e, 404); }
+});
+
+app.post('/api/projects/:name/branches', async (req, res) => {
+  try {
+    const result = await store.createBranch(req.params.name, req.body.name, req.body.from, mutationOpts(req));
+    res.json(result);
+  } catch (e) { sendError(res, e, 400); }
+});
+
+app.delete('/api/projects/:name/branches/:branch', async (req, res) => {
+  try { res.json(await store.deleteBranch(req.params.name, req.params.branch, mutationOpts(req))); }
+  catch (e) { sendError(res, e, 404); }
+});
+
+app.post('/api/projects/:name/branches/:branch/merge', async (req, res) => {
+  try {
+    const { resolve, dryRun } = req.body;
+    res.json(await store.mergeBranch(req.params.name, req.params.branch, { resolve, dryRun: !!dryRun }, mutationOpts(req)));
+  } catch (e) { sendError(res, e, 400); }
+});
+
+// ---- TRASH ----
+// Deleted projects wait here, with their history, until they are restored,
+// purged, or TRASH_RETENTION_DAYS have passed. Admins only.
+function withPurgeDate(entry) {
+  const purgeAt = TRASH_RETENTION_DAYS > 0 ? new Date(new Date(entry.deletedAt).getTime() + TRASH_RETENTION_DAYS * 86400000).toISOString() : null;
+  return { ...entry, purgeAt };
+}
+
+app.get('/api/trash', requireRole('admin'), async (_req, res) => {
+  try { res.json((await store.listTrash()).map(withPurgeDate)); }
+  catch (e) { sendError(res, e, 500); }
+});
+
+app.post('/api/trash/:id/restore', requireRole('admin'), async (req, res) => {
+  try {
+    const result = await store.restoreProject(req.params.id, req.body.name, mutationOpts(req));
+    res.json(result);
+  } catch (e) { sendError(res, e, 400); }
+});
+
+app.delete('/api/trash/:id', requireRole('admin'), async (req, res) => {
+  try { res.json(await store.purgeTrash(req.params.id)); }
+  catch (e) { sendError(res, e, 404); }
+});
+
+app.get('/api/projects/:name/stats', async (req, res) => {
+  try { res.json(await store.getStats(req.params.name)); }
+  catch (e) { sendError(res, e, 404); }
 });
 
 // ---- CATEGORY API ----
-app.get('/api/projects/:name/categories', (req, res) => {
-  try { res.json(store.listCategories(req.params.name)); }
-  catch (e) { res.status(404).json({ error: e.message }); }
+app.get('/api/projects/:name/categories', async (req, res) => {
+  try { res.json(await store.listCategories(req.params.name)); }
+  catch (e) { sendError(res, e, 404); }
 });
 
-app.post('/api/projects/:name/categories', (req, res) => {
+app.post('/api/projects/:name/categories', async (req, res) => {
   try {
-    const source = req.body.source || 'browser';
-    const result = store.createCategory(req.params.name, req.body.name, { source });
-    if (req.body.session) broadcastToBrowsers(req.body.session, 'data:changed', { project: req.params.name });
+    const result = await store.createCategory(req.params.name, req.body.name, mutationOpts(req));
     res.json(result);
-  } catch (e) { res.status(400).json({ error: e.message }); }
+  } catch (e) { sendError(res, e, 400); }
 });
 
-app.put('/api/projects/:name/categories/:catName', (req, res) => {
+app.put('/api/projects/:name/categories/:catName', async (req, res) => {
   try {
-    const source = req.body.source || 'browser';
-    const result = store.renameCategory(req.params.name, req.params.catName, req.body.newName, { source });
-    if (req.body.session) broadcastToBrowsers(req.body.session, 'data:changed', { project: req.params.name });
+    const result = await store.renameCategory(req.params.name, req.params.catName, req.body.newName, mutationOpts(req));
     res.json(result);
-  } catch (e) { res.status(400).json({ error: e.message }); }
+  } catch (e) { sendError(res, e, 400); }
 });
 
-app.delete('/api/projects/:name/categories/:catName', (req, res) => {
+app.delete('/api/projects/:name/categories/:catName', async (req, res) => {
   try {
-    const source = req.query.source || 'browser';
-    const result = store.deleteCategory(req.params.name, req.params.catName, { source });
-    if (req.query.session) broadcastToBrowsers(req.query.session, 'data:changed', { project: req.params.name });
+    const result = await store.deleteCategory(req.params.name, req.params.catName, mutationOpts(req));
     res.json(result);
-  } catch (e) { res.status(404).json({ error: e.message }); }
+  } catch (e) { sendError(res, e, 404); }
 });
 
-app.post('/api/projects/:name/categories/:catId/toggle', (req, res) => {
+app.post('/api/projects/:name/categories/:catId/toggle', async (req, res) => {
   try {
-    const result = store.toggleCategory(req.params.name, req.params.catId);
+    const result = await store.toggleCategory(req.params.name, req.params.catId);
     res.json(result);
-  } catch (e) { res.status(400).json({ error: e.message }); }
+  } catch (e) { sendError(res, e, 400); }
 });
 
 // ---- CHUNK API ----
-app.post('/api/projects/:name/categories/:catName/chunks', (req, res) => {
+app.post('/api/projects/:name/categories/:catName/chunks', async (req, res) => {
   try {
-    const source = req.body.source || 'browser';
-    const result = store.addChunk(req.params.name, req.params.catName, req.body, { source });
-    if (req.body.session) broadcastToBrowsers(req.body.session, 'data:changed', { project: req.params.name });
+    const result = await store.addChunk(req.params.name, req.params.catName, req.body, mutationOpts(req));
     res.json(result);
-  } catch (e) { res.status(400).json({ error: e.message }); }
+  } catch (e) { sendError(res, e, 400); }
 });
 
-app.post('/api/projects/:name/categories/:catName/chunks/bulk', (req, res) => {
+app.post('/api/projects/:name/categories/:catName/chunks/bulk', async (req, res) => {
   try {
-    const source = req.body.source || 'browser';
-    const result = store.bulkAddChunks(req.params.name, req.params.catName, req.body.chunks, { source });
-    if (req.body.session) broadcastToBrowsers(req.body.session, 'data:changed', { project: req.params.name });
+    const result = await store.bulkAddChunks(req.params.name, req.params.catName, req.body.chunks, mutationOpts(req));
     res.json(result);
-  } catch (e) { res.status(400).json({ error: e.message }); }
+  } catch (e) { sendError(res, e, 400); }
 });
 
-app.post('/api/projects/:name/categories/:catId/chunks/blank', (req, res) => {
+app.post('/api/projects/:name/categories/:catId/chunks/blank', async (req, res) => {
   try {
-    const source = req.body.source || 'browser';
-    const result = store.addBlankChunk(req.params.name, req.params.catId, { source });
+    const result = await store.addBlankChunk(req.params.name, req.params.catId, mutationOpts(req));
     res.json(result);
-  } catch (e) { res.status(400).json({ error: e.message }); }
+  } catch (e) { sendError(res, e, 400); }
 });
 
-app.put('/api/projects/:name/categories/:catId/chunks/:uid', (req, res) => {
+app.put('/api/projects/:name/categories/:catId/chunks/:uid', async (req, res) => {
   try {
-    const source = req.body.source || 'browser';
-    const result = store.updateChunk(req.params.name, req.params.catId, req.params.uid, req.body, { source });
-    if (req.body.session) broadcastToBrowsers(req.body.session, 'data:changed', { project: req.params.name });
+    const result = await store.updateChunk(req.params.name, req.params.catId, req.params.uid, req.body, mutationOpts(req));
     res.json(result);
-  } catch (e) { res.status(400).json({ error: e.message }); }
+  } catch (e) { sendError(res, e, 400); }
 });
 
-app.delete('/api/projects/:name/categories/:catId/chunks/:uid', (req, res) => {
+app.delete('/api/projects/:name/categories/:catId/chunks/:uid', async (req, res) => {
   try {
-    const source = req.query.source || 'browser';
-    const result = store.deleteChunk(req.params.name, req.params.catId, req.params.uid, { source });
-    if (req.query.session) broadcastToBrowsers(req.query.session, 'data:changed', { project: req.params.name });
+    const result = await store.deleteChunk(req.params.name, req.params.catId, req.params.uid, mutationOpts(req));
     res.json(result);
-  } catch (e) { res.status(404).json({ error: e.message }); }
+  } catch (e) { sendError(res, e, 404); }
 });
 
-app.post('/api/projects/:name/categories/:catId/chunks/:uid/duplicate', (req, res) => {
+app.post('/api/projects/:name/categories/:catId/chunks/:uid/duplicate', async (req, res) => {
   try {
-    const source = req.body.source || 'browser';
-    const result = store.duplicateChunk(req.params.name, req.params.catId, req.params.uid, { source });
+    const result = await store.duplicateChunk(req.params.name, req.params.catId, req.params.uid, mutationOpts(req));
     res.json(result);
-  } catch (e) { res.status(400).json({ error: e.message }); }
+  } catch (e) { sendError(res, e, 400); }
 });
 
-app.post('/api/projects/:name/chunks/:chunkId/move', (req, res) => {
+app.post('/api/projects/:name/chunks/:chunkId/move', async (req, res) => {
   try {
-    const source = req.body.source || 'browser';
-    const result = store.moveChunk(req.params.name, req.params.chunkId, req.body.targetCategory, { source });
-    if (req.body.session) broadcastToBrowsers(req.body.session, 'data:changed', { project: req.params.name });
+    const result = await store.moveChunk(req.params.name, req.params.chunkId, req.body.targetCategory, mutationOpts(req));
     res.json(result);
-  } catch (e) { res.status(400).json({ error: e.message }); }
+  } catch (e) { sendError(res, e, 400); }
+});
+
+app.get('/api/projects/:name/chunks/:uid/history', async (req, res) => {
+  try { res.json(await store.getChunkHistory(req.params.name, req.params.uid)); }
+  catch (e) { sendError(res, e, 404); }
+});
+
+app.post('/api/projects/:name/chunks/:uid/restore', async (req, res) => {
+  try {
+    const result = await store.restoreChunk(req.params.name, req.params.uid, req.body.commitId, mutationOpts(req));
+    res.json(result);
+  } catch (e) { sendError(res, e, 400); }
 });
 
 // ---- SEARCH ----
-app.get('/api/projects/:name/search', (req, res) => {
-  try { res.json(store.searchChunks(req.params.name, req.query.q || '')); }
-  catch (e) { res.status(404).json({ error: e.message }); }
+app.get('/api/projects/:name/search', async (req, res) => {
+  try { res.json(await store.searchChunks(req.params.name, req.query.q || '')); }
+  catch (e) { sendError(res, e, 404); }
 });
 
 // ---- EXPORT / IMPORT ----
-app.get('/api/projects/:name/export', (req, res) => {
-  try { res.json(store.exportProject(req.params.name)); }
-  catch (e) { res.status(404).json({ error: e.message }); }
+app.get('/api/projects/:name/export', async (req, res) => {
+  try { res.json(await store.exportProject(req.params.name, req.query.ref)); }
+  catch (e) { sendError(res, e, 404); }
 });
 
-app.post('/api/projects/:name/import', (req, res) => {
+app.post('/api/projects/:name/import', async (req, res) => {
   try {
-    const source = req.body.source || 'browser';
-    const result = store.importJSON(req.params.name, req.body.data, req.body.category, { source });
-    if (req.body.session) broadcastToBrowsers(req.body.session, 'data:changed', { project: req.params.name });
+    const result = await store.importJSON(req.params.name, req.body.data, req.body.category, mutationOpts(req));
     res.json(result);
-  } catch (e) { res.status(400).json({ error: e.message }); }
+  } catch (e) { sendError(res, e, 400); }
 });
 
 // ---- BULK UPDATE METADATA ----
-app.post('/api/projects/:name/bulk-metadata', (req, res) => {
+app.post('/api/projects/:name/bulk-metadata', async (req, res) => {
   try {
-    const source = req.body.source || 'browser';
-    const result = store.bulkUpdateMetadata(req.params.name, req.body.field, req.body.value, req.body.category, { source });
-    if (req.body.session) broadcastToBrowsers(req.body.session, 'data:changed', { project: req.params.name });
+    const result = await store.bulkUpdateMetadata(req.params.name, req.body.field, req.body.value, req.body.category, mutationOpts(req));
     res.json(result);
-  } catch (e) { res.status(400).json({ error: e.message }); }
+  } catch (e) { sendError(res, e, 400); }
 });
 
 // ---- MERGE PROJECTS ----
-app.post('/api/projects/:name/merge', (req, res) => {
+app.post('/api/projects/:name/merge', async (req, res) => {
   try {
-    const source = req.body.source || 'browser';
-    const result = store.mergeProjects(req.params.name, req.body.target, { source });
-    if (req.body.session) broadcastToBrowsers(req.body.session, 'data:changed', { project: req.body.target });
+    requireProjectRole(req, req.body.target, 'editor');
+    const { target, strategy, resolve, dryRun } = req.body;
+    const result = await store.mergeProjects(req.params.name, target, { strategy, resolve, dryRun: !!dryRun }, mutationOpts(req));
     res.json(result);
-  } catch (e) { res.status(400).json({ error: e.message }); }
+  } catch (e) { sendError(res, e, 400); }
+});
+
+// ---- BATCH ----
+app.post('/api/projects/:name/batch', async (req, res) => {
+  try {
+    for (const source of batchSources(req.body.operations)) requireProjectRole(req, source, 'viewer');
+    const result = await store.batch(req.params.name, req.body.operations, mutationOpts(req));
+    res.json(result);
+  } catch (e) { sendError(res, e, 400); }
 });
 
 // ---- EXPORT CATEGORY ----
-app.get('/api/projects/:name/categories/:catName/export', (req, res) => {
-  try { res.json(store.exportCategory(req.params.name, req.params.catName)); }
-  catch (e) { res.status(404).json({ error: e.message }); }
+app.get('/api/projects/:name/categories/:catName/export', async (req, res) => {
+  try { res.json(await store.exportCategory(req.params.name, req.params.catName)); }
+  catch (e) { sendError(res, e, 404); }
 });
 
 // ---- HISTORY API ----
-app.get('/api/projects/:name/history', (req, res) => {
-  try { res.json(store.getHistory(req.params.name)); }
-  catch (e) { res.status(404).json({ error: e.message }); }
+app.get('/api/projects/:name/history', async (req, res) => {
+  try { res.json(await store.getHistory(req.params.name)); }
+  catch (e) { sendError(res, e, 404); }
+});
+
+app.get('/api/projects/:name/history/:commitId', async (req, res) => {
+  try { res.json(await store.getCommit(req.params.name, req.params.commitId)); }
+  catch (e) { sendError(res, e, 404); }
 });
 
-app.get('/api/projects/:name/history/:commitId', (req, res) => {
-  try { res.json(store.getCommit(req.params.name, req.params.commitId)); }
-  catch (e) { res.status(404).json({ error: e.message }); }
+app.get('/api/projects/:name/diff', async (req, res) => {
+  try { res.json(await store.diff(req.params.name, req.query.from, req.query.to)); }
+  catch (e) { sendError(res, e, 404); }
+});
+
+app.post('/api/projects/:name/history/:commitId/rollback', async (req, res) => {
+  try {
+    const result = await store.rollback(req.params.name, req.params.commitId, mutationOpts(req));
+    res.json(result);
+  } catch (e) { sendError(res, e, 400); }
 });
 
-app.post('/api/projects/:name/history/:commitId/rollback', (req, res) => {
+app.post('/api/projects/:name/history/:commitId/revert', async (req, res) => {
+  try {
+    const result = await store.revert(req.params.name, req.params.commitId, { ...mutationOpts(req), skipConflicts: !!req.body.skipConflicts });
+    res.json(result);
+  } catch (e) { sendError(res, e, 400); }
+});
+
+// ---- TAGS ----
+app.get('/api/projects/:name/tags', async (req, res) => {
+  try { res.json(await store.listTags(req.params.name)); }
+  catch (e) { sendError(res, e, 404); }
+});
+
+app.post('/api/projects/:name/tags', async (req, res) => {
   try {
     const source = req.body.source || 'browser';
-    const result = store.rollback(req.params.name, req.params.commitId, source);
-    if (req.body.session) broadcastToBrowsers(req.body.session, 'data:changed', { project: req.params.name });
+    const tag = await store.createTag(req.params.name, req.body.name, req.body.commitId, req.body.notes, { source, author: authorOf(req) });
+    res.json(tag);
+  } catch (e) { sendError(res, e, 400); }
+});
+
+app.delete('/api/projects/:name/tags/:tag', async (req, res) => {
+  try {
+    const result = await store.deleteTag(req.params.name, req.params.tag, { source: req.query.source || 'browser' });
     res.json(result);
-  } catch (e) { res.status(400).json({ error: e.message }); }
+  } catch (e) { sendError(res, e, 404); }
+});
+
+// ---- CHANGE FEED ----
+// Chunk upserts and deletes since a revision cursor, for jobs that sync the
+// dataset incrementally without holding a WebSocket open.
+app.get('/api/projects/:name/changes', async (req, res) => {
+  try { res.json(await store.changesSince(req.params.name, req.query.since)); }
+  catch (e) { sendError(res, e, 400); }
+});
+
+// Server-sent events: the backlog since `since` (or since the Last-Event-ID an
+// EventSource resends on reconnect), then a `changes` event per new batch.
+// Each event id is the cursor to resume from.
+app.get('/api/projects/:name/changes/stream', async (req, res) => {
+  const name = req.params.name;
+  let batch;
+  try { batch = await store.changesSince(name, req.get('Last-Event-ID') ?? req.query.since); }
+  catch (e) { return sendError(res, e, 400); }
+
+  res.writeHead(200, { 'Content-Type': 'text/event-stream', 'Cache-Control': 'no-cache', Connection: 'keep-alive' });
+  const send = b => res.write(`event: changes\nid: ${b.cursor}\ndata: ${JSON.stringify(b)}\n\n`);
+  send(batch);
+  let cursor = batch.cursor;
+
+  let pending = Promise.resolve();
+  const pull = () => {
+    pending = pending.then(async () => {
+      if (res.writableEnded) return;
+      const next = await store.changesSince(name, cursor);
+      if (next.cursor === cursor) return;
+      cursor = next.cursor;
+      if (next.changes.length) send(next);
+    }).catch(() => {});
+  };
+  const onChange = ({ project, revision, events }) => {
+    // A deleted branch is announced on its project
+    const branchDeleted = events.some(ev => ev.type === 'branch:deleted' && ev.branch.project === name);
+    if (project !== name && !branchDeleted) return;
+    const renamed = events.find(ev => ev.type === 'project:renamed');
+    if (branchDeleted || events.some(ev => ev.type === 'project:deleted')) {
+      res.end(`event: deleted\ndata: ${JSON.stringify({ project: name })}\n\n`);
+    } else if (renamed) {
+      res.end(`event: renamed\ndata: ${JSON.stringify({ project: name, name: renamed.name })}\n\n`);
+    } else if (revision !== undefined) {
+      pull();
+    }
+  };
+  const heartbeat = setInterval(() => res.writableEnded || res.write(': ping\n\n'), 30000);
+  store.on('change', onChange);
+  pull(); // anything written while the backlog was being sent
+  res.on('close', () => {
+    clearInterval(heartbeat);
+    store.off('change', onChange);
+  });
+});
+
+// ---- WEBHOOKS ----
+// Every history commit of the project is POSTed to its webhooks; see lib/webhooks.js.
+// Secrets are write-only: responses only say whether one is set. Admins only.
+app.get('/api/projects/:name/webhooks', requireRole('admin'), async (req, res) => {
+  try {
+    await store.getProject(req.params.name);
+    res.json(webhooks.list(req.params.name));
+  } catch (e) { sendError(res, e, 404); }
+});
+
+app.post('/api/projects/:name/webhooks', requireRole('admin'), async (req, res) => {
+  try {
+    await store.getProject(req.params.name);
+    res.json(webhooks.create(req.params.name, req.body));
+  } catch (e) { sendError(res, e, 400); }
+});
+
+app.put('/api/projects/:name/webhooks/:id', requireRole('admin'), (req, res) => {
+  try { res.json(webhooks.update(req.params.name, req.params.id, req.body)); }
+  catch (e) { sendError(res, e, 400); }
+});
+
+app.delete('/api/projects/:name/webhooks/:id', requireRole('admin'), (req, res) => {
+  try { res.json(webhooks.remove(req.params.name, req.params.id)); }
+  catch (e) { sendError(res, e, 404); }
+});
+
+app.get('/api/projects/:name/webhooks/:id/deliveries', requireRole('admin'), (req, res) => {
+  try { res.json(webhooks.deliveries(req.params.name, req.params.id)); }
+  catch (e) { sendError(res, e, 404); }
+});
+
+app.post('/api/projects/:name/webhooks/:id/test', requireRole('admin'), async (req, res) => {
+  try { res.json(await webhooks.test(req.params.name, req.params.id)); }
+  catch (e) { sendError(res, e, 404); }
+});
+
+// ---- ACCESS ----
+// Per-project access lists and read-only share links; project admins only.
+// A share link's token is only returned when it is created.
+app.get('/api/projects/:name/access', requireRole('admin'), async (req, res) => {
+  try {
+    await store.getProject(req.params.name);
+    res.json(auth.getAccess(req.params.name));
+  } catch (e) { sendError(res, e, 404); }
+});
+
+app.put('/api/projects/:name/access', requireRole('admin'), async (req, res) => {
+  try {
+    await store.getProject(req.params.name);
+    res.json(auth.setAccess(req.params.name, req.body));
+  } catch (e) { sendError(res, e, 400); }
+});
+
+app.get('/api/projects/:name/shares', requireRole('admin'), async (req, res) => {
+  try {
+    await store.getProject(req.params.name);
+    res.json(auth.listShares(req.params.name));
+  } catch (e) { sendError(res, e, 404); }
+});
+
+app.post('/api/projects/:name/shares', requireRole('admin'), async (req, res) => {
+  try {
+    await store.getProject(req.params.name);
+    const { token, share } = auth.createShare(req.params.name, req.body, req.user);
+    res.json({ token, url: `${req.protocol}://${req.get('host')}/?share=${token}`, share });
+  } catch (e) { sendError(res, e, 400); }
+});
+
+app.delete('/api/projects/:name/shares/:id', requireRole('admin'), (req, res) => {
+  try { res.json(auth.revokeShare(req.params.name, req.params.id)); }
+  catch (e) { sendError(res, e, 404); }
+});
+
+// ---- AUDIT API ----
+// Newest first; filters: since, until, user, project, action, via
+// (rest/rpc/mcp/stdio), outcome (ok/denied/error) and limit. Admins only.
+app.get('/api/audit', requireRole('admin'), async (req, res) => {
+  try { res.json(await audit.query(req.query)); }
+  catch (e) { sendError(res, e, 400); }
+});
+
+// ---- PRESENCE ----
+// Who has the project open and which chunk they are on. `editing` marks an
+// advisory lock: unsaved changes to that chunk.
+app.get('/api/projects/:name/presence', (req, res) => {
+  const clients = [...sessions.values()].flatMap(s => [...s.browsers])
+    .filter(ws => ws.project === req.params.name)
+    .map(presenceOf);
+  res.json(clients);
+});
+
+// ---- MCP ----
+// Stateless streamable HTTP: every request gets its own server and transport.
+// `?session=CODE` makes the session's bound project the default for tools.
+app.post('/mcp', async (req, res) => {
+  try {
+    const session = req.query.session && registry.touch(String(req.query.session));
+    const mcp = createMcpServer(store, {
+      project: session?.project || undefined,
+      user: req.user,
+      // While authentication is off there is no user, and everyone may do everything
+      roleIn: req.user ? project => auth.projectRole(req.user, project) : undefined,
+      audit: entry => audit.record({ via: 'mcp', ...actorOf(req.user), ip: req.ip, session: session?.code || null, ...entry }),
+    });
+    const transport = new StreamableHTTPServerTransport({ sessionIdGenerator: undefined });
+    res.on('close', () => {
+      transport.close();
+      mcp.close();
+    });
+    await mcp.connect(transport);
+    await transport.handleRequest(req, res, req.body);
+  } catch (e) {
+    if (!res.headersSent) res.status(500).json({ jsonrpc: '2.0', error: { code: -32603, message: e.message }, id: null });
+  }
+});
+
+app.all('/mcp', (_req, res) => {
+  res.status(405).json({ jsonrpc: '2.0', error: { code: -32000, message: 'Method not allowed' }, id: null });
 });
 
 // ---- SPA FALLBACK ----
@@ -270,14 +928,22 @@ wss.on('connection', (ws, req) => {
   const url = new URL(req.url, `http://${req.headers.host}`);
   const sessionCode = url.searchParams.get('session');
   const clientType = url.searchParams.get('type') || 'browser'; // 'browser' or 'mcp'
+  const header = req.headers.authorization;
+  const token = url.searchParams.get('token') || (header && header.replace(/^Bearer /i, ''));
+  const user = auth.authenticate(token);
 
-  if (!sessionCode || !sessions.has(sessionCode)) {
+  if (auth.enabled() && !user) {
+    ws.send(JSON.stringify({ event: 'error', data: { message: 'Sign in or pass an API key', status: 401 } }));
+    ws.close();
+    return;
+  }
+  if (!sessionCode || !registry.touch(sessionCode)) {
     ws.send(JSON.stringify({ event: 'error', data: { message: 'Invalid session code' } }));
     ws.close();
     return;
   }
 
-  const session = sessions.get(sessionCode);
+  const session = liveSession(sessionCode);
 
   if (clientType === 'mcp') {
     session.mcpClients.add(ws);
@@ -289,15 +955,53 @@ wss.on('connection', (ws, req) => {
 
   ws.sessionCode = sessionCode;
   ws.clientType = clientType;
+  ws.id = crypto.randomBytes(4).toString('hex');
+  ws.user = user;
+  ws.name = user?.name || url.searchParams.get('name') || (clientType === 'mcp' ? 'MCP agent' : 'Guest');
 
-  ws.send(JSON.stringify({ event: 'connected', data: { session: sessionCode, type: clientType } }));
+  ws.send(JSON.stringify({ event: 'connected', data: { session: sessionCode, type: clientType, id: ws.id } }));
+  broadcastPresence();
 
   ws.on('message', (raw) => {
     try {
       const msg = JSON.parse(raw);
+      // Store calls (see lib/rpc.js); changes are broadcast by the store itself
+      if (msg.id !== undefined && msg.method) {
+        // Checked per call: the user may have been deleted, the key revoked, or auth turned on since
+        ws.user = auth.authenticate(token);
+        if (auth.enabled() && !ws.user) {
+          ws.send(JSON.stringify({ id: msg.id, error: { message: 'Sign in or pass an API key', status: 401 } }));
+          ws.close();
+          return;
+        }
+        const session = registry.touch(sessionCode);
+        handleRpc(store, msg, {
+          source: clientType === 'mcp' ? 'mcp' : 'browser',
+          project: session?.project || undefined,
+          user: ws.user,
+          roleIn: project => auth.projectRole(ws.user, project),
+          audit: entry => audit.record({ via: 'rpc', ...actorOf(ws.user), ip: req.socket.remoteAddress, session: sessionCode, ...entry }),
+        })
+          .then(reply => { if (ws.readyState === 1) ws.send(JSON.stringify(reply)); });
+        return;
+      }
       // MCP sends data changes — broadcast to browsers
       if (msg.event === 'data:changed') {
         broadcastToBrowsers(sessionCode, 'data:changed', msg.data);
+      } else if (msg.event === 'watch') {
+        const project = msg.data?.project || null;
+        if (project !== (ws.project || null)) {
+          ws.project = project;
+          ws.chunkUid = null;
+          ws.editing = false;
+          broadcastPresence();
+        }
+      } else if (msg.event === 'presence') {
+        const { name, chunkUid, editing } = msg.data || {};
+        if (name && !ws.user) ws.name = String(name).slice(0, 40); // signed-in users go by their account
+        ws.chunkUid = chunkUid || null;
+        ws.editing = !!editing;
+        broadcastPresence();
       }
     } catch {}
   });
@@ -309,24 +1013,61 @@ wss.on('connection', (ws, req) => {
     } else {
       session.browsers.delete(ws);
     }
-    // Clean up empty sessions
+    registry.touch(sessionCode);
     if (session.browsers.size === 0 && session.mcpClients.size === 0) {
       sessions.delete(sessionCode);
     }
+    broadcastPresence();
   });
 });
 
-// Clean up stale sessions every 30 minutes
-setInterval(() => {
-  const now = Date.now();
-  for (const [code, session] of sessions) {
-    if (session.browsers.size === 0 && session.mcpClients.size === 0 && now - session.createdAt > 30 * 60 * 1000) {
-      sessions.delete(code);
-    }
+// Sockets opened while authentication was off have no user to act as
+function closeAnonymousSockets() {
+  for (const ws of wss.clients) {
+    if (ws.user) continue;
+    ws.send(JSON.stringify({ event: 'error', data: { message: 'Authentication is now on; sign in', status: 401 } }));
+    ws.close();
   }
+}
+
+function purgeTrash() {
+  if (TRASH_RETENTION_DAYS <= 0) return;
+  store.purgeExpiredTrash(TRASH_RETENTION_DAYS * 86400000).catch(e => console.error('Could not purge the trash:', e.message));
+}
+
+// Every 30 minutes: connected sessions count as used, expired idle ones are
+// dropped, and so are projects that have been in the trash too long
+setInterval(() => {
+  for (const code of sessions.keys()) registry.touch(code);
+  registry.prune(code => sessions.has(code));
+  purgeTrash();
 }, 30 * 60 * 1000);
 
 // ---- START ----
-server.listen(PORT, () => {
-  console.log(`Dataset Builder by Tryll Engine — running on port ${PORT}`);
+Promise.all([
+  registry.load().catch(e => console.error('Could not load saved sessions:', e.message)),
+  webhooks.load().catch(e => console.error('Could not load webhooks:', e.message)),
+  auth.load().catch(e => console.error('Could not load users:', e.message)),
+  audit.load().catch(e => console.error('Could not open the audit log:', e.message)),
+]).then(() => {
+  const log = STDIO ? console.error : console.log;
+  if (!auth.enabled() && process.env.ADMIN_PASSWORD) {
+    try { auth.createUser({ name: process.env.ADMIN_USER || 'admin', password: process.env.ADMIN_PASSWORD, role: 'admin' }); }
+    catch (e) { console.error('Could not create the admin user:', e.message); }
+  }
+  if (!auth.enabled()) log('Authentication is off until the first admin is created (POST /api/auth/setup or ADMIN_PASSWORD)');
+  purgeTrash();
+  server.on('error', (e) => {
+    // With --stdio the agent can keep working even if the web UI can't start
+    if (!STDIO) throw e;
+    console.error(`Web server not started: ${e.message}`);
+  });
+  server.listen(PORT, () => {
+    log(`Dataset Builder by Tryll Engine — running on port ${PORT}`);
+  });
+  if (STDIO) {
+    createMcpServer(store, { audit: entry => audit.record({ via: 'stdio', ...actorOf(null), ip: null, session: null, ...entry }) })
+      .connect(new StdioServerTransport());
+    process.stdin.on('end', () => process.exit(0)); // the agent went away
+  }
 });